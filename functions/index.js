@@ -1,33 +1,273 @@
 /**
  * Firebase Cloud Functions for Fhinck Agents Dashboard
- * Provides a proxy for Notion API to avoid CORS issues
+ * Provides a proxy for Notion API to avoid CORS issues (task reads and edits),
+ * an ingestion endpoint for agent events, a watchdog for abandoned agents
+ * and project counters maintained by a Firestore trigger
  */
 
 const { onRequest } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { onDocumentWritten } = require('firebase-functions/v2/firestore');
 const { defineString } = require('firebase-functions/params');
+const { initializeApp } = require('firebase-admin/app');
+const { getFirestore, FieldValue } = require('firebase-admin/firestore');
+const { getAuth } = require('firebase-admin/auth');
+const { createHash } = require('crypto');
 const cors = require('cors')({ origin: true });
 
+initializeApp();
+const db = getFirestore();
+
 // Define parameters for Notion API (set via Firebase CLI or console)
 const notionApiKey = defineString('NOTION_API_KEY');
 const notionDatabaseId = defineString('NOTION_DATABASE_ID');
 
+// Minutes without heartbeat before a working agent is flipped to offline
+const agentOfflineMinutes = defineString('AGENT_OFFLINE_MINUTES', { default: '15' });
+
 const NOTION_API_BASE = 'https://api.notion.com/v1';
 
-// Status values to exclude (completed/archived)
-const EXCLUDED_STATUSES = [
-  'concluído',
-  'concluido',
-  'arquivado',
-  'done',
-  'completed',
-  'archived',
-  'cancelado',
-  'cancelled'
-];
+// Task mapping config: config/notionTasks
+// { databaseId, databases: { [databaseId]: { properties, statusType, excludedStatuses, sortProperty } } }
+// Without a mapping for the database, notion-mapping.json (the original task database) applies
+const NOTION_CONFIG_DOC = 'notionTasks';
+const DEFAULT_NOTION_MAPPING = require('./notion-mapping.json');
+const NOTION_CONFIG_TTL = 5 * 60 * 1000; // Config read at most every 5 minutes per instance
+
+let notionConfigCache = null;
+let notionSchemaCache = null; // { databaseId, properties, loadedAt }
+
+// Task fields editable from the dashboard (mapping fields) and the ones with a list of choices
+const EDITABLE_TASK_FIELDS = ['status', 'priority', 'dueDate', 'agent'];
+const TASK_OPTION_FIELDS = ['status', 'priority', 'agent'];
+
+// Notion returns at most 100 pages per query; safety cap on the pages followed
+const NOTION_PAGE_SIZE = 100;
+const MAX_NOTION_QUERY_PAGES = 50;
+
+// Relation fields shown by title (Notion only returns the related page IDs)
+const RELATION_TITLE_FIELDS = ['deal', 'stakeholders'];
+const RELATION_TITLE_TTL = 30 * 60 * 1000; // Titles cached per instance for 30 minutes
+const RELATION_TITLE_CONCURRENCY = 5;      // Page reads in parallel (Notion allows ~3 requests/s on average)
+
+const relationTitlesCache = new Map(); // pageId -> { title, loadedAt } (title null: page not shared with the integration)
+
+/**
+ * Build the Notion filter for a task query
+ * Full sync: open tasks only. Incremental sync: every task edited since the given time,
+ * including the ones completed meanwhile (so the client can drop them)
+ * @param {Date|null} since - Last sync time (null for a full sync)
+ * @param {Object} mapping - Database mapping (status property and excluded statuses)
+ * @returns {Object} Notion filter
+ */
+function buildNotionFilter(since, mapping) {
+  if (since) {
+    return {
+      timestamp: 'last_edited_time',
+      last_edited_time: { on_or_after: since.toISOString() }
+    };
+  }
+
+  return {
+    and: mapping.excludedStatuses.map(status => ({
+      property: mapping.properties.status[0],
+      [mapping.statusType]: {
+        does_not_equal: status
+      }
+    }))
+  };
+}
+
+/**
+ * Resolve the Notion database and its property mapping
+ * The database comes from config/notionTasks (databaseId) or the NOTION_DATABASE_ID param
+ * @param {string} defaultDatabaseId - NOTION_DATABASE_ID param
+ * @returns {Promise<Object>} { databaseId, mapping }
+ */
+async function getNotionConfig(defaultDatabaseId) {
+  if (!notionConfigCache || Date.now() - notionConfigCache.loadedAt > NOTION_CONFIG_TTL) {
+    const snapshot = await db.collection('config').doc(NOTION_CONFIG_DOC).get();
+    notionConfigCache = { data: snapshot.exists ? snapshot.data() : {}, loadedAt: Date.now() };
+  }
+
+  const config = notionConfigCache.data;
+  const databaseId = config.databaseId || defaultDatabaseId;
+  const databases = config.databases || {};
+
+  // Database IDs are accepted with or without dashes
+  const normalizedId = (databaseId || '').replace(/-/g, '');
+  const key = Object.keys(databases).find(id => id.replace(/-/g, '') === normalizedId);
+
+  return { databaseId, mapping: mergeNotionMapping(key ? databases[key] : {}) };
+}
+
+/**
+ * Fill a database mapping with the default values (missing properties keep the default names)
+ * @param {Object} mapping - Mapping from the config document
+ * @returns {Object} Complete mapping
+ */
+function mergeNotionMapping(mapping) {
+  const properties = { ...DEFAULT_NOTION_MAPPING.properties };
+  Object.entries(mapping.properties || {}).forEach(([field, names]) => {
+    properties[field] = Array.isArray(names) ? names : [names];
+  });
+
+  return {
+    properties,
+    statusType: mapping.statusType || DEFAULT_NOTION_MAPPING.statusType,
+    excludedStatuses: mapping.excludedStatuses || DEFAULT_NOTION_MAPPING.excludedStatuses,
+    sortProperty: mapping.sortProperty || DEFAULT_NOTION_MAPPING.sortProperty
+  };
+}
+
+/**
+ * Call the Notion API
+ * @param {string} apiKey - Notion API key
+ * @param {string} path - API path (e.g. /pages/{id})
+ * @param {Object} [options] - { method, body }
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With status and details when Notion answers with an error
+ */
+async function notionRequest(apiKey, path, { method = 'GET', body } = {}) {
+  const notionResponse = await fetch(`${NOTION_API_BASE}${path}`, {
+    method,
+    headers: {
+      'Authorization': `Bearer ${apiKey}`,
+      'Notion-Version': '2022-06-28',
+      'Content-Type': 'application/json'
+    },
+    ...(body && { body: JSON.stringify(body) })
+  });
+
+  if (!notionResponse.ok) {
+    const error = new Error('Notion API error');
+    error.status = notionResponse.status;
+    error.details = await notionResponse.json().catch(() => ({}));
+    throw error;
+  }
+
+  return notionResponse.json();
+}
+
+/**
+ * Query a Notion database following next_cursor until has_more is false
+ * @param {string} apiKey - Notion API key
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} body - Query body (filter, sorts)
+ * @returns {Promise<Array>} Pages of every result page
+ */
+async function queryNotionDatabase(apiKey, databaseId, body) {
+  const results = [];
+  let cursor;
+
+  for (let page = 0; page < MAX_NOTION_QUERY_PAGES; page++) {
+    const data = await notionRequest(apiKey, `/databases/${databaseId}/query`, {
+      method: 'POST',
+      body: {
+        ...body,
+        page_size: NOTION_PAGE_SIZE,
+        ...(cursor && { start_cursor: cursor })
+      }
+    });
+
+    results.push(...data.results);
+
+    if (!data.has_more) return results;
+    cursor = data.next_cursor;
+  }
+
+  console.warn(`Notion query truncated at ${MAX_NOTION_QUERY_PAGES * NOTION_PAGE_SIZE} tasks`);
+  return results;
+}
+
+/**
+ * Get the titles of the pages referenced by the relation fields of the tasks
+ * Pages the integration cannot read are left out (the client shows a short ID)
+ * @param {string} apiKey - Notion API key
+ * @param {Array} pages - Task pages
+ * @param {Object} mapping - Database mapping
+ * @returns {Promise<Object>} { [pageId]: title }
+ */
+async function getRelationTitles(apiKey, pages, mapping) {
+  const ids = new Set();
+  pages.forEach(page => {
+    RELATION_TITLE_FIELDS.forEach(field => {
+      const name = mapping.properties[field].find(candidate => page.properties[candidate]);
+      const property = name && page.properties[name];
+      if (property && property.type === 'relation') {
+        property.relation.forEach(relation => ids.add(relation.id));
+      }
+    });
+  });
+
+  const now = Date.now();
+  const missing = [...ids].filter(id => {
+    const cached = relationTitlesCache.get(id);
+    return !cached || now - cached.loadedAt > RELATION_TITLE_TTL;
+  });
+
+  // A few workers share the queue of pages to read
+  const workers = Array.from({ length: Math.min(RELATION_TITLE_CONCURRENCY, missing.length) }, async () => {
+    while (missing.length > 0) {
+      const id = missing.shift();
+      let title = null;
+      try {
+        const page = await notionRequest(apiKey, `/pages/${id}`);
+        const titleProperty = Object.values(page.properties || {}).find(property => property.type === 'title');
+        title = titleProperty ? titleProperty.title.map(text => text.plain_text).join('') || null : null;
+      } catch (error) {
+        console.warn(`Could not read related Notion page ${id}:`, error.status || error.message);
+      }
+      relationTitlesCache.set(id, { title, loadedAt: Date.now() });
+    }
+  });
+  await Promise.all(workers);
+
+  const titles = {};
+  ids.forEach(id => {
+    const cached = relationTitlesCache.get(id);
+    if (cached && cached.title) titles[id] = cached.title;
+  });
+  return titles;
+}
+
+/**
+ * Get the choices of the mapped select/status properties (for the task card editors)
+ * The database schema is cached like the mapping config
+ * @param {string} apiKey - Notion API key
+ * @param {string} databaseId - Notion database ID
+ * @param {Object} mapping - Database mapping
+ * @returns {Promise<Object>} { status: [...], priority: [...], agent: [...] } (fields with choices only)
+ */
+async function getTaskOptions(apiKey, databaseId, mapping) {
+  if (!notionSchemaCache || notionSchemaCache.databaseId !== databaseId ||
+    Date.now() - notionSchemaCache.loadedAt > NOTION_CONFIG_TTL) {
+    const database = await notionRequest(apiKey, `/databases/${databaseId}`);
+    notionSchemaCache = { databaseId, properties: database.properties, loadedAt: Date.now() };
+  }
+
+  const { properties } = notionSchemaCache;
+  const options = {};
+
+  TASK_OPTION_FIELDS.forEach(field => {
+    const name = mapping.properties[field].find(candidate => properties[candidate]);
+    const property = name && properties[name];
+    const choices = property && property[property.type] && property[property.type].options;
+    if (choices) {
+      options[field] = choices.map(option => option.name);
+    }
+  });
+
+  return options;
+}
 
 /**
  * Proxy function to fetch tasks from Notion
- * Handles CORS and authentication
+ * Handles CORS and authentication (Firebase ID token of an editor, like updateNotionTask)
+ * Returns every open task (all result pages), or with ?since=<ISO date> only the
+ * tasks edited since then (incremental sync, completed ones included)
+ * The response carries the database ID and its property mapping, used by the client to parse the pages,
+ * the choices of the editable select/status properties and the titles of the related pages (deal, stakeholders)
  */
 exports.getNotionTasks = onRequest(
   {
@@ -44,8 +284,14 @@ exports.getNotionTasks = onRequest(
           return;
         }
 
+        const editor = await verifyTaskEditor(req);
+        if (editor.error) {
+          res.status(editor.status).json({ error: editor.error });
+          return;
+        }
+
         const apiKey = notionApiKey.value();
-        const databaseId = notionDatabaseId.value();
+        const { databaseId, mapping } = await getNotionConfig(notionDatabaseId.value());
 
         if (!apiKey || !databaseId) {
           console.error('Missing Notion configuration');
@@ -53,51 +299,59 @@ exports.getNotionTasks = onRequest(
           return;
         }
 
-        // Build filter to exclude completed/archived tasks
-        const filter = {
-          and: EXCLUDED_STATUSES.map(status => ({
-            property: 'Status',
-            status: {
-              does_not_equal: status
-            }
-          }))
-        };
-
-        // Query Notion database
-        const notionResponse = await fetch(
-          `${NOTION_API_BASE}/databases/${databaseId}/query`,
-          {
-            method: 'POST',
-            headers: {
-              'Authorization': `Bearer ${apiKey}`,
-              'Notion-Version': '2022-06-28',
-              'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-              filter,
-              sorts: [
-                {
-                  property: 'Data de início',
-                  direction: 'descending'
-                }
-              ]
-            })
-          }
-        );
-
-        if (!notionResponse.ok) {
-          const errorData = await notionResponse.json();
-          console.error('Notion API error:', errorData);
-          res.status(notionResponse.status).json(errorData);
+        const since = req.query.since ? new Date(req.query.since) : null;
+        if (since && Number.isNaN(since.getTime())) {
+          res.status(400).json({ error: 'Invalid since date' });
           return;
         }
 
-        const data = await notionResponse.json();
+        // Taken before querying, so edits made during the query are picked up by the next sync
+        const syncedAt = new Date().toISOString();
 
-        // Return the results
-        res.status(200).json(data);
+        const [results, options] = await Promise.all([
+          queryNotionDatabase(apiKey, databaseId, {
+            filter: buildNotionFilter(since, mapping),
+            sorts: [
+              {
+                property: mapping.sortProperty,
+                direction: 'descending'
+              }
+            ]
+          }),
+          // Choices are only needed to edit tasks: a schema error does not fail the list
+          getTaskOptions(apiKey, databaseId, mapping).catch(error => {
+            console.warn('Could not load Notion database schema:', error.details || error);
+            return null;
+          })
+        ]);
+
+        // Titles only label the relations: an error does not fail the list
+        const relationTitles = await getRelationTitles(apiKey, results, mapping).catch(error => {
+          console.warn('Could not load Notion relation titles:', error);
+          return {};
+        });
+
+        // Same shape as a Notion query response, with every page of results
+        res.status(200).json({
+          object: 'list',
+          results,
+          has_more: false,
+          next_cursor: null,
+          incremental: Boolean(since),
+          syncedAt,
+          databaseId,
+          mapping,
+          options,
+          relationTitles
+        });
 
       } catch (error) {
+        if (error.status) {
+          console.error('Notion API error:', error.details);
+          res.status(error.status).json(error.details);
+          return;
+        }
+
         console.error('Error fetching Notion tasks:', error);
         res.status(500).json({
           error: 'Failed to fetch tasks',
@@ -108,6 +362,634 @@ exports.getNotionTasks = onRequest(
   }
 );
 
+/**
+ * Validate the changes of a task edit
+ * @param {Object} body - Request body ({ pageId, changes })
+ * @returns {Array} Error messages (empty when valid)
+ */
+function validateTaskChanges(body) {
+  const errors = [];
+  const { pageId, changes } = body || {};
+
+  if (typeof pageId !== 'string' || !/^[0-9a-f]{32}$/i.test(pageId.replace(/-/g, ''))) {
+    errors.push('pageId must be a Notion page ID');
+  }
+
+  if (!changes || typeof changes !== 'object' || Object.keys(changes).length === 0) {
+    errors.push('changes must have at least one field');
+    return errors;
+  }
+
+  Object.entries(changes).forEach(([field, value]) => {
+    if (!EDITABLE_TASK_FIELDS.includes(field)) {
+      errors.push(`${field} is not editable (use ${EDITABLE_TASK_FIELDS.join(', ')})`);
+    } else if (value !== null && (typeof value !== 'string' || value.length > 200)) {
+      errors.push(`${field} must be a string (up to 200 characters) or null`);
+    } else if (field === 'dueDate' && value !== null && Number.isNaN(new Date(value).getTime())) {
+      errors.push('dueDate must be an ISO date');
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Build the Notion property value for a task field
+ * @param {string} type - Notion property type
+ * @param {string|null} value - New value (null clears the property)
+ * @returns {Object|null} Property value, or null if the type is not supported
+ */
+function buildNotionPropertyValue(type, value) {
+  switch (type) {
+    case 'status':
+    case 'select':
+      return { [type]: value === null ? null : { name: value } };
+    case 'multi_select':
+      return { multi_select: value === null ? [] : [{ name: value }] };
+    case 'rich_text':
+      return { rich_text: value === null ? [] : [{ text: { content: value } }] };
+    case 'date':
+      return { date: value === null ? null : { start: value } };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Verify the Firebase ID token of the request and check the user is an editor
+ * (editor or admin in at least one project, like the Tasks view)
+ * @param {Object} req - Request
+ * @returns {Promise<Object>} { uid, error, status } (error set when not allowed)
+ */
+async function verifyTaskEditor(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearerMatch = authorization.match(/^Bearer\s+(.+)$/i);
+  if (!bearerMatch) {
+    return { error: 'Missing ID token', status: 401 };
+  }
+
+  let uid;
+  try {
+    ({ uid } = await getAuth().verifyIdToken(bearerMatch[1].trim()));
+  } catch (error) {
+    return { error: 'Invalid ID token', status: 401 };
+  }
+
+  const snapshot = await db.collection('project')
+    .where(`members.${uid}`, 'in', ['editor', 'admin'])
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    return { uid, error: 'Editing tasks requires the editor role', status: 403 };
+  }
+
+  return { uid };
+}
+
+/**
+ * Edit a Notion task (status, priority, due date or assigned agent)
+ * Body: { pageId, changes: { status?, priority?, dueDate?, agent? } } (null clears a field)
+ * Requires the Firebase ID token of an editor; only pages of the configured database are edited.
+ * Responds with the updated Notion page
+ */
+exports.updateNotionTask = onRequest(
+  {
+    cors: true,
+    region: 'southamerica-east1'
+  },
+  async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        if (req.method !== 'PATCH' && req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        const editor = await verifyTaskEditor(req);
+        if (editor.error) {
+          res.status(editor.status).json({ error: editor.error });
+          return;
+        }
+
+        const errors = validateTaskChanges(req.body);
+        if (errors.length > 0) {
+          res.status(400).json({ error: 'Invalid task changes', details: errors });
+          return;
+        }
+
+        const apiKey = notionApiKey.value();
+        const { databaseId, mapping } = await getNotionConfig(notionDatabaseId.value());
+
+        if (!apiKey || !databaseId) {
+          console.error('Missing Notion configuration');
+          res.status(500).json({ error: 'Server configuration error' });
+          return;
+        }
+
+        const { pageId, changes } = req.body;
+        const page = await notionRequest(apiKey, `/pages/${pageId}`);
+
+        const parentId = (page.parent && page.parent.database_id) || '';
+        if (parentId.replace(/-/g, '') !== databaseId.replace(/-/g, '')) {
+          res.status(404).json({ error: 'Task not found in the tasks database' });
+          return;
+        }
+
+        // Property types come from the page, so each database can use its own types
+        const properties = {};
+        for (const [field, value] of Object.entries(changes)) {
+          const name = mapping.properties[field].find(candidate => page.properties[candidate]);
+          const propertyValue = name && buildNotionPropertyValue(page.properties[name].type, value);
+
+          if (!propertyValue) {
+            res.status(400).json({
+              error: name
+                ? `Property ${name} (${page.properties[name].type}) cannot be edited`
+                : `The tasks database has no property for ${field}`
+            });
+            return;
+          }
+          properties[name] = propertyValue;
+        }
+
+        const updatedPage = await notionRequest(apiKey, `/pages/${pageId}`, {
+          method: 'PATCH',
+          body: { properties }
+        });
+
+        console.log(`Task ${pageId} updated by ${editor.uid}: ${Object.keys(changes).join(', ')}`);
+        res.status(200).json(updatedPage);
+
+      } catch (error) {
+        if (error.status) {
+          console.error('Notion API error:', error.details);
+          res.status(error.status).json(error.details);
+          return;
+        }
+
+        console.error('Error updating Notion task:', error);
+        res.status(500).json({
+          error: 'Failed to update task',
+          message: error.message
+        });
+      }
+    });
+  }
+);
+
+// Agent status set by each event type
+const EVENT_STATUS = {
+  start: 'working',
+  tool_use: 'working',
+  end: 'idle',
+  error: 'error',       // Agent failed (task/actionDetail carry the error message)
+  waiting: 'waiting',   // Awaiting user approval
+  blocked: 'blocked',   // Can't proceed (dependency, missing input...)
+  offline: 'offline'    // Stopped reporting
+};
+
+// Refreshes lastSeenAt only: no status change and no entry in the event log
+const HEARTBEAT_EVENT = 'heartbeat';
+
+// Agent fields that describe only the event that sent them: cleared when the next event omits them
+// (the dashboard keeps the last reported progress of a session from the event log)
+const PER_EVENT_AGENT_FIELDS = ['prompt', 'toolData', 'actionDetail', 'progress', 'stepsTotal', 'stepsDone', 'checklist'];
+
+// Day of the per-agent tasks-today counter (agents-store.js builds the same key to compare)
+const TASKS_DAY_TIME_ZONE = 'America/Sao_Paulo';
+
+// Optional agent profile fields, shown on the agent detail page
+const PROFILE_FIELDS = ['type', 'model', 'branch'];
+
+// Limits for the reported subtask checklist
+const MAX_CHECKLIST_ITEMS = 50;
+const MAX_CHECKLIST_LABEL_LENGTH = 200;
+
+// Document IDs: no slashes, reasonable length
+const ID_PATTERN = /^[A-Za-z0-9_.-]{1,128}$/;
+
+// Maximum length of free-text fields
+const MAX_TEXT_LENGTH = 20000;
+
+// Agent name and color end up in the dashboard markup and CSS: short name, hex color only
+const MAX_AGENT_NAME_LENGTH = 100;
+const AGENT_COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+/**
+ * Validate an event payload
+ * @param {Object} body - Request body
+ * @returns {Array<string>} List of validation errors (empty when valid)
+ */
+function validateEventPayload(body) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object') {
+    return ['Body must be a JSON object'];
+  }
+
+  if (typeof body.projectId !== 'string' || !ID_PATTERN.test(body.projectId)) {
+    errors.push('projectId must be a string of letters, numbers, "_", "-" or "."');
+  }
+  if (typeof body.agentId !== 'string' || !ID_PATTERN.test(body.agentId)) {
+    errors.push('agentId must be a string of letters, numbers, "_", "-" or "."');
+  }
+  if (body.parentAgentId !== undefined && body.parentAgentId !== null) {
+    if (typeof body.parentAgentId !== 'string' || !ID_PATTERN.test(body.parentAgentId)) {
+      errors.push('parentAgentId must be a string of letters, numbers, "_", "-" or "."');
+    } else if (body.parentAgentId === body.agentId) {
+      errors.push('parentAgentId must differ from agentId');
+    }
+  }
+  if (body.event !== HEARTBEAT_EVENT && !Object.prototype.hasOwnProperty.call(EVENT_STATUS, body.event)) {
+    errors.push(`event must be one of: ${[...Object.keys(EVENT_STATUS), HEARTBEAT_EVENT].join(', ')}`);
+  }
+
+  ['task', 'prompt', 'action', 'actionDetail', 'agentName', 'agentColor', 'sessionId', ...PROFILE_FIELDS].forEach(field => {
+    const value = body[field];
+    if (value === undefined || value === null) return;
+    if (typeof value !== 'string') {
+      errors.push(`${field} must be a string`);
+    } else if (value.length > MAX_TEXT_LENGTH) {
+      errors.push(`${field} must be at most ${MAX_TEXT_LENGTH} characters`);
+    }
+  });
+
+  if (body.toolData !== undefined && body.toolData !== null) {
+    const { toolData } = body;
+    if (typeof toolData !== 'object' || Array.isArray(toolData)) {
+      errors.push('toolData must be an object');
+    } else if (typeof toolData.tool !== 'string' || !toolData.tool) {
+      errors.push('toolData.tool must be a non-empty string');
+    } else if (toolData.input !== undefined && typeof toolData.input !== 'string') {
+      errors.push('toolData.input must be a string');
+    }
+  }
+
+  if (typeof body.agentName === 'string' && body.agentName.length > MAX_AGENT_NAME_LENGTH) {
+    errors.push(`agentName must be at most ${MAX_AGENT_NAME_LENGTH} characters`);
+  }
+  if (typeof body.agentColor === 'string' && !AGENT_COLOR_PATTERN.test(body.agentColor)) {
+    errors.push('agentColor must be a hex color (e.g. #3B82F6)');
+  }
+
+  errors.push(...validateProgress(body));
+
+  return errors;
+}
+
+/**
+ * Validate the progress reported by a producer
+ * Any of progress (0-100), stepsTotal/stepsDone or a checklist of subtasks
+ * @param {Object} body - Request body
+ * @returns {string[]} Validation errors
+ */
+function validateProgress(body) {
+  const errors = [];
+  const isSet = (value) => value !== undefined && value !== null;
+
+  if (isSet(body.progress) && (typeof body.progress !== 'number' || !(body.progress >= 0 && body.progress <= 100))) {
+    errors.push('progress must be a number between 0 and 100');
+  }
+
+  ['stepsTotal', 'stepsDone'].forEach(field => {
+    if (isSet(body[field]) && (!Number.isInteger(body[field]) || body[field] < 0)) {
+      errors.push(`${field} must be a non-negative integer`);
+    }
+  });
+  if (isSet(body.stepsDone) && !isSet(body.stepsTotal)) {
+    errors.push('stepsDone requires stepsTotal');
+  } else if (Number.isInteger(body.stepsDone) && Number.isInteger(body.stepsTotal) && body.stepsDone > body.stepsTotal) {
+    errors.push('stepsDone must not exceed stepsTotal');
+  }
+
+  if (isSet(body.checklist)) {
+    if (!Array.isArray(body.checklist) || body.checklist.length > MAX_CHECKLIST_ITEMS) {
+      errors.push(`checklist must be an array of at most ${MAX_CHECKLIST_ITEMS} items`);
+    } else if (!body.checklist.every(item => item && typeof item.label === 'string' && item.label.length <= MAX_CHECKLIST_LABEL_LENGTH && typeof item.done === 'boolean')) {
+      errors.push(`checklist items must be { label: string (max ${MAX_CHECKLIST_LABEL_LENGTH}), done: boolean }`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Read the ingestion key from the request headers
+ * Accepts "Authorization: Bearer <key>" or "X-Api-Key: <key>"
+ * @param {Object} req - HTTP request
+ * @returns {string|null} API key
+ */
+function getApiKeyFromRequest(req) {
+  const authorization = req.get('Authorization') || '';
+  const bearerMatch = authorization.match(/^Bearer\s+(.+)$/i);
+  if (bearerMatch) return bearerMatch[1].trim();
+
+  return req.get('X-Api-Key') || null;
+}
+
+/**
+ * Hash an API key (keys are stored by hash in apiKeys/{hash})
+ * @param {string} apiKey - Plain-text key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Pick the agent profile fields from a validated payload
+ * Profile fields describe the agent and only live on the agent document
+ * @param {Object} body - Validated request body
+ * @returns {Object} Profile fields present in the payload
+ */
+function buildAgentProfile(body) {
+  const profile = {};
+  PROFILE_FIELDS.forEach(field => {
+    if (typeof body[field] === 'string') profile[field] = body[field];
+  });
+  return profile;
+}
+
+/**
+ * Build the event log entry from a validated payload
+ * Optional fields are only stored when present
+ * @param {Object} body - Validated request body
+ * @returns {Object} Event document
+ */
+function buildEventDocument(body) {
+  const event = {
+    agentId: body.agentId,
+    event: body.event,
+    status: EVENT_STATUS[body.event],
+    timestamp: FieldValue.serverTimestamp()
+  };
+
+  ['agentName', 'agentColor', 'parentAgentId', 'task', 'prompt', 'action', 'actionDetail', 'sessionId'].forEach(field => {
+    if (typeof body[field] === 'string') event[field] = body[field];
+  });
+
+  // Reported progress (validated by validateProgress)
+  ['progress', 'stepsTotal', 'stepsDone'].forEach(field => {
+    if (typeof body[field] === 'number') event[field] = body[field];
+  });
+  if (Array.isArray(body.checklist)) {
+    event.checklist = body.checklist.map(item => ({ label: item.label, done: item.done }));
+  }
+
+  if (body.toolData) {
+    event.toolData = {
+      tool: body.toolData.tool,
+      ...(typeof body.toolData.input === 'string' && { input: body.toolData.input })
+    };
+  }
+
+  return event;
+}
+
+/**
+ * Get the current day of the tasks-today counter
+ * @returns {string} YYYY-MM-DD in TASKS_DAY_TIME_ZONE
+ */
+function getTasksDay() {
+  return new Intl.DateTimeFormat('en-CA', { timeZone: TASKS_DAY_TIME_ZONE }).format(new Date());
+}
+
+/**
+ * Event ingestion endpoint
+ * Updates the agent document and appends the event to the project log
+ * so producers don't need service-account credentials
+ *
+ * POST /api/events
+ * Authorization: Bearer <project API key>
+ * { projectId, agentId, parentAgentId, event, task, prompt, action, toolData }
+ *
+ * Every event refreshes the agent's lastSeenAt; event "heartbeat" does only that
+ */
+exports.ingestEvent = onRequest(
+  {
+    cors: true,
+    region: 'southamerica-east1'
+  },
+  async (req, res) => {
+    cors(req, res, async () => {
+      try {
+        if (req.method !== 'POST') {
+          res.status(405).json({ error: 'Method not allowed' });
+          return;
+        }
+
+        const apiKey = getApiKeyFromRequest(req);
+        if (!apiKey) {
+          res.status(401).json({ error: 'Missing API key' });
+          return;
+        }
+
+        const errors = validateEventPayload(req.body);
+        if (errors.length > 0) {
+          res.status(400).json({ error: 'Invalid event', details: errors });
+          return;
+        }
+
+        const { projectId, agentId } = req.body;
+
+        // Keys are per project: revoked keys and keys of other projects are rejected
+        const keyRef = db.collection('apiKeys').doc(hashApiKey(apiKey));
+        const keySnapshot = await keyRef.get();
+        if (!keySnapshot.exists || keySnapshot.get('revokedAt')) {
+          res.status(401).json({ error: 'Invalid API key' });
+          return;
+        }
+        if (keySnapshot.get('projectId') !== projectId) {
+          res.status(403).json({ error: 'API key not valid for this project' });
+          return;
+        }
+
+        const projectRef = db.collection('project').doc(projectId);
+        const agentRef = projectRef.collection('agents').doc(agentId);
+
+        if (req.body.event === HEARTBEAT_EVENT) {
+          const agentSnapshot = await agentRef.get();
+          if (!agentSnapshot.exists) {
+            res.status(404).json({ error: 'Agent not found, send a start event first' });
+            return;
+          }
+
+          const batch = db.batch();
+          batch.update(agentRef, { lastSeenAt: FieldValue.serverTimestamp() });
+          batch.update(keyRef, { lastUsedAt: FieldValue.serverTimestamp() });
+          await batch.commit();
+
+          res.status(200).json({ ok: true });
+          return;
+        }
+
+        const eventRef = projectRef.collection('events').doc();
+        const eventDoc = buildEventDocument(req.body);
+
+        await db.runTransaction(async (transaction) => {
+          const agentSnapshot = await transaction.get(agentRef);
+
+          // Current state of the agent (same fields the dashboard listens to)
+          const agentUpdate = {
+            ...eventDoc,
+            ...buildAgentProfile(req.body),
+            projectId,
+            currentTask: eventDoc.event === 'end' ? '' : (eventDoc.task || agentSnapshot.get('currentTask') || ''),
+            lastSeenAt: FieldValue.serverTimestamp(),
+            updatedAt: FieldValue.serverTimestamp()
+          };
+
+          // Tasks started today: a start while already working is a progress update, not a new task
+          if (eventDoc.event === 'start' && agentSnapshot.get('status') !== 'working') {
+            const day = getTasksDay();
+            const counter = agentSnapshot.get('tasksToday');
+            agentUpdate.tasksToday = { day, count: counter?.day === day ? counter.count + 1 : 1 };
+          }
+
+          // The write merges: stale fields of the previous event would stay on the agent
+          PER_EVENT_AGENT_FIELDS.forEach(field => {
+            if (!(field in eventDoc)) agentUpdate[field] = FieldValue.delete();
+          });
+
+          // agents-store orders by createdAt, so it must exist from the first event
+          if (!agentSnapshot.exists) {
+            agentUpdate.createdAt = FieldValue.serverTimestamp();
+          }
+
+          transaction.set(agentRef, agentUpdate, { merge: true });
+          transaction.set(eventRef, eventDoc);
+          transaction.set(projectRef, {
+            updatedAt: FieldValue.serverTimestamp(),
+            lastActivityAt: FieldValue.serverTimestamp()
+          }, { merge: true });
+          transaction.update(keyRef, { lastUsedAt: FieldValue.serverTimestamp() });
+        });
+
+        res.status(201).json({ ok: true, eventId: eventRef.id });
+
+      } catch (error) {
+        console.error('Error ingesting event:', error);
+        res.status(500).json({
+          error: 'Failed to ingest event',
+          message: error.message
+        });
+      }
+    });
+  }
+);
+
+/**
+ * Watchdog for abandoned agents
+ * A producer that crashes mid-task leaves its agent "working" forever;
+ * agents without heartbeat for AGENT_OFFLINE_MINUTES are flipped to offline
+ * and the change is appended to the project event log.
+ * Each agent is flipped in its own transaction, which re-reads it first: an agent
+ * that reported after the query is left alone
+ */
+exports.markStaleAgentsOffline = onSchedule(
+  {
+    schedule: 'every 5 minutes',
+    region: 'southamerica-east1'
+  },
+  async () => {
+    const minutes = parseInt(agentOfflineMinutes.value(), 10) || 15;
+    const cutoff = new Date(Date.now() - minutes * 60 * 1000);
+
+    // Agents that never sent lastSeenAt (legacy producers) are not matched
+    const snapshot = await db.collectionGroup('agents')
+      .where('status', '==', 'working')
+      .where('lastSeenAt', '<', cutoff)
+      .get();
+
+    if (snapshot.empty) return;
+
+    const reason = `Sem heartbeat há mais de ${minutes} min`;
+    let marked = 0;
+
+    for (const queried of snapshot.docs) {
+      const isMarked = await db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(queried.ref);
+        const lastSeenAt = doc.get('lastSeenAt');
+        if (!doc.exists || doc.get('status') !== 'working' || !lastSeenAt || lastSeenAt.toMillis() >= cutoff.getTime()) {
+          return false;
+        }
+
+        transaction.update(doc.ref, {
+          status: 'offline',
+          event: 'offline',
+          updatedAt: FieldValue.serverTimestamp()
+        });
+
+        // project/{projectId}/agents/{agentId} -> log in project/{projectId}/events
+        const projectRef = doc.ref.parent.parent;
+        if (projectRef) {
+          transaction.set(projectRef.collection('events').doc(), {
+            agentId: doc.id,
+            agentName: doc.get('agentName') || doc.id,
+            ...(doc.get('agentColor') && { agentColor: doc.get('agentColor') }),
+            event: 'offline',
+            status: 'offline',
+            task: doc.get('currentTask') || '',
+            actionDetail: reason,
+            source: 'watchdog',
+            timestamp: FieldValue.serverTimestamp()
+          });
+        }
+        return true;
+      });
+
+      if (isMarked) marked++;
+    }
+
+    console.log(`Marked ${marked} of ${snapshot.size} stale agents as offline (no heartbeat since ${cutoff.toISOString()})`);
+  }
+);
+
+/**
+ * Whether an agent document counts as active
+ * @param {Object|null} agent - Agent data (null if the document doesn't exist)
+ * @returns {boolean}
+ */
+function isActiveAgent(agent) {
+  return Boolean(agent) && agent.status === 'working';
+}
+
+/**
+ * Project counters
+ * Keeps agentCount and activeAgentCount on the project document,
+ * so the dashboard lists projects without counting agents on every load.
+ * Triggers may run more than once for the same write, so the counts are recomputed
+ * from the agents subcollection (count aggregations) instead of incremented.
+ * lastActivityAt is set by ingestEvent, in the same transaction as the event
+ */
+exports.updateProjectCounters = onDocumentWritten(
+  {
+    document: 'project/{projectId}/agents/{agentId}',
+    region: 'southamerica-east1'
+  },
+  async (event) => {
+    const before = event.data.before.exists ? event.data.before.data() : null;
+    const after = event.data.after.exists ? event.data.after.data() : null;
+
+    // Most writes (events of a working agent, heartbeats) don't change the counts
+    const isCreatedOrDeleted = Boolean(before) !== Boolean(after);
+    if (!isCreatedOrDeleted && isActiveAgent(before) === isActiveAgent(after)) return;
+
+    const projectRef = db.collection('project').doc(event.params.projectId);
+    const agentsRef = projectRef.collection('agents');
+    const [total, active] = await Promise.all([
+      agentsRef.count().get(),
+      agentsRef.where('status', '==', 'working').count().get()
+    ]);
+
+    await projectRef.set({
+      agentCount: total.data().count,
+      activeAgentCount: active.data().count
+    }, { merge: true });
+  }
+);
+
 /**
  * Health check endpoint
  */
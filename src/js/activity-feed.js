@@ -1,9 +1,11 @@
 /**
  * Activity Feed
- * Shows recent agent activity in a sidebar feed
+ * Shows recent agent activity in a feed over the project canvas
  */
 
-const MAX_ITEMS = 15;
+import { escapeHtml } from './html.js';
+
+let maxItems = 15;
 let feedContainer = null;
 let activities = [];
 
@@ -67,14 +69,33 @@ export function addActivity(activity) {
   });
 
   // Limit activities
-  if (activities.length > MAX_ITEMS) {
-    activities = activities.slice(0, MAX_ITEMS);
+  if (activities.length > maxItems) {
+    activities = activities.slice(0, maxItems);
   }
 
   // Render feed
   renderFeed();
 }
 
+/**
+ * Replace the feed with a list of past activities
+ * Used to rebuild the feed from the persisted event log
+ * @param {Array} activityList - Activities, oldest first
+ */
+export function loadActivities(activityList) {
+  activities = activityList
+    .slice(-maxItems)
+    .reverse()
+    .map((activity, index) => ({
+      ...activity,
+      id: Date.now() + index,
+      agentColor: activity.agentColor ?? '#FF6B35',
+      timestamp: activity.timestamp ?? new Date()
+    }));
+
+  renderFeed();
+}
+
 /**
  * Render activity feed
  */
@@ -88,11 +109,11 @@ function renderFeed() {
   }
 
   list.innerHTML = activities.map((activity, index) => `
-    <div class="activity-item ${index === 0 ? 'new' : ''}" style="--agent-color: ${activity.agentColor}">
-      <div class="activity-indicator ${activity.event}"></div>
+    <div class="activity-item ${index === 0 ? 'new' : ''}" style="--agent-color: ${escapeHtml(activity.agentColor)}">
+      <div class="activity-indicator ${activity.event === 'start' ? 'start' : 'end'}"></div>
       <div class="activity-content">
-        <div class="activity-agent">${activity.agentName}</div>
-        <div class="activity-task">${activity.event === 'start' ? activity.task || 'Started working' : 'Task completed'}</div>
+        <div class="activity-agent-name">${escapeHtml(activity.agentName)}</div>
+        <div class="activity-task">${activity.event === 'start' ? escapeHtml(activity.task || 'Começou a trabalhar') : 'Tarefa concluída'}</div>
       </div>
       <div class="activity-time">${formatTime(activity.timestamp)}</div>
     </div>
@@ -130,6 +151,27 @@ export function toggleActivityFeed(show) {
   }
 }
 
+/**
+ * Set the maximum number of activities kept in the feed
+ * @param {number} count - Maximum number of items
+ */
+export function setMaxItems(count) {
+  maxItems = count;
+
+  if (activities.length > maxItems) {
+    activities = activities.slice(0, maxItems);
+    renderFeed();
+  }
+}
+
+/**
+ * Get the maximum number of activities kept in the feed
+ * @returns {number}
+ */
+export function getMaxItems() {
+  return maxItems;
+}
+
 /**
  * Get activities
  */
@@ -0,0 +1,33 @@
+/**
+ * Agent States
+ * Single definition of the agent lifecycle states and of the status each event sets
+ * (same mapping as the ingestion endpoint in functions/index.js)
+ */
+
+// Lifecycle states beyond idle/working, with the label shown on the node
+// error: failed, waiting: awaiting user approval, blocked: can't proceed, offline: stopped reporting
+export const LIFECYCLE_STATE_LABELS = {
+  error: 'Erro',
+  waiting: 'Aguardando',
+  blocked: 'Bloqueado',
+  offline: 'Offline'
+};
+
+export const LIFECYCLE_STATES = Object.keys(LIFECYCLE_STATE_LABELS);
+
+// Agent status set by each event type (lifecycle events have the name of their state)
+export const EVENT_STATUS = {
+  start: 'working',
+  tool_use: 'working',
+  end: 'idle',
+  ...Object.fromEntries(LIFECYCLE_STATES.map(state => [state, state]))
+};
+
+/**
+ * Check if a status is a lifecycle state beyond idle/working
+ * @param {string} status - Agent status
+ * @returns {boolean}
+ */
+export function isLifecycleState(status) {
+  return LIFECYCLE_STATES.includes(status);
+}
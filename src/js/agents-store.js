@@ -5,9 +5,19 @@
  */
 
 import { db } from './firebase-config.js';
-import { collection, onSnapshot, query, orderBy } from 'firebase/firestore';
+import { collection, collectionGroup, doc, getDoc, getDocs, onSnapshot, query, orderBy, where } from 'firebase/firestore';
 import { queueAnimation, clearQueue } from './animation-queue.js';
 import { getCache, setCache, invalidateProjectCache } from './cache-manager.js';
+import { reportSnapshot, reportListenerError, clearSource } from './connection-status.js';
+import { isLifecycleState } from './agent-states.js';
+
+// Watchdog: working agents that stop refreshing lastSeenAt (heartbeat)
+// are shown as stale and, later, as offline
+const WATCHDOG_CONFIG = {
+  STALE_AFTER: 2 * 60 * 1000,     // Without heartbeat for 2 min → stale
+  OFFLINE_AFTER: 10 * 60 * 1000,  // Without heartbeat for 10 min → offline
+  CHECK_INTERVAL: 30 * 1000       // How often agents are checked
+};
 
 // State
 const agents = new Map();
@@ -15,8 +25,18 @@ const previousStatuses = new Map();
 let unsubscribe = null;
 let onUpdateCallback = null;
 let onStatusChangeCallback = null;
+let onErrorCallback = null;
 let currentProjectId = null;
 
+// Agent pool (every project): projectId/agentId -> agent
+const POOL_QUERY_CHUNK = 10; // The rules check membership with one get() per project, at most 10 per request
+
+// Day of the tasks-today counter: YYYY-MM-DD in the same time zone as the ingestion endpoint
+const TASKS_DAY_FORMAT = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/Sao_Paulo' });
+const poolAgents = new Map();
+let poolUnsubscribes = [];
+let watchdogInterval = null;
+
 /**
  * Initialize the agents listener for a specific project
  * Listens to subcollection: project/{projectId}/agents
@@ -38,16 +58,8 @@ export function initAgentsListener(projectId = null) {
 
   currentProjectId = projectId;
 
-  // Listen to agents subcollection: project/{projectId}/agents
-  const agentsRef = collection(db, 'project', projectId, 'agents');
-  const q = query(agentsRef, orderBy('createdAt', 'asc'));
-
-  console.log(`👀 Listening to agents for project: ${projectId}`);
-  console.log(`   Path: project/${projectId}/agents`);
-
-  // Check cache for initial data
-  const cacheKey = `agents_${projectId}`;
-  const cached = getCache(cacheKey);
+  // Check cache for initial data (stale data is still better than an empty canvas offline)
+  const cached = getCache(`agents_${projectId}`, { allowStale: true });
   if (cached && cached.length > 0) {
     console.log(`📦 Loading ${cached.length} agents from cache`);
     cached.forEach(agent => {
@@ -59,22 +71,50 @@ export function initAgentsListener(projectId = null) {
     }
   }
 
+  subscribeToAgents(projectId);
+  startWatchdog();
+}
+
+/**
+ * Subscribe to project/{projectId}/agents (also used to resubscribe after an error)
+ * @param {string} projectId - Project ID
+ */
+function subscribeToAgents(projectId) {
+  const agentsRef = collection(db, 'project', projectId, 'agents');
+  const q = query(agentsRef, orderBy('createdAt', 'asc'));
+  const cacheKey = `agents_${projectId}`;
+
+  console.log(`👀 Listening to agents for project: ${projectId}`);
+  console.log(`   Path: project/${projectId}/agents`);
+
+  let isFirstSnapshot = true;
+
   unsubscribe = onSnapshot(q, (snapshot) => {
     console.log(`📡 Firestore snapshot received: ${snapshot.docChanges().length} changes`);
+    reportSnapshot('agents', snapshot.metadata);
+
+    const isInitialLoad = isFirstSnapshot;
+
+    // Agents from the cache or from before a reconnect may have been removed meanwhile
+    if (isFirstSnapshot) {
+      isFirstSnapshot = false;
+      const ids = new Set(snapshot.docs.map(agentDoc => agentDoc.id));
+      [...agents.values()].filter(agent => !ids.has(agent.id)).forEach(handleAgentRemoved);
+    }
 
     snapshot.docChanges().forEach((change) => {
-      const docData = change.doc.data();
-      const agent = {
-        id: change.doc.id,
-        // Map fields from new structure
-        name: docData.agentName || docData.name || change.doc.id,
-        ...docData
-      };
+      const agent = normalizeAgent(change.doc);
 
       console.log(`   📄 Change type: ${change.type}, Agent: ${agent.id}, Status: ${agent.status}`);
 
       if (change.type === 'added') {
-        handleAgentAdded(agent);
+        // Agents already silent when the project opens are loaded as offline, and agents
+        // already working are not reported as starting: the first snapshot does not alert
+        if (isInitialLoad) {
+          handleAgentAdded(applyInitialHealth(agent), { notify: false });
+        } else {
+          handleAgentAdded(agent);
+        }
       }
 
       if (change.type === 'modified') {
@@ -90,6 +130,9 @@ export function initAgentsListener(projectId = null) {
     const agentsArray = Array.from(agents.values());
     setCache(cacheKey, agentsArray);
 
+    // Agents added or modified later may be silent too (the first snapshot is handled on add)
+    checkAgentsHealth();
+
     // Trigger update callback
     if (onUpdateCallback) {
       onUpdateCallback(agents);
@@ -97,13 +140,288 @@ export function initAgentsListener(projectId = null) {
   }, (error) => {
     console.error('❌ Error listening to agents:', error);
     console.error(`   Path: project/${projectId}/agents`);
+
+    // The listener is closed after an error: resubscribe with backoff (unless stopped meanwhile)
+    unsubscribe = null;
+    reportListenerError('agents', error, () => {
+      if (currentProjectId === projectId && !unsubscribe) subscribeToAgents(projectId);
+    });
+
+    if (onErrorCallback) {
+      onErrorCallback(error, projectId);
+    }
+  });
+}
+
+/**
+ * Convert a Firestore agent document into an agent object
+ * @param {Object} agentDoc - Firestore document snapshot
+ * @returns {Object} Agent
+ */
+function normalizeAgent(agentDoc) {
+  const docData = agentDoc.data();
+  return {
+    id: agentDoc.id,
+    // Map fields from new structure
+    name: docData.agentName || docData.name || agentDoc.id,
+    ...docData,
+    // Sub-agents point to the agent that spawned them (Task tool)
+    parentAgentId: docData.parentAgentId || null
+  };
+}
+
+/**
+ * Fetch a single agent, without listening to the project
+ * @param {string} projectId - Project ID
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Object|null>} Agent or null if it doesn't exist
+ */
+export async function fetchAgent(projectId, agentId) {
+  const agentDoc = await getDoc(doc(db, 'project', projectId, 'agents', agentId));
+  return agentDoc.exists() ? normalizeAgent(agentDoc) : null;
+}
+
+/**
+ * Fetch all agents of a project, without listening to changes
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} Agents
+ */
+export async function fetchProjectAgents(projectId) {
+  const snapshot = await getDocs(query(collection(db, 'project', projectId, 'agents'), orderBy('createdAt', 'asc')));
+  return snapshot.docs.map(normalizeAgent);
+}
+
+/**
+ * Fetch the agents of many projects once, with collection-group queries (same chunks as the pool listener)
+ * @param {string[]} projectIds - Project IDs
+ * @returns {Promise<Array>} Agents (each with projectId, lastActivityAt, isStale and tasksToday)
+ */
+export async function fetchAgentPool(projectIds) {
+  const chunks = [];
+  for (let i = 0; i < projectIds.length; i += POOL_QUERY_CHUNK) {
+    chunks.push(projectIds.slice(i, i + POOL_QUERY_CHUNK));
+  }
+
+  const snapshots = await Promise.all(chunks.map(chunk =>
+    getDocs(query(collectionGroup(db, 'agents'), where('projectId', 'in', chunk)))
+  ));
+  return snapshots.flatMap(snapshot =>
+    snapshot.docs.map(agentDoc => normalizePoolAgent(agentDoc, agentDoc.ref.parent.parent.id))
+  );
+}
+
+/**
+ * Listen to the agents of many projects with collection-group queries
+ * Queries are filtered by projectId, so the rules only allow projects the user is a member of
+ * @param {string[]} projectIds - Project IDs
+ * @param {Function} callback - Called with all agents (each with projectId, lastActivityAt, isStale and tasksToday)
+ */
+export function listenToAgentPool(projectIds, callback) {
+  stopAgentPoolListener();
+
+  for (let i = 0; i < projectIds.length; i += POOL_QUERY_CHUNK) {
+    subscribeToPoolChunk(poolUnsubscribes.length, projectIds.slice(i, i + POOL_QUERY_CHUNK), callback);
+  }
+
+  console.log(`👀 Listening to agent pool (${projectIds.length} projects)`);
+}
+
+/**
+ * Subscribe to the agents of a chunk of projects (also used to resubscribe after an error)
+ * @param {number} index - Chunk index in poolUnsubscribes
+ * @param {string[]} chunk - Project IDs (at most POOL_QUERY_CHUNK)
+ * @param {Function} callback - Called with all agents
+ */
+function subscribeToPoolChunk(index, chunk, callback) {
+  const source = `agentPool/${index}`;
+  const q = query(collectionGroup(db, 'agents'), where('projectId', 'in', chunk));
+
+  let isFirstSnapshot = true;
+
+  poolUnsubscribes[index] = onSnapshot(q, (snapshot) => {
+    reportSnapshot(source, snapshot.metadata);
+
+    // After a reconnect, drop agents of this chunk that were removed meanwhile
+    if (isFirstSnapshot) {
+      isFirstSnapshot = false;
+      const keys = new Set(snapshot.docs.map(agentDoc => `${agentDoc.ref.parent.parent.id}/${agentDoc.id}`));
+      [...poolAgents.entries()]
+        .filter(([key, agent]) => chunk.includes(agent.projectId) && !keys.has(key))
+        .forEach(([key]) => poolAgents.delete(key));
+    }
+
+    snapshot.docChanges().forEach((change) => {
+      const projectId = change.doc.ref.parent.parent.id;
+      const key = `${projectId}/${change.doc.id}`;
+
+      if (change.type === 'removed') {
+        poolAgents.delete(key);
+      } else {
+        poolAgents.set(key, normalizePoolAgent(change.doc, projectId));
+      }
+    });
+
+    callback([...poolAgents.values()]);
+  }, (error) => {
+    console.error('❌ Error listening to agent pool:', error);
+
+    // Resubscribe this chunk with backoff (unless the pool listener was stopped meanwhile)
+    poolUnsubscribes[index] = null;
+    reportListenerError(source, error, () => {
+      if (index < poolUnsubscribes.length && !poolUnsubscribes[index]) {
+        subscribeToPoolChunk(index, chunk, callback);
+      }
+    });
   });
 }
 
+/**
+ * Stop the agent pool listeners
+ */
+export function stopAgentPoolListener() {
+  if (poolUnsubscribes.length > 0) {
+    poolUnsubscribes.forEach((unsub, index) => {
+      clearSource(`agentPool/${index}`);
+      if (unsub) unsub();
+    });
+    poolUnsubscribes = [];
+    console.log('🔇 Stopped agent pool listener');
+  }
+  poolAgents.clear();
+}
+
+/**
+ * Convert an agent document from the collection-group query
+ * @param {Object} agentDoc - Firestore document snapshot
+ * @param {string} projectId - Project the agent belongs to
+ * @returns {Object} Agent
+ */
+function normalizePoolAgent(agentDoc, projectId) {
+  const agent = normalizeAgent(agentDoc);
+  const lastSeen = toMillis(agent.lastSeenAt);
+
+  return {
+    ...agent,
+    projectId,
+    lastActivityAt: lastSeen || toMillis(agent.updatedAt),
+    // Same rule as the watchdog, evaluated when the snapshot arrives
+    isStale: agent.status === 'working' && Boolean(lastSeen) && Date.now() - lastSeen >= WATCHDOG_CONFIG.STALE_AFTER,
+    tasksToday: getTasksToday(agent.tasksToday)
+  };
+}
+
+/**
+ * Get the tasks an agent started today from its counter (kept by the ingestion endpoint)
+ * @param {Object} [counter] - { day: 'YYYY-MM-DD', count }
+ * @returns {number} The count if it is from today, 0 otherwise
+ */
+function getTasksToday(counter) {
+  const today = TASKS_DAY_FORMAT.format(new Date());
+  return counter?.day === today ? counter.count : 0;
+}
+
+/**
+ * Start the heartbeat watchdog
+ */
+function startWatchdog() {
+  stopWatchdog();
+  watchdogInterval = setInterval(() => {
+    if (checkAgentsHealth() && onUpdateCallback) {
+      onUpdateCallback(agents);
+    }
+  }, WATCHDOG_CONFIG.CHECK_INTERVAL);
+}
+
+/**
+ * Stop the heartbeat watchdog
+ */
+function stopWatchdog() {
+  if (watchdogInterval) {
+    clearInterval(watchdogInterval);
+    watchdogInterval = null;
+  }
+}
+
+/**
+ * Check working agents against their last heartbeat
+ * Stale agents are flagged (isStale); agents silent for longer are treated
+ * as offline locally until a new snapshot arrives from Firestore
+ * @returns {boolean} Whether any agent changed
+ */
+function checkAgentsHealth() {
+  let changed = false;
+
+  agents.forEach((agent) => {
+    const silentFor = getSilentFor(agent);
+    if (silentFor === null) return;
+
+    if (silentFor >= WATCHDOG_CONFIG.OFFLINE_AFTER) {
+      console.log(`💤 Agent ${agent.name}: no heartbeat for ${Math.round(silentFor / 60000)} min, marking offline`);
+      handleAgentModified({ ...agent, status: 'offline', isStale: false, offlineByWatchdog: true });
+      changed = true;
+    } else if (silentFor >= WATCHDOG_CONFIG.STALE_AFTER && !agent.isStale) {
+      console.log(`⏳ Agent ${agent.name}: no heartbeat for ${Math.round(silentFor / 1000)}s, marking stale`);
+      agents.set(agent.id, { ...agent, isStale: true });
+      changed = true;
+    }
+  });
+
+  return changed;
+}
+
+/**
+ * Apply the watchdog to an agent of the first snapshot, before it is added
+ * Unlike checkAgentsHealth, an agent silent for too long becomes offline with
+ * no animation and no status change callback (it was not seen going offline)
+ * @param {Object} agent - Agent
+ * @returns {Object} Agent, flagged stale or offline when its heartbeat stopped
+ */
+function applyInitialHealth(agent) {
+  const silentFor = getSilentFor(agent);
+  if (silentFor === null) return agent;
+
+  if (silentFor >= WATCHDOG_CONFIG.OFFLINE_AFTER) {
+    return { ...agent, status: 'offline', isStale: false, offlineByWatchdog: true };
+  }
+  if (silentFor >= WATCHDOG_CONFIG.STALE_AFTER) {
+    return { ...agent, isStale: true };
+  }
+  return agent;
+}
+
+/**
+ * Get how long a working agent has been without heartbeat
+ * @param {Object} agent - Agent
+ * @returns {number|null} Milliseconds since lastSeenAt, or null if not working
+ *   or its producer doesn't send lastSeenAt (never marked)
+ */
+function getSilentFor(agent) {
+  if (agent.status !== 'working') return null;
+
+  const lastSeen = toMillis(agent.lastSeenAt);
+  return lastSeen ? Date.now() - lastSeen : null;
+}
+
+/**
+ * Convert a Firestore Timestamp (live or from cache), Date or ISO string to milliseconds
+ * @param {*} value - Timestamp-like value
+ * @returns {number|null}
+ */
+function toMillis(value) {
+  if (!value) return null;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (typeof value.seconds === 'number') return value.seconds * 1000;
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
 /**
  * Handle when a new agent is added
+ * @param {Object} agent - Agent
+ * @param {Object} [options] - { notify: call the status change callback for a working agent }
  */
-function handleAgentAdded(agent) {
+function handleAgentAdded(agent, { notify = true } = {}) {
   console.log(`➕ Agent added: ${agent.name}`);
   agents.set(agent.id, agent);
   previousStatuses.set(agent.id, agent.status);
@@ -113,10 +431,11 @@ function handleAgentAdded(agent) {
     queueAnimation({
       type: 'focus',
       agentId: agent.id,
-      task: agent.currentTask
+      task: agent.currentTask,
+      parentAgentId: agent.parentAgentId
     });
     // Notify status change (agent started working)
-    if (onStatusChangeCallback) {
+    if (notify && onStatusChangeCallback) {
       onStatusChangeCallback(agent, 'start', agent.currentTask);
     }
   }
@@ -142,7 +461,8 @@ function handleAgentModified(agent) {
       queueAnimation({
         type: 'focus',
         agentId: agent.id,
-        task: agent.currentTask
+        task: agent.currentTask,
+        parentAgentId: agent.parentAgentId    // Sub-agent: lights up the delegation edge
       });
       // Notify status change (start working)
       if (onStatusChangeCallback) {
@@ -158,6 +478,17 @@ function handleAgentModified(agent) {
       if (onStatusChangeCallback) {
         onStatusChangeCallback(agent, 'end');
       }
+    } else if (isLifecycleState(agent.status)) {
+      console.log(`   ✅ Queueing ${agent.status.toUpperCase()} animation for ${agent.id}`);
+      queueAnimation({
+        type: agent.status,
+        agentId: agent.id,
+        task: agent.currentTask
+      });
+      // Notify status change (event has the same name as the status)
+      if (onStatusChangeCallback) {
+        onStatusChangeCallback(agent, agent.status, agent.currentTask);
+      }
     } else {
       console.log(`   ⏭️ Status changed but no animation needed (${previousStatus} → ${agent.status})`);
     }
@@ -210,6 +541,15 @@ export function getActiveAgentsCount() {
   return [...agents.values()].filter(a => a.status === 'working').length;
 }
 
+/**
+ * Get the sub-agents spawned by an agent
+ * @param {string} agentId - Parent agent ID
+ * @returns {Array} Child agents
+ */
+export function getChildAgents(agentId) {
+  return [...agents.values()].filter(a => a.parentAgentId === agentId);
+}
+
 /**
  * Set callback to be called on agent updates
  * @param {Function} callback - Function to call with agents map
@@ -221,16 +561,26 @@ export function onAgentsUpdate(callback) {
 /**
  * Set callback to be called on agent status changes
  * @param {Function} callback - Function to call with (agent, event, task)
- *   event: 'start' | 'end'
+ *   event: 'start' | 'end' | 'error' | 'waiting' | 'blocked' | 'offline'
  */
 export function onStatusChange(callback) {
   onStatusChangeCallback = callback;
 }
 
+/**
+ * Set callback to be called when the project listener fails
+ * @param {Function} callback - Function to call with (error, projectId)
+ */
+export function onAgentsError(callback) {
+  onErrorCallback = callback;
+}
+
 /**
  * Stop listening to agent changes
  */
 export function stopAgentsListener() {
+  stopWatchdog();
+  clearSource('agents');
   if (unsubscribe) {
     unsubscribe();
     unsubscribe = null;
@@ -265,6 +615,27 @@ export function clearAgentsStore() {
   onUpdateCallback = null;
 }
 
+/**
+ * Update watchdog configuration
+ * @param {Object} newConfig - New values (STALE_AFTER, OFFLINE_AFTER, CHECK_INTERVAL in ms)
+ */
+export function setWatchdogConfig(newConfig) {
+  Object.assign(WATCHDOG_CONFIG, newConfig);
+  console.log('⚙️ Watchdog config updated:', WATCHDOG_CONFIG);
+
+  if (watchdogInterval) {
+    startWatchdog();
+  }
+}
+
+/**
+ * Get current watchdog configuration
+ * @returns {Object}
+ */
+export function getWatchdogConfig() {
+  return { ...WATCHDOG_CONFIG };
+}
+
 /**
  * Refresh agents (invalidate cache and re-fetch)
  */
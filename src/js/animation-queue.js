@@ -3,16 +3,21 @@
  * Manages sequential processing of agent animations
  */
 
-import { animateFocus, animateUnfocus, getRenderer } from './renderer.js';
+import { animateFocus, animateUnfocus, animateStatus, getRenderer } from './renderer.js';
+import { LIFECYCLE_STATES } from './agent-states.js';
 
 // Configuration
 const CONFIG = {
   ANIMATION_DURATION: 1000,      // Duration of focus/unfocus animation
   FOCUS_DISPLAY_TIME: 5000,      // Minimum time to display focused agent
+  STATUS_DISPLAY_TIME: 1500,     // Time to hold an error/waiting/blocked/offline alert
   TRANSITION_DELAY: 500,         // Delay between animations
   MAX_QUEUE_SIZE: 50             // Maximum queue size to prevent memory issues
 };
 
+// Lifecycle states with a dedicated animation type
+const STATUS_ANIMATION_TYPES = LIFECYCLE_STATES;
+
 // State
 const queue = [];
 let isProcessing = false;
@@ -21,9 +26,10 @@ let currentAnimation = null;
 /**
  * Queue an animation event
  * @param {Object} event - Animation event object
- * @param {string} event.type - 'focus' or 'unfocus'
+ * @param {string} event.type - 'focus', 'unfocus' or a lifecycle state ('error' | 'waiting' | 'blocked' | 'offline')
  * @param {string} event.agentId - Agent ID
  * @param {string} [event.task] - Task description (for focus events)
+ * @param {string} [event.parentAgentId] - Parent that delegated the work (for focus events)
  */
 export function queueAnimation(event) {
   // Prevent queue overflow
@@ -43,6 +49,17 @@ export function queueAnimation(event) {
     }
   }
 
+  // A lifecycle state replaces any pending focus or state for the same agent
+  if (STATUS_ANIMATION_TYPES.includes(event.type)) {
+    const pendingIndex = queue.findIndex(
+      e => (e.type === 'focus' || STATUS_ANIMATION_TYPES.includes(e.type)) && e.agentId === event.agentId
+    );
+    if (pendingIndex !== -1) {
+      console.log(`⚡ Optimizing: replacing pending ${queue[pendingIndex].type} for ${event.agentId}`);
+      queue.splice(pendingIndex, 1);
+    }
+  }
+
   // If there's a pending focus for the same agent and we're queuing unfocus,
   // we can optimize by removing the focus (agent started and stopped quickly)
   if (event.type === 'unfocus') {
@@ -79,12 +96,15 @@ async function processQueue() {
 
   try {
     if (event.type === 'focus') {
-      await animateFocus(event.agentId, event.task);
+      await animateFocus(event.agentId, event.task, { delegatedBy: event.parentAgentId });
       // Keep agent in focus for minimum display time
       await sleep(CONFIG.FOCUS_DISPLAY_TIME);
     } else if (event.type === 'unfocus') {
       await animateUnfocus(event.agentId);
       await sleep(CONFIG.TRANSITION_DELAY);
+    } else if (STATUS_ANIMATION_TYPES.includes(event.type)) {
+      await animateStatus(event.agentId, event.type);
+      await sleep(CONFIG.STATUS_DISPLAY_TIME);
     }
   } catch (error) {
     console.error(`❌ Animation error for ${event.agentId}:`, error);
@@ -4,23 +4,57 @@
  * Supports multiple projects with routing, caching, and TV display features
  */
 
-import { initAgentsListener, onAgentsUpdate, onStatusChange, getAgents, getTotalAgentsCount, getActiveAgentsCount, getAgentsArray, stopAgentsListener, getAgent } from './agents-store.js';
-import { initRenderer, renderAgents, updateStatusBadges, animateFocus, animateUnfocus, zoomIn, zoomOut, resetZoom, centerView, fitToView, showHomeView, showProjectView, showTasksView, renderProjectsList, showHomeLoading, renderTasksList, showTasksLoading } from './renderer.js';
+import { initAgentsListener, onAgentsUpdate, onStatusChange, onAgentsError, getAgents, getTotalAgentsCount, getActiveAgentsCount, getAgentsArray, stopAgentsListener, listenToAgentPool, stopAgentPoolListener, getAgent, fetchAgent, fetchAgentPool, setWatchdogConfig, getWatchdogConfig } from './agents-store.js';
+import { isLifecycleState } from './agent-states.js';
+import { initRenderer, renderAgents, updateStatusBadges, animateFocus, animateUnfocus, zoomIn, zoomOut, resetZoom, centerView, fitToView, showHomeView, showProjectView, showAgentView, showAgentLoading, showAgentEmpty, renderAgentDetail, onAgentClick, showAgentPoolView, showAgentPoolLoading, showAgentPoolEmpty, renderAgentPool, showAnalyticsView, showLogsView, showSettingsView, showAnalyticsLoading, showAnalyticsEmpty, renderAnalyticsFilters, renderAnalytics, showTasksView, renderProjectsList, updateProjectCardActivity, showHomeLoading, renderTasksList, clearTasksList, setTasksEmptyHint, showTasksLoading, showTasksStatus, showAuthView, hideAuthView, showAuthMessage, renderUserChip, applyRoleVisibility, updateConnectionChip, showCanvasError, hideCanvasError } from './renderer.js';
 import { getQueueStatus, clearQueue, forceStopAnimations } from './animation-queue.js';
-import { initRouter, registerRoutes, navigateHome, navigateToProject, navigateToTasks, getCurrentProjectId } from './router.js';
-import { fetchProjects, getProjects, getProject, getProjectsArray, onProjectsUpdate } from './projects-store.js';
-import { clearAllCache, getCacheStats } from './cache-manager.js';
+import { initRouter, registerRoutes, navigateHome, navigateToProject, navigateToAgent, navigateToReplay, navigateToAgentPool, navigateToAnalytics, navigateToLogs, navigateToSettings, navigateToTasks, replaceTasksQuery, getCurrentProjectId, getCurrentRoute } from './router.js';
+import { fetchProjects, listenToProjects, stopProjectsListener, getProjects, getProject, getProjectsArray, onProjectsUpdate } from './projects-store.js';
+import { initCache, clearAllCache, getCacheStats } from './cache-manager.js';
+import { initConnectionStatus, onConnectionStatusChange, isPermissionError } from './connection-status.js';
 import { initParticles, createBurst } from './particles.js';
-import { initNotifications, showNotification, notifyAgentStart, notifyAgentEnd } from './notifications.js';
+import { initNotifications, showNotification, notifyAgentEvent } from './notifications.js';
 import { initAutoRotation, setProjects as setRotationProjects, startRotation, stopRotation, isRotationEnabled } from './auto-rotation.js';
 import { initTaskManager, showTaskBar, hideTaskBar, setMainTask, updateProgress, processAgentEvent, clearHistory } from './task-manager.js';
-import { fetchNotionTasks, getTasks, getPriorityColor, getStatusColor } from './notion-tasks-store.js';
+import { fetchNotionTasks, getTasks, getPriorityColor, getStatusColor, getTaskOptions, updateNotionTask, onTasksUpdate, isCompletedStatus } from './notion-tasks-store.js';
+import { initEventsListener, stopEventsListener, onEventsHistory, onNewEvent, hasEventLog, getEvents, fetchAgentEvents, fetchProjectEvents } from './events-store.js';
+import { computeAgentStats, computeProjectAnalytics } from './event-stats.js';
+import { initActivityFeed, addActivity, loadActivities, clearActivityFeed, toggleActivityFeed } from './activity-feed.js';
+import { escapeHtml } from './html.js';
+import { initLogsView, openLogs, closeLogs, showLogsEmpty, onLogsProjectChange } from './logs-view.js';
+import { initSettings, loadUserSettings, getSettings, saveSettings } from './settings-store.js';
+import { initTasksBoard, renderTasksBoard, hideTasksBoard, getTasksLayout, onTasksLayoutChange } from './tasks-board.js';
+import { initTasksFilters, setTasksFilters, applyTasksFilters, onTasksFiltersChange } from './tasks-filters.js';
+import { initReplay, openReplay, closeReplay, onReplayUpdate } from './replay.js';
+import { initSettingsView, openSettings } from './settings-view.js';
+import { initAuth, signInWithGoogle, sendEmailSignInLink, signOutUser, getCurrentUser, getHighestRole, isRoleAtLeast } from './auth.js';
+import { clearFirestoreCache } from './firebase-config.js';
 
 // Application state
 let isInitialized = false;
-let currentView = 'home'; // 'home' | 'project' | 'tasks'
+let currentView = 'home'; // 'home' | 'project' | 'agent' | 'agent-pool' | 'analytics' | 'logs' | 'settings' | 'tasks'
 let tasksToday = 0;
 let clockInterval = null;
+let userRole = null; // Highest role of the signed-in user across projects
+let hasSession = false; // A user signed in since the page loaded
+let homeProjectsKey = null;        // Project IDs and names rendered on home (re-render only when they change)
+let homeProjectIdsKey = null;      // Project IDs the home agent listener covers
+let homeSummaries = new Map();     // projectId -> live summary shown on its card
+let homePoolLoaded = false;        // First snapshot of the home agent listener received
+const homeAgentStates = new Map(); // projectId/agentId -> 'status|task', to detect starts
+let agentPoolAgents = [];
+let agentPoolSort = { key: 'lastActivity', direction: 'desc' };
+let analyticsProjectId = null;
+let analyticsRange = '24h';
+let analyticsRequestId = 0; // Ignores responses of superseded analytics loads
+let taskAgentNames = null; // Agents of the user's projects, offered when assigning a task (null until loaded)
+
+// Analytics periods and their throughput bucket
+const ANALYTICS_RANGES = {
+  '24h': { duration: 24 * 60 * 60 * 1000, bucket: 'hour' },
+  '7d': { duration: 7 * 24 * 60 * 60 * 1000, bucket: 'day' },
+  '30d': { duration: 30 * 24 * 60 * 60 * 1000, bucket: 'day' }
+};
 
 /**
  * Initialize the dashboard application
@@ -29,6 +63,16 @@ async function init() {
   console.log('🚀 Initializing AI Workforce Fhinck...');
 
   try {
+    // Load the local cache (IndexedDB) before the stores read from it
+    await initCache();
+
+    // Apply saved preferences before the modules start using their config
+    initSettings();
+
+    // Connection chip (header): live, reconnecting, offline, permission denied or quota exceeded
+    onConnectionStatusChange(updateConnectionChip);
+    initConnectionStatus();
+
     // Initialize visual systems
     initParticles();
     initNotifications();
@@ -39,19 +83,60 @@ async function init() {
     // Initialize task manager (barra de tarefa e histórico)
     initTaskManager();
 
+    // Initialize activity feed (over the project canvas, rebuilt from the event log)
+    initActivityFeed();
+
+    // Initialize logs view (filters, live tail and JSON inspector)
+    initLogsView();
+    onLogsProjectChange(navigateToLogs);
+
+    // Initialize settings form
+    initSettingsView();
+
+    // Initialize tasks board (list/board toggle saved in settings)
+    initTasksBoard();
+    onTasksLayoutChange(handleTasksLayoutChange);
+
+    // Initialize tasks toolbar (search, filters and sorting kept in the URL)
+    initTasksFilters();
+    onTasksFiltersChange(handleTasksFiltersChange);
+
+    // Initialize replay controls (project canvas driven by past events)
+    initReplay();
+    onReplayUpdate(handleReplayUpdate);
+
     // Set up agents update callback
     onAgentsUpdate(handleAgentsUpdate);
 
     // Set up agent status change callback (for notifications/activity feed)
     onStatusChange(onAgentStatusChange);
 
+    // Project listener failures (missing project, no access) are shown on the canvas
+    onAgentsError(handleAgentsError);
+
+    // Set up event log callbacks (history sidebar and activity feed)
+    onEventsHistory(handleEventsHistory);
+    onNewEvent(handleNewEvent);
+
+    // Clicking an agent node opens its detail page
+    onAgentClick(handleAgentNodeClick);
+
     // Set up projects update callback
     onProjectsUpdate(handleProjectsUpdate);
 
+    // Task edits update the cards before Notion confirms them
+    onTasksUpdate(handleTasksUpdate);
+
     // Register route handlers
     registerRoutes({
       home: handleHomeRoute,
       project: handleProjectRoute,
+      agent: handleAgentRoute,
+      replay: handleReplayRoute,
+      agentPool: handleAgentPoolRoute,
+      analytics: handleAnalyticsRoute,
+      logs: handleLogsRoute,
+      settings: handleSettingsRoute,
       tasks: handleTasksRoute,
       notFound: () => navigateHome()
     });
@@ -59,6 +144,12 @@ async function init() {
     // Set up sidebar navigation
     setupSidebarNavigation();
 
+    // Set up analytics project/period selectors
+    setupAnalyticsFilters();
+
+    // Set up replay entry/exit buttons
+    setupReplayControls();
+
     // Set up window resize handler
     setupResizeHandler();
 
@@ -71,8 +162,11 @@ async function init() {
     // Initialize auto rotation
     initAutoRotation(navigateToProject);
 
-    // Initialize router (will trigger initial route)
-    initRouter();
+    // Set up sign-in view and sign-out button
+    setupAuthView();
+
+    // Initialize auth (router starts once the user is signed in)
+    initAuth(handleAuthChange);
 
     isInitialized = true;
     console.log('✅ Dashboard initialized successfully');
@@ -83,6 +177,124 @@ async function init() {
   }
 }
 
+/**
+ * Handle sign-in state changes
+ * @param {Object|null} user - Signed-in user or null
+ */
+async function handleAuthChange(user) {
+  if (!user) {
+    handleSignedOut();
+    return;
+  }
+
+  hasSession = true;
+  hideAuthView();
+
+  // Account settings (if synced) override this browser's
+  await loadUserSettings(user.uid);
+
+  // Roles come from the members map of each project
+  try {
+    await fetchProjects(true);
+  } catch (error) {
+    console.error('❌ Error loading projects after sign-in:', error);
+  }
+
+  // Keep names, members and roles current for the rest of the session
+  listenToProjects();
+
+  userRole = getHighestRole(getProjectsArray());
+  renderUserChip(user, userRole);
+  applyRoleVisibility(userRole);
+
+  // Initialize router (will trigger initial route)
+  initRouter();
+}
+
+/**
+ * Reset the dashboard when the user signs out
+ */
+async function handleSignedOut() {
+  stopProjectsListener();
+  stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
+  stopRotation();
+  hideTaskBar();
+  clearHistory();
+
+  // Cached projects and tasks belong to the previous user
+  clearAllCache();
+  loadUserSettings(null);
+
+  userRole = null;
+  taskAgentNames = null;
+  renderUserChip(null);
+  applyRoleVisibility(null);
+  showAuthView();
+
+  // The Firestore cache (IndexedDB) also holds the previous user's documents.
+  // Clearing it terminates Firestore, so the page reloads to start a fresh instance
+  if (hasSession) {
+    hasSession = false;
+    try {
+      await clearFirestoreCache();
+    } catch (error) {
+      // Another tab may still hold the cache open
+      console.warn('⚠️ Could not clear the Firestore cache:', error);
+    }
+    window.location.reload();
+  }
+}
+
+/**
+ * Setup sign-in view (Google and email link) and sign-out button
+ */
+function setupAuthView() {
+  const googleBtn = document.getElementById('auth-google-btn');
+  const emailForm = document.getElementById('auth-email-form');
+  const emailInput = document.getElementById('auth-email-input');
+  const signOutBtn = document.getElementById('user-signout-btn');
+
+  if (googleBtn) {
+    googleBtn.addEventListener('click', async () => {
+      googleBtn.disabled = true;
+      try {
+        await signInWithGoogle();
+      } catch (error) {
+        console.error('❌ Google sign-in failed:', error);
+        showAuthMessage('Não foi possível entrar com Google', true);
+      } finally {
+        googleBtn.disabled = false;
+      }
+    });
+  }
+
+  if (emailForm && emailInput) {
+    emailForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const email = emailInput.value.trim();
+      if (!email) return;
+
+      try {
+        await sendEmailSignInLink(email);
+        showAuthMessage(`Link de acesso enviado para ${email}`);
+      } catch (error) {
+        console.error('❌ Error sending sign-in link:', error);
+        showAuthMessage('Não foi possível enviar o link', true);
+      }
+    });
+  }
+
+  if (signOutBtn) {
+    signOutBtn.addEventListener('click', () => {
+      signOutUser().catch(error => console.error('❌ Sign-out failed:', error));
+    });
+  }
+}
+
 /**
  * Initialize live clock
  */
@@ -124,8 +336,12 @@ async function handleHomeRoute() {
   console.log('🏠 Navigating to home');
   currentView = 'home';
 
-  // Stop any existing agent listener
+  // Stop any existing agent and event listeners
   stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
 
   // Hide task bar and history sidebar on home
   hideTaskBar();
@@ -135,10 +351,18 @@ async function handleHomeRoute() {
   showHomeView();
   showHomeLoading();
 
-  // Fetch and display projects (force refresh to get latest data)
+  // The agent listener was stopped when leaving home; start over
+  homeProjectsKey = null;
+  homeProjectIdsKey = null;
+  homeSummaries = new Map();
+  homePoolLoaded = false;
+
+  // Projects are kept current by the projects listener; the cache only covers the first paint
   try {
-    const projects = await fetchProjects(true);
-    renderProjectsList(projects, handleProjectClick);
+    const projects = await fetchProjects();
+    if (currentView !== 'home') return;
+
+    renderHomeProjects(projects);
 
     // Update auto rotation projects
     setRotationProjects(getProjectsArray());
@@ -153,7 +377,7 @@ async function handleHomeRoute() {
       empty.innerHTML = `
         <div class="empty-icon">⚠️</div>
         <p>Erro ao carregar projetos</p>
-        <p style="font-size: 12px; opacity: 0.7;">${error.message || 'Verifique o console para mais detalhes'}</p>
+        <p style="font-size: 12px; opacity: 0.7;">${escapeHtml(error.message || 'Verifique o console para mais detalhes')}</p>
       `;
     }
   }
@@ -173,32 +397,457 @@ async function handleProjectRoute(params) {
 
   // Get project info for title
   const project = getProject(projectId);
+
+  // Only members can open a project (also enforced by Firestore rules)
+  if (!project) {
+    showNotification({
+      title: 'Sem acesso',
+      message: 'Você não é membro deste projeto',
+      type: 'warning'
+    });
+    navigateHome();
+    return;
+  }
+
   const projectName = project?.name || formatProjectName(projectId);
 
+  closeLogs();
+  closeReplay();
+  stopAgentPoolListener();
+
   // Show project view
   showProjectView(projectName);
 
-  // Show task bar and history sidebar
+  // Show task bar, history sidebar and activity feed
   showTaskBar();
+  clearHistory();
+  clearActivityFeed();
+  toggleActivityFeed(true);
   setMainTask('Aguardando atividade do time...', 0);
 
   // Show loading state
   const loadingState = document.getElementById('loading-state');
   if (loadingState) loadingState.style.display = 'flex';
 
-  // Start listening to agents for this project
+  // Start listening to agents and to the event log for this project
   initAgentsListener(projectId);
+  initEventsListener(projectId);
+}
+
+/**
+ * Handle a failure of the project agents listener
+ * Missing projects also fail with permission-denied, since the rules read the project members
+ * @param {Error} error - Firestore error
+ * @param {string} projectId - Project ID
+ */
+function handleAgentsError(error, projectId) {
+  if (currentView !== 'project') return;
+
+  if (isPermissionError(error)) {
+    showCanvasError(
+      `Projeto "${projectId}" não encontrado ou sem acesso`,
+      `Não foi possível ler project/${projectId}/agents. Verifique se o projeto existe e se você é membro dele.`
+    );
+  } else if (getAgents().size === 0) {
+    // With agents on the canvas the chip is enough; without them, explain the empty canvas
+    showCanvasError('Sem conexão com o Firestore', 'Tentando reconectar automaticamente...');
+  }
+}
+
+/**
+ * Handle project replay route (canvas driven by past events, no live listeners)
+ * @param {Object} params - Route params { projectId }
+ */
+async function handleReplayRoute(params) {
+  const { projectId } = params;
+  console.log(`⏪ Navigating to replay: ${projectId}`);
+  currentView = 'replay';
+
+  const project = getProject(projectId);
+
+  // Same membership rule as the project route
+  if (!project) {
+    showNotification({
+      title: 'Sem acesso',
+      message: 'Você não é membro deste projeto',
+      type: 'warning'
+    });
+    navigateHome();
+    return;
+  }
+
+  const projectName = project?.name || formatProjectName(projectId);
+
+  // Live data stays untouched: replay renders its own reconstructed agents
+  stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  hideTaskBar();
+  clearHistory();
+  toggleActivityFeed(false);
+  updateEnhancedBadges(0, 0);
+
+  showProjectView(`${projectName} · Replay`);
+
+  const loadingState = document.getElementById('loading-state');
+  if (loadingState) loadingState.style.display = 'none';
+
+  await openReplay(projectId);
+}
+
+/**
+ * Update badges with the agents reconstructed by replay
+ * @param {Map} agents - Replayed agents
+ */
+function handleReplayUpdate(agents) {
+  const list = Array.from(agents.values());
+  updateEnhancedBadges(list.length, list.filter(agent => agent.status === 'working').length);
+}
+
+/**
+ * Handle agent detail route
+ * @param {Object} params - Route params { projectId, agentId }
+ */
+async function handleAgentRoute(params) {
+  const { projectId, agentId } = params;
+  console.log(`🤖 Navigating to agent: ${agentId} (${projectId})`);
+  currentView = 'agent';
+
+  const project = getProject(projectId);
+
+  // Same membership rule as the project route
+  if (!project) {
+    showNotification({
+      title: 'Sem acesso',
+      message: 'Você não é membro deste projeto',
+      type: 'warning'
+    });
+    navigateHome();
+    return;
+  }
+
+  const projectName = project?.name || formatProjectName(projectId);
+
+  // The detail page reads the agent once, without live listeners
+  stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
+  hideTaskBar();
+  clearHistory();
+  updateEnhancedBadges(0, 0);
+
+  showAgentView(projectName);
+  showAgentLoading();
+
+  try {
+    const [agent, events] = await Promise.all([
+      fetchAgent(projectId, agentId),
+      fetchAgentEvents(projectId, agentId)
+    ]);
+
+    // User navigated away while loading
+    const { route, params: currentParams } = getCurrentRoute();
+    if (route !== 'agent' || currentParams.agentId !== agentId) return;
+
+    if (!agent && events.length === 0) {
+      showAgentEmpty(`Nenhum agente "${agentId}" em ${projectName}`);
+      return;
+    }
+
+    // Agents removed from the project still have their event log
+    const lastEvent = events[events.length - 1];
+    const profile = agent || {
+      id: agentId,
+      name: lastEvent?.agentName || agentId,
+      agentColor: lastEvent?.agentColor,
+      status: 'offline'
+    };
+
+    showAgentView(`${profile.name} · ${projectName}`);
+    renderAgentDetail(profile, events, computeAgentStats(events), () => navigateToProject(projectId));
+  } catch (error) {
+    console.error('❌ Error loading agent:', error);
+    showAgentEmpty(error.message || 'Verifique o console para mais detalhes');
+  }
+}
+
+/**
+ * Handle click on an agent node in the project view
+ * @param {string} agentId - Agent ID
+ */
+function handleAgentNodeClick(agentId) {
+  const projectId = getCurrentProjectId();
+  if (projectId) {
+    navigateToAgent(projectId, agentId);
+  }
+}
+
+/**
+ * Handle agent pool route (agents of every project)
+ */
+function handleAgentPoolRoute() {
+  console.log('👥 Navigating to agent pool');
+  currentView = 'agent-pool';
+
+  // The pool has its own collection-group listener
+  stopAgentsListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
+  hideTaskBar();
+  clearHistory();
+  updateEnhancedBadges(0, 0);
+
+  showAgentPoolView();
+  showAgentPoolLoading();
+
+  const projects = getProjectsArray();
+  if (projects.length === 0) {
+    stopAgentPoolListener();
+    showAgentPoolEmpty('Nenhum projeto disponível');
+    return;
+  }
+
+  agentPoolAgents = [];
+
+  listenToAgentPool(projects.map(project => project.id), (agents) => {
+    agentPoolAgents = agents;
+    renderAgentPoolTable();
+  });
+}
+
+/**
+ * Render the agent pool with project names
+ */
+function renderAgentPoolTable() {
+  if (currentView !== 'agent-pool') return;
+
+  if (agentPoolAgents.length === 0) {
+    showAgentPoolEmpty('Os agentes aparecem aqui após enviarem o primeiro evento');
+    return;
+  }
+
+  const rows = agentPoolAgents.map(agent => ({
+    ...agent,
+    projectName: getProject(agent.projectId)?.name || formatProjectName(agent.projectId)
+  }));
+
+  renderAgentPool(rows, agentPoolSort, handleAgentPoolSort, (agent) => navigateToProject(agent.projectId));
+}
+
+/**
+ * Sort the agent pool by a column (clicking the sorted column flips the direction)
+ * @param {string} key - Column key
+ */
+function handleAgentPoolSort(key) {
+  if (agentPoolSort.key === key) {
+    agentPoolSort = { key, direction: agentPoolSort.direction === 'asc' ? 'desc' : 'asc' };
+  } else {
+    // Recency and counts read best from the highest value
+    agentPoolSort = { key, direction: key === 'lastActivity' || key === 'tasksToday' ? 'desc' : 'asc' };
+  }
+  renderAgentPoolTable();
+}
+
+/**
+ * Handle analytics route
+ * @param {Object} params - Route params { projectId } (default: first project)
+ */
+async function handleAnalyticsRoute(params) {
+  console.log('📈 Navigating to analytics');
+  currentView = 'analytics';
+
+  // Analytics reads the event log on demand, without live listeners
+  stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
+  hideTaskBar();
+  clearHistory();
+  updateEnhancedBadges(0, 0);
+
+  showAnalyticsView();
+
+  const projects = getProjectsArray();
+  if (projects.length === 0) {
+    renderAnalyticsFilters([], null, analyticsRange);
+    showAnalyticsEmpty('Nenhum projeto disponível');
+    return;
+  }
+
+  const projectId = params.projectId || projects[0].id;
+  if (!getProject(projectId)) {
+    showNotification({
+      title: 'Sem acesso',
+      message: 'Você não é membro deste projeto',
+      type: 'warning'
+    });
+    navigateToAnalytics();
+    return;
+  }
+
+  analyticsProjectId = projectId;
+  renderAnalyticsFilters(projects, projectId, analyticsRange);
+  await loadAnalytics();
+}
+
+/**
+ * Load and render analytics for the selected project and period
+ */
+async function loadAnalytics() {
+  const requestId = ++analyticsRequestId;
+  const { duration, bucket } = ANALYTICS_RANGES[analyticsRange];
+  const until = new Date();
+  const since = new Date(until.getTime() - duration);
+
+  showAnalyticsLoading();
+
+  try {
+    const events = await fetchProjectEvents(analyticsProjectId, since);
+
+    // Superseded by another load or the user navigated away
+    if (requestId !== analyticsRequestId || currentView !== 'analytics') return;
+
+    if (events.length === 0) {
+      showAnalyticsEmpty('Nenhum evento registrado neste período');
+      return;
+    }
+
+    renderAnalytics(computeProjectAnalytics(events, { since, until, bucket }), bucket);
+  } catch (error) {
+    console.error('❌ Error loading analytics:', error);
+    if (requestId === analyticsRequestId) {
+      showAnalyticsEmpty(error.message || 'Verifique o console para mais detalhes');
+    }
+  }
+}
+
+/**
+ * Setup analytics project and period selectors
+ */
+function setupAnalyticsFilters() {
+  const projectSelect = document.getElementById('analytics-project');
+  const rangeSelect = document.getElementById('analytics-range');
+
+  if (projectSelect) {
+    projectSelect.addEventListener('change', () => navigateToAnalytics(projectSelect.value));
+  }
+
+  if (rangeSelect) {
+    rangeSelect.addEventListener('change', () => {
+      if (!ANALYTICS_RANGES[rangeSelect.value]) return;
+      analyticsRange = rangeSelect.value;
+      loadAnalytics();
+    });
+  }
+}
+
+/**
+ * Setup the buttons that enter and leave replay for the current project
+ */
+function setupReplayControls() {
+  const replayButton = document.getElementById('zoom-replay');
+  const exitButton = document.getElementById('replay-exit');
+
+  if (replayButton) {
+    replayButton.addEventListener('click', () => {
+      const { route, params } = getCurrentRoute();
+      if (route === 'project') navigateToReplay(params.projectId);
+      if (route === 'replay') navigateToProject(params.projectId);
+    });
+  }
+
+  if (exitButton) {
+    exitButton.addEventListener('click', () => {
+      const { route, params } = getCurrentRoute();
+      if (route === 'replay') navigateToProject(params.projectId);
+    });
+  }
+}
+
+/**
+ * Handle logs route
+ * @param {Object} params - Route params { projectId } (default: first project)
+ */
+async function handleLogsRoute(params) {
+  console.log('📝 Navigating to logs');
+  currentView = 'logs';
+
+  // The logs view pages the event log itself (and tails it on demand)
+  stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeReplay();
+  hideTaskBar();
+  clearHistory();
+  updateEnhancedBadges(0, 0);
+
+  showLogsView();
+
+  const projects = getProjectsArray();
+  if (projects.length === 0) {
+    showLogsEmpty('Nenhum projeto disponível');
+    return;
+  }
+
+  const projectId = params.projectId || projects[0].id;
+  if (!getProject(projectId)) {
+    showNotification({
+      title: 'Sem acesso',
+      message: 'Você não é membro deste projeto',
+      type: 'warning'
+    });
+    navigateToLogs();
+    return;
+  }
+
+  await openLogs(projectId, projects);
+}
+
+/**
+ * Handle settings route
+ */
+function handleSettingsRoute() {
+  console.log('⚙️ Navigating to settings');
+  currentView = 'settings';
+
+  stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
+  hideTaskBar();
+  clearHistory();
+  updateEnhancedBadges(0, 0);
+
+  showSettingsView();
+  openSettings(getProjectsArray());
 }
 
 /**
  * Handle tasks route
  */
-async function handleTasksRoute() {
+async function handleTasksRoute(params = {}) {
+  // Notion tasks are for editors and admins
+  if (!isRoleAtLeast(userRole, 'editor')) {
+    console.warn('⛔ Tasks view requires editor role');
+    navigateHome();
+    return;
+  }
+
   console.log('📋 Navigating to tasks');
   currentView = 'tasks';
 
-  // Stop any existing agent listener
+  // Stop any existing agent and event listeners
   stopAgentsListener();
+  stopAgentPoolListener();
+  stopEventsListener();
+  closeLogs();
+  closeReplay();
 
   // Hide task bar and history sidebar on tasks view
   hideTaskBar();
@@ -214,6 +863,16 @@ async function handleTasksRoute() {
     refreshBtn.onclick = () => loadTasks(true);
   }
 
+  showTasksStatus('');
+
+  // Filters come from the URL (#/tasks?q=...&priority=...), so filtered views can be shared
+  setTasksFilters(params.query);
+
+  // Agents offered when assigning a task (loaded once per session)
+  if (!taskAgentNames) {
+    loadTaskAgentNames();
+  }
+
   // Fetch and display tasks
   await loadTasks();
 
@@ -227,10 +886,11 @@ async function handleTasksRoute() {
  */
 async function loadTasks(forceRefresh = false) {
   showTasksLoading();
+  hideTasksBoard();
 
   try {
     const tasks = await fetchNotionTasks(forceRefresh);
-    renderTasksList(tasks, handleTaskClick);
+    renderTasks(tasks);
   } catch (error) {
     console.error('❌ Error loading tasks:', error);
     const errorEl = document.getElementById('tasks-error');
@@ -247,6 +907,120 @@ async function loadTasks(forceRefresh = false) {
   }
 }
 
+/**
+ * Filter the tasks and render them in the chosen layout (list or board)
+ * Without tasks the list layout shows its empty state
+ * @param {Array} tasks - Tasks
+ */
+function renderTasks(tasks) {
+  const editor = getTaskEditor();
+  const visibleTasks = applyTasksFilters(tasks, getTaskOptions());
+
+  if (getTasksLayout().mode !== 'board' || tasks.length === 0) {
+    hideTasksBoard();
+    setTasksEmptyHint(tasks.length > 0
+      ? 'Nenhuma tarefa corresponde aos filtros'
+      : 'Todas as tarefas estão concluídas ou arquivadas');
+    renderTasksList(visibleTasks, handleTaskClick, editor);
+    return;
+  }
+
+  clearTasksList();
+  renderTasksBoard(visibleTasks, {
+    onTaskClick: handleTaskClick,
+    editor,
+    onMove: handleTaskChange,
+    isCompletedStatus
+  });
+}
+
+/**
+ * Handle a change in the tasks toolbar (search, filters or sorting)
+ * @param {URLSearchParams} query - Filters, kept in the URL
+ */
+function handleTasksFiltersChange(query) {
+  if (currentView !== 'tasks') return;
+  replaceTasksQuery(query);
+  renderTasks(getTasks());
+}
+
+/**
+ * Handle a layout change from the tasks header (saved with the other settings)
+ * @param {Object} layout - { mode, swimlanes }
+ */
+async function handleTasksLayoutChange(layout) {
+  if (currentView === 'tasks') {
+    renderTasks(getTasks());
+  }
+
+  try {
+    await saveSettings({ ...getSettings(), tasks: layout });
+  } catch (error) {
+    console.warn('⚠️ Could not save tasks layout:', error);
+  }
+}
+
+/**
+ * Get the edit controls config of the task cards
+ * @returns {Object|null} Editor config, or null when tasks cannot be edited (no Cloud Function)
+ */
+function getTaskEditor() {
+  const options = getTaskOptions();
+  if (!options) return null;
+
+  return {
+    options,
+    agents: taskAgentNames || [],
+    onChange: handleTaskChange
+  };
+}
+
+/**
+ * Load the names of the agents of every project of the user (from the agent pool)
+ * With no agents the list stays unloaded, so the next visit tries again
+ */
+async function loadTaskAgentNames() {
+  try {
+    const agents = await fetchAgentPool(getProjectsArray().map(project => project.id));
+    const names = [...new Set(agents.map(agent => agent.name || agent.id))]
+      .sort((a, b) => a.localeCompare(b, 'pt-BR'));
+    if (names.length === 0) return;
+
+    taskAgentNames = names;
+
+    if (currentView === 'tasks') {
+      handleTasksUpdate(getTasks());
+    }
+  } catch (error) {
+    console.error('❌ Error loading agents for tasks:', error);
+  }
+}
+
+/**
+ * Handle tasks changed by an edit (optimistic update, confirmation or revert)
+ * @param {Array} tasks - Tasks
+ */
+function handleTasksUpdate(tasks) {
+  if (currentView !== 'tasks') return;
+  renderTasks(tasks);
+}
+
+/**
+ * Handle a change made on a task card
+ * @param {Object} task - Task object
+ * @param {Object} changes - Changed fields
+ */
+async function handleTaskChange(task, changes) {
+  showTasksStatus('Salvando no Notion...');
+
+  try {
+    const updated = await updateNotionTask(task.id, changes);
+    showTasksStatus(updated ? 'Tarefa atualizada' : 'Tarefa concluída e removida da lista');
+  } catch (error) {
+    showTasksStatus(`Não foi possível atualizar "${task.name}": ${error.message}`, true);
+  }
+}
+
 /**
  * Handle task click
  * @param {Object} task - Task object
@@ -274,6 +1048,9 @@ function handleAgentsUpdate(agents) {
 
   console.log(`📊 Agents updated: ${agents.size} total`);
 
+  // Listener (re)connected: clear any error shown on the canvas
+  hideCanvasError();
+
   // Render agents
   renderAgents(agents);
 
@@ -289,12 +1066,144 @@ function handleProjectsUpdate(projects) {
   if (currentView !== 'home') return;
 
   console.log(`📂 Projects updated: ${projects.size} total`);
-  renderProjectsList(projects, handleProjectClick);
+  renderHomeProjects(projects);
 
   // Update auto rotation projects
   setRotationProjects(getProjectsArray());
 }
 
+/**
+ * Render the home project grid and listen to the agents of every project
+ * Every event touches the project's updatedAt, so the grid is only rebuilt
+ * when projects are added, removed or renamed
+ * @param {Map} projects - Projects map
+ */
+function renderHomeProjects(projects) {
+  const projectList = [...projects.values()];
+  const projectsKey = projectList.map(project => `${project.id}:${project.name}`).join('|');
+  if (projectsKey === homeProjectsKey) {
+    // Counters from the project documents, for projects the agent listener has no agents of
+    projectList
+      .filter(project => !homeSummaries.has(project.id))
+      .forEach(updateHomeCard);
+    return;
+  }
+  homeProjectsKey = projectsKey;
+
+  renderProjectsList(projects, handleProjectClick);
+  projectList.forEach(updateHomeCard);
+
+  const idsKey = projectList.map(project => project.id).join('|');
+  if (idsKey === homeProjectIdsKey) return;
+  homeProjectIdsKey = idsKey;
+
+  homeSummaries = new Map();
+  homePoolLoaded = false;
+  homeAgentStates.clear();
+  if (projectList.length > 0) {
+    listenToAgentPool(projectList.map(project => project.id), handleHomeAgents);
+  } else {
+    stopAgentPoolListener();
+  }
+}
+
+/**
+ * Update a home card: live summary from the agent pool when it has agents of the project,
+ * otherwise the counters kept on the project document (agents without projectId are not in the pool)
+ * @param {Object} project - Project
+ * @param {boolean} [pulse] - Whether an agent just started
+ */
+function updateHomeCard(project, pulse = false) {
+  const summary = homeSummaries.get(project.id) || (project.agentCount !== null ? {
+    total: project.agentCount,
+    active: project.activeAgentCount ?? 0,
+    running: null,
+    lastActivityAt: project.lastActivity
+  } : null);
+
+  if (summary) updateProjectCardActivity(project.id, summary, pulse);
+}
+
+/**
+ * Update the home cards from the agents of every project
+ * @param {Array} agents - Agents from the agent pool listener
+ */
+function handleHomeAgents(agents) {
+  if (currentView !== 'home') return;
+
+  const summaries = new Map();
+  const pulsing = new Set();
+
+  agents.forEach(agent => {
+    const summary = summaries.get(agent.projectId) || { total: 0, active: 0, running: null, lastActivityAt: null };
+    const isWorking = agent.status === 'working';
+
+    summary.total++;
+    if (isWorking) summary.active++;
+    if (agent.lastActivityAt && agent.lastActivityAt > (summary.lastActivityAt || 0)) {
+      summary.lastActivityAt = agent.lastActivityAt;
+    }
+
+    // Most recently active working agent is the card's running task
+    if (isWorking && (!summary.running || (agent.lastActivityAt || 0) > summary.running.lastActivityAt)) {
+      summary.running = {
+        agentName: agent.name,
+        agentColor: agent.agentColor || agent.color,
+        task: agent.currentTask || agent.task,
+        lastActivityAt: agent.lastActivityAt || 0
+      };
+    }
+
+    // Pulse when an agent starts (or switches task); new agents only after the first snapshot
+    const key = `${agent.projectId}/${agent.id}`;
+    const state = `${agent.status}|${agent.currentTask || ''}`;
+    const previous = homeAgentStates.get(key);
+    if (isWorking && previous !== state && (previous !== undefined || homePoolLoaded)) {
+      pulsing.add(agent.projectId);
+    }
+    homeAgentStates.set(key, state);
+
+    // Status changes of every project alert from the home (TV) too
+    if (previous !== undefined) {
+      notifyHomeStatusChange(agent, previous.split('|')[0]);
+    }
+
+    summaries.set(agent.projectId, summary);
+  });
+
+  // Projects without agents in the pool keep the counters of their document
+  homeSummaries = summaries;
+  homePoolLoaded = true;
+  getProjectsArray().forEach(project => updateHomeCard(project, pulsing.has(project.id)));
+}
+
+/**
+ * Alert a status change seen by the home listener (same events as the project view)
+ * @param {Object} agent - Pool agent (with projectId)
+ * @param {string} previousStatus - Status in the previous snapshot
+ */
+function notifyHomeStatusChange(agent, previousStatus) {
+  if (agent.status === previousStatus) return;
+
+  let event = null;
+  if (agent.status === 'working') {
+    event = 'start';
+  } else if (agent.status === 'idle' && previousStatus === 'working') {
+    event = 'end';
+  } else if (isLifecycleState(agent.status)) {
+    event = agent.status;
+  }
+  if (!event) return;
+
+  notifyAgentEvent({
+    projectId: agent.projectId,
+    projectName: getProject(agent.projectId)?.name,
+    agent: { id: agent.id, name: agent.name, color: agent.agentColor || agent.color },
+    event,
+    message: event === 'error' ? (agent.actionDetail || agent.currentTask) : agent.currentTask
+  });
+}
+
 /**
  * Format project ID into display name
  * @param {string} projectId - Raw project ID
@@ -341,25 +1250,106 @@ function updateEnhancedBadges(total, active) {
   updateStatusBadges(total, active);
 }
 
+/**
+ * Handle the event history of the project (first load of the event log)
+ * Rebuilds the history sidebar and the activity feed from persisted events
+ * @param {Array} events - Events, oldest first
+ */
+function handleEventsHistory(events) {
+  if (currentView !== 'project') return;
+
+  clearHistory();
+  events.forEach(event => processAgentEvent(toHistoryEvent(event)));
+
+  loadActivities(events
+    .filter(event => event.event === 'start' || event.event === 'end')
+    .map(toActivity));
+}
+
+/**
+ * Handle a new event appended to the project event log
+ * @param {Object} event - Event document
+ */
+function handleNewEvent(event) {
+  if (currentView !== 'project') return;
+
+  processAgentEvent(toHistoryEvent(event));
+
+  if (event.event === 'start' || event.event === 'end') {
+    addActivity(toActivity(event));
+  }
+}
+
+/**
+ * Map an event log entry to the task manager event format
+ * @param {Object} event - Event document
+ * @returns {Object} Params for processAgentEvent
+ */
+function toHistoryEvent(event) {
+  return {
+    sessionId: event.sessionId,
+    agentId: event.agentId,
+    agentName: event.agentName || event.agentId,
+    agentColor: event.agentColor,
+    event: event.event,
+    task: event.task || '',
+    prompt: event.prompt,
+    action: event.action,
+    actionDetail: event.actionDetail,
+    toolData: event.toolData,
+    progress: event.progress,
+    stepsTotal: event.stepsTotal,
+    stepsDone: event.stepsDone,
+    checklist: event.checklist,
+    timestamp: event.timestamp
+  };
+}
+
+/**
+ * Map an event log entry to the activity feed format
+ * @param {Object} event - Event document
+ * @returns {Object} Activity
+ */
+function toActivity(event) {
+  return {
+    agentName: event.agentName || event.agentId,
+    agentColor: event.agentColor,
+    event: event.event,
+    task: event.task,
+    timestamp: event.timestamp
+  };
+}
+
 /**
  * Notify agent status change
  * Called by agents-store when status changes
+ * The history sidebar is fed by the event log; status changes only
+ * feed it for producers that don't write to the log yet
  */
 export function onAgentStatusChange(agent, event, task) {
+  const useStatusHistory = !hasEventLog();
+
   if (event === 'start') {
     // Process agent event for history sidebar
     // prompt = tarefa principal (barra roxa)
     // action = ação atual sendo feita (histórico)
-    processAgentEvent({
-      agentId: agent.id,
-      agentName: agent.name,
-      agentColor: agent.agentColor || agent.color,
-      event: 'start',
-      task,
-      prompt: agent.prompt,        // Campo 'prompt' para barra roxa principal
-      action: agent.action,        // Campo 'action' para histórico
-      actionDetail: agent.actionDetail
-    });
+    if (useStatusHistory) {
+      processAgentEvent({
+        sessionId: agent.sessionId,
+        agentId: agent.id,
+        agentName: agent.name,
+        agentColor: agent.agentColor || agent.color,
+        event: 'start',
+        task,
+        prompt: agent.prompt,        // Campo 'prompt' para barra roxa principal
+        action: agent.action,        // Campo 'action' para histórico
+        actionDetail: agent.actionDetail,
+        progress: agent.progress,    // Progresso informado (porcentagem, etapas ou checklist)
+        stepsTotal: agent.stepsTotal,
+        stepsDone: agent.stepsDone,
+        checklist: agent.checklist
+      });
+    }
 
     // Increment tasks counter
     tasksToday++;
@@ -367,12 +1357,41 @@ export function onAgentStatusChange(agent, event, task) {
 
   } else if (event === 'end') {
     // Process agent event for history sidebar (sem toast)
-    processAgentEvent({
-      agentId: agent.id,
-      agentName: agent.name,
-      agentColor: agent.color,
-      event: 'end',
-      task: ''
+    if (useStatusHistory) {
+      processAgentEvent({
+        sessionId: agent.sessionId,
+        agentId: agent.id,
+        agentName: agent.name,
+        agentColor: agent.color,
+        event: 'end',
+        task: ''
+      });
+    }
+
+  } else if (isLifecycleState(event)) {
+    // error, waiting, blocked, offline
+    if (useStatusHistory) {
+      processAgentEvent({
+        sessionId: agent.sessionId,
+        agentId: agent.id,
+        agentName: agent.name,
+        agentColor: agent.agentColor || agent.color,
+        event,
+        task,
+        actionDetail: agent.actionDetail
+      });
+    }
+  }
+
+  // Toasts, desktop notifications and sound cues follow the project's alert rules
+  const projectId = getCurrentProjectId();
+  if (projectId) {
+    notifyAgentEvent({
+      projectId,
+      projectName: getProject(projectId)?.name,
+      agent: { id: agent.id, name: agent.name, color: agent.agentColor || agent.color },
+      event,
+      message: event === 'error' ? (agent.actionDetail || task) : task
     });
   }
 }
@@ -478,8 +1497,10 @@ function handleNavigation(view) {
       navigateHome();
       break;
     case 'dashboard':
-      // If on a project, stay there; if on home, do nothing
-      if (currentView === 'home' || currentView === 'tasks') {
+      // From an agent page, go back to its project; if on a project, stay there; if on home, do nothing
+      if (currentView === 'agent') {
+        navigateToProject(getCurrentProjectId());
+      } else if (currentView === 'home' || currentView === 'tasks') {
         console.log('📋 Dashboard view - select a project first');
       }
       break;
@@ -487,16 +1508,16 @@ function handleNavigation(view) {
       navigateToTasks();
       break;
     case 'agent-pool':
-      console.log('📋 Agent Pool view - Coming soon');
+      navigateToAgentPool();
       break;
     case 'analytics':
-      console.log('📈 Analytics view - Coming soon');
+      navigateToAnalytics(currentView === 'project' || currentView === 'agent' ? getCurrentProjectId() : null);
       break;
     case 'logs':
-      console.log('📝 Logs view - Coming soon');
+      navigateToLogs(currentView === 'project' || currentView === 'agent' ? getCurrentProjectId() : null);
       break;
     case 'settings':
-      console.log('⚙️ Settings view - Coming soon');
+      navigateToSettings();
       break;
   }
 }
@@ -602,7 +1623,7 @@ function showError(message) {
           <line x1="9" y1="9" x2="15" y2="15"/>
         </svg>
       </div>
-      <p style="color: #FF6B35;">${message}</p>
+      <p style="color: #FF6B35;">${escapeHtml(message)}</p>
       <button onclick="location.reload()" style="
         margin-top: 16px;
         padding: 10px 20px;
@@ -659,6 +1680,14 @@ window.AIWorkforceFhinck = {
   createBurst,
   // Notifications
   showNotification,
+  // Heartbeat watchdog
+  setWatchdogConfig,
+  getWatchdogConfig,
+  // Event log
+  getEvents,
+  // Auth
+  getCurrentUser,
+  getUserRole: () => userRole,
   // Task manager
   setMainTask,
   updateProgress,
@@ -0,0 +1,148 @@
+/**
+ * Auth Module
+ * Sign-in with Google or email link (Firebase Auth) and project roles
+ *
+ * Each project document has a `members` map: { [uid]: 'viewer' | 'editor' | 'admin' }
+ */
+
+import { auth } from './firebase-config.js';
+import {
+  onAuthStateChanged,
+  GoogleAuthProvider,
+  signInWithPopup,
+  sendSignInLinkToEmail,
+  isSignInWithEmailLink,
+  signInWithEmailLink,
+  signOut
+} from 'firebase/auth';
+
+// Roles ordered by privilege (lowest first)
+export const ROLES = ['viewer', 'editor', 'admin'];
+
+// Email saved between sending the link and opening it
+const EMAIL_STORAGE_KEY = 'emailForSignIn';
+
+// State
+let currentUser = null;
+let unsubscribe = null;
+
+/**
+ * Initialize auth and listen to sign-in state
+ * Completes an email-link sign-in if the page was opened from the link
+ * @param {Function} callback - Called with the user (or null) on every change
+ */
+export function initAuth(callback) {
+  completeEmailLinkSignIn();
+
+  unsubscribe = onAuthStateChanged(auth, (user) => {
+    currentUser = user;
+    console.log(user ? `🔐 Signed in as ${user.email}` : '🔓 Signed out');
+    if (callback) callback(user);
+  });
+
+  console.log('🔐 Auth initialized');
+}
+
+/**
+ * Sign in with Google (popup)
+ * @returns {Promise<Object>} Signed-in user
+ */
+export async function signInWithGoogle() {
+  const provider = new GoogleAuthProvider();
+  const result = await signInWithPopup(auth, provider);
+  return result.user;
+}
+
+/**
+ * Send a sign-in link to an email address
+ * @param {string} email - Email address
+ */
+export async function sendEmailSignInLink(email) {
+  await sendSignInLinkToEmail(auth, email, {
+    url: window.location.origin + window.location.pathname,
+    handleCodeInApp: true
+  });
+  localStorage.setItem(EMAIL_STORAGE_KEY, email);
+  console.log(`📧 Sign-in link sent to ${email}`);
+}
+
+/**
+ * Complete the email-link sign-in when the page is opened from the link
+ */
+async function completeEmailLinkSignIn() {
+  if (!isSignInWithEmailLink(auth, window.location.href)) return;
+
+  let email = localStorage.getItem(EMAIL_STORAGE_KEY);
+  if (!email) {
+    // Link opened on another device
+    email = window.prompt('Confirme seu email para entrar');
+  }
+  if (!email) return;
+
+  try {
+    await signInWithEmailLink(auth, email, window.location.href);
+    localStorage.removeItem(EMAIL_STORAGE_KEY);
+    // Remove the sign-in parameters from the URL, keeping the route
+    window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+  } catch (error) {
+    console.error('❌ Email link sign-in failed:', error);
+  }
+}
+
+/**
+ * Sign out
+ */
+export async function signOutUser() {
+  await signOut(auth);
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Object|null}
+ */
+export function getCurrentUser() {
+  return currentUser;
+}
+
+/**
+ * Get the role of the signed-in user in a project
+ * @param {Object} project - Project object (with members map)
+ * @returns {string|null} Role or null if not a member
+ */
+export function getProjectRole(project) {
+  if (!currentUser || !project?.members) return null;
+  return project.members[currentUser.uid] || null;
+}
+
+/**
+ * Check if a role is at least the required role
+ * @param {string|null} role - Role to check
+ * @param {string} minRole - Required role
+ * @returns {boolean}
+ */
+export function isRoleAtLeast(role, minRole) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(minRole) && ROLES.includes(role);
+}
+
+/**
+ * Get the highest role of the signed-in user across projects
+ * Used to decide which views are available
+ * @param {Array} projects - Projects array
+ * @returns {string|null}
+ */
+export function getHighestRole(projects) {
+  return projects
+    .map(getProjectRole)
+    .filter(Boolean)
+    .sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a))[0] || null;
+}
+
+/**
+ * Stop listening to auth changes
+ */
+export function stopAuthListener() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+}
@@ -3,6 +3,8 @@
  * Automatically cycles through projects for TV display
  */
 
+import { escapeHtml } from './html.js';
+
 let isEnabled = false;
 let rotationInterval = null;
 let currentProjectIndex = 0;
@@ -171,7 +173,7 @@ function updateDots() {
   dotsContainer.innerHTML = projects.map((project, index) => `
     <div class="rotation-dot ${index === currentProjectIndex ? 'active' : ''}"
          data-index="${index}"
-         title="${project.name}">
+         title="${escapeHtml(project.name)}">
     </div>
   `).join('');
 
@@ -230,6 +232,14 @@ export function setRotationInterval(ms) {
   }
 }
 
+/**
+ * Get rotation interval
+ * @returns {number} Interval in milliseconds
+ */
+export function getRotationInterval() {
+  return CONFIG.intervalMs;
+}
+
 /**
  * Get rotation state
  */
@@ -1,41 +1,84 @@
 /**
- * Cache Manager - LocalStorage based cache with TTL
- * Reduces Firestore reads by caching data locally
+ * Cache Manager - IndexedDB based cache with TTL
+ * Reduces Firestore reads by caching data locally and keeps the last synced data
+ * available offline (expired entries are kept for OFFLINE_RETENTION and can be read as stale)
+ *
+ * Entries are mirrored in memory so reads stay synchronous; initCache() loads the
+ * mirror from IndexedDB and must be awaited before the stores read from the cache
  */
 
 const CACHE_PREFIX = 'aiworkforce_';
 
+const DB_NAME = 'aiworkforce-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'entries';
+
+// Expired entries are still served as stale (offline) data for this long
+const OFFLINE_RETENTION = 7 * 24 * 60 * 60 * 1000; // 7 days
+
 // Default TTL values (in milliseconds)
 const DEFAULT_TTL = {
   projects: 5 * 60 * 1000,  // 5 minutes for projects list
   agents: 1 * 60 * 1000     // 1 minute for agents (real-time still active)
 };
 
+// In-memory mirror of the IndexedDB store: key -> { data, timestamp, ttl }
+const memory = new Map();
+
+let dbPromise = null;
+let hasIndexedDb = false; // Set once the database opened (false: memory only)
+
+/**
+ * Open the IndexedDB database, load its entries into memory and drop old entries
+ * Entries left in localStorage by previous versions are moved to IndexedDB
+ * Without IndexedDB (private mode, old browsers) the cache only lives in memory
+ */
+export async function initCache() {
+  dbPromise = openDatabase().catch(error => {
+    console.warn('⚠️ IndexedDB unavailable, cache kept in memory only:', error);
+    return null;
+  });
+
+  const db = await dbPromise;
+  hasIndexedDb = Boolean(db);
+  if (db) {
+    const entries = await runRequest(db, 'readonly', store => store.getAll()).catch(() => []);
+    entries.forEach(({ key, ...entry }) => memory.set(key, entry));
+  }
+
+  migrateLocalStorage();
+  clearOldCache();
+
+  console.log(`📦 Cache initialized: ${memory.size} entries`);
+}
+
 /**
  * Get item from cache
  * @param {string} key - Cache key
+ * @param {Object} [options] - { allowStale: return expired data still within the offline retention }
  * @returns {any|null} - Cached data or null if expired/not found
  */
-export function getCache(key) {
-  try {
-    const cached = localStorage.getItem(CACHE_PREFIX + key);
-    if (!cached) return null;
-
-    const { data, timestamp, ttl } = JSON.parse(cached);
-    const now = Date.now();
+export function getCache(key, { allowStale = false } = {}) {
+  const cached = memory.get(key);
+  if (!cached) return null;
 
-    // Check if cache is still valid
-    if (now - timestamp > ttl) {
-      // Cache expired, remove it
-      removeCache(key);
-      return null;
-    }
+  const age = Date.now() - cached.timestamp;
 
-    return data;
-  } catch (error) {
-    console.warn(`Cache read error for key "${key}":`, error);
+  // Check if cache is still valid
+  if (age > cached.ttl && !(allowStale && age <= OFFLINE_RETENTION)) {
     return null;
   }
+
+  return cached.data;
+}
+
+/**
+ * Get when an item was cached
+ * @param {string} key - Cache key
+ * @returns {number|null} - Timestamp (ms) or null if not found
+ */
+export function getCacheTimestamp(key) {
+  return memory.get(key)?.timestamp ?? null;
 }
 
 /**
@@ -45,38 +88,25 @@ export function getCache(key) {
  * @param {number} [ttl] - Time to live in ms (optional, uses default based on key)
  */
 export function setCache(key, data, ttl) {
-  try {
-    // Determine TTL based on key type if not provided
-    if (!ttl) {
-      if (key === 'projects') {
-        ttl = DEFAULT_TTL.projects;
-      } else if (key.startsWith('agents_')) {
-        ttl = DEFAULT_TTL.agents;
-      } else {
-        ttl = DEFAULT_TTL.projects; // Default fallback
-      }
+  // Determine TTL based on key type if not provided
+  if (!ttl) {
+    if (key === 'projects') {
+      ttl = DEFAULT_TTL.projects;
+    } else if (key.startsWith('agents_')) {
+      ttl = DEFAULT_TTL.agents;
+    } else {
+      ttl = DEFAULT_TTL.projects; // Default fallback
     }
+  }
 
-    const cacheEntry = {
-      data,
-      timestamp: Date.now(),
-      ttl
-    };
+  const cacheEntry = {
+    data,
+    timestamp: Date.now(),
+    ttl
+  };
 
-    localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(cacheEntry));
-  } catch (error) {
-    console.warn(`Cache write error for key "${key}":`, error);
-    // If localStorage is full, clear old cache entries
-    if (error.name === 'QuotaExceededError') {
-      clearOldCache();
-      // Try again
-      try {
-        localStorage.setItem(CACHE_PREFIX + key, JSON.stringify({ data, timestamp: Date.now(), ttl }));
-      } catch (e) {
-        console.error('Cache write failed even after cleanup:', e);
-      }
-    }
-  }
+  memory.set(key, cacheEntry);
+  persist(store => store.put({ key, ...cacheEntry }), `write "${key}"`);
 }
 
 /**
@@ -84,61 +114,36 @@ export function setCache(key, data, ttl) {
  * @param {string} key - Cache key
  */
 export function removeCache(key) {
-  try {
-    localStorage.removeItem(CACHE_PREFIX + key);
-  } catch (error) {
-    console.warn(`Cache remove error for key "${key}":`, error);
-  }
+  memory.delete(key);
+  persist(store => store.delete(key), `remove "${key}"`);
 }
 
 /**
  * Clear all cache entries for this app
  */
 export function clearAllCache() {
-  try {
-    const keysToRemove = [];
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(CACHE_PREFIX)) {
-        keysToRemove.push(key);
-      }
-    }
-    keysToRemove.forEach(key => localStorage.removeItem(key));
-    console.log(`Cleared ${keysToRemove.length} cache entries`);
-  } catch (error) {
-    console.warn('Cache clear error:', error);
-  }
+  const count = memory.size;
+  memory.clear();
+  persist(store => store.clear(), 'clear');
+  console.log(`Cleared ${count} cache entries`);
 }
 
 /**
- * Clear expired cache entries
+ * Clear entries older than the offline retention
  */
 export function clearOldCache() {
-  try {
-    const now = Date.now();
-    const keysToRemove = [];
+  const now = Date.now();
+  const keysToRemove = [];
 
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(CACHE_PREFIX)) {
-        try {
-          const cached = JSON.parse(localStorage.getItem(key));
-          if (cached && now - cached.timestamp > cached.ttl) {
-            keysToRemove.push(key);
-          }
-        } catch (e) {
-          // Invalid cache entry, remove it
-          keysToRemove.push(key);
-        }
-      }
+  memory.forEach((entry, key) => {
+    if (now - entry.timestamp > Math.max(entry.ttl, OFFLINE_RETENTION)) {
+      keysToRemove.push(key);
     }
+  });
 
-    keysToRemove.forEach(key => localStorage.removeItem(key));
-    if (keysToRemove.length > 0) {
-      console.log(`Cleaned ${keysToRemove.length} expired cache entries`);
-    }
-  } catch (error) {
-    console.warn('Cache cleanup error:', error);
+  keysToRemove.forEach(removeCache);
+  if (keysToRemove.length > 0) {
+    console.log(`Cleaned ${keysToRemove.length} expired cache entries`);
   }
 }
 
@@ -151,40 +156,47 @@ export function getCacheStats() {
     totalEntries: 0,
     validEntries: 0,
     expiredEntries: 0,
-    totalSize: 0
+    totalSize: 0,
+    storage: hasIndexedDb ? 'indexeddb' : 'memory'
   };
 
-  try {
-    const now = Date.now();
+  const now = Date.now();
 
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      if (key && key.startsWith(CACHE_PREFIX)) {
-        stats.totalEntries++;
-        const value = localStorage.getItem(key);
-        stats.totalSize += value ? value.length : 0;
-
-        try {
-          const cached = JSON.parse(value);
-          if (cached && now - cached.timestamp <= cached.ttl) {
-            stats.validEntries++;
-          } else {
-            stats.expiredEntries++;
-          }
-        } catch (e) {
-          stats.expiredEntries++;
-        }
-      }
+  memory.forEach(entry => {
+    stats.totalEntries++;
+    try {
+      stats.totalSize += JSON.stringify(entry.data)?.length || 0;
+    } catch (e) {
+      // Non-serializable data, size unknown
     }
 
-    stats.totalSize = Math.round(stats.totalSize / 1024) + ' KB';
-  } catch (error) {
-    console.warn('Cache stats error:', error);
-  }
+    if (now - entry.timestamp <= entry.ttl) {
+      stats.validEntries++;
+    } else {
+      stats.expiredEntries++;
+    }
+  });
 
+  stats.totalSize = Math.round(stats.totalSize / 1024) + ' KB';
   return stats;
 }
 
+/**
+ * Update default TTL values
+ * @param {Object} newTTL - { projects, agents } in milliseconds
+ */
+export function setDefaultTTL(newTTL) {
+  Object.assign(DEFAULT_TTL, newTTL);
+}
+
+/**
+ * Get default TTL values
+ * @returns {Object} - { projects, agents } in milliseconds
+ */
+export function getDefaultTTL() {
+  return { ...DEFAULT_TTL };
+}
+
 /**
  * Invalidate cache for a specific project's agents
  * @param {string} projectId - Project ID
@@ -199,3 +211,87 @@ export function invalidateProjectCache(projectId) {
 export function invalidateProjectsCache() {
   removeCache('projects');
 }
+
+/**
+ * Open (and create on first use) the cache database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not supported'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'key' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a request against the entries store
+ * @param {IDBDatabase} db - Database
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {Function} buildRequest - Receives the store and returns an IDBRequest
+ * @returns {Promise<any>} Request result
+ */
+function runRequest(db, mode, buildRequest) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = buildRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Write a change to IndexedDB in the background (the memory mirror is already updated)
+ * @param {Function} buildRequest - Receives the store and returns an IDBRequest
+ * @param {string} action - Description for the warning log
+ */
+function persist(buildRequest, action) {
+  if (!dbPromise) return;
+
+  dbPromise
+    .then(db => db && runRequest(db, 'readwrite', buildRequest))
+    .catch(error => console.warn(`Cache ${action} error:`, error));
+}
+
+/**
+ * Move entries written to localStorage by previous versions into the cache
+ */
+function migrateLocalStorage() {
+  try {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key && key.startsWith(CACHE_PREFIX)) keys.push(key);
+    }
+
+    keys.forEach(storageKey => {
+      try {
+        const key = storageKey.slice(CACHE_PREFIX.length);
+        const entry = JSON.parse(localStorage.getItem(storageKey));
+        if (entry && !memory.has(key)) {
+          memory.set(key, entry);
+          persist(store => store.put({ key, ...entry }), `migrate "${key}"`);
+        }
+      } catch (e) {
+        // Invalid entry, just dropped
+      }
+      localStorage.removeItem(storageKey);
+    });
+
+    if (keys.length > 0) {
+      console.log(`📦 Moved ${keys.length} cache entries from localStorage`);
+    }
+  } catch (error) {
+    console.warn('Cache migration error:', error);
+  }
+}
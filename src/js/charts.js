@@ -0,0 +1,243 @@
+/**
+ * Charts Module
+ * Lightweight inline SVG charts for the analytics view
+ */
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Default palette (dashboard primary + success)
+const COLORS = {
+  primary: '#FF6B35',
+  success: '#16A34A',
+  grid: '#E5E7EB',
+  text: '#8A8AA3'
+};
+
+/**
+ * Create an SVG element with attributes
+ * @param {string} tag - SVG tag name
+ * @param {Object} attrs - Attributes
+ * @returns {SVGElement}
+ */
+function svgElement(tag, attrs = {}) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attrs).forEach(([key, value]) => element.setAttribute(key, value));
+  return element;
+}
+
+/**
+ * Append a tooltip (native <title>) to an SVG element
+ * @param {SVGElement} element - Element
+ * @param {string} text - Tooltip text
+ */
+function addTooltip(element, text) {
+  const title = svgElement('title');
+  title.textContent = text;
+  element.appendChild(title);
+}
+
+/**
+ * Grouped vertical bar chart
+ * @param {Object} options - Chart options
+ * @param {string[]} options.labels - X axis labels (one per group)
+ * @param {Array} options.series - [{ name, color, values: number[] }]
+ * @param {number} options.height - Chart height in viewBox units (default 220, width is 800)
+ * @param {number} options.maxLabels - Max X labels shown (others are skipped)
+ * @returns {SVGElement}
+ */
+export function createBarChart({ labels, series, height = 220, maxLabels = 12 }) {
+  const width = 800;
+  const padding = { top: 12, right: 12, bottom: 28, left: 36 };
+  const plotWidth = width - padding.left - padding.right;
+  const plotHeight = height - padding.top - padding.bottom;
+
+  const max = Math.max(1, ...series.flatMap(s => s.values));
+  const groupWidth = plotWidth / Math.max(1, labels.length);
+  const barWidth = Math.max(1, (groupWidth * 0.8) / series.length);
+  const labelStep = Math.ceil(labels.length / maxLabels);
+
+  const svg = svgElement('svg', {
+    class: 'chart chart-bars',
+    viewBox: `0 0 ${width} ${height}`
+  });
+
+  // Horizontal grid lines with value ticks
+  [0, 0.5, 1].forEach(ratio => {
+    const y = padding.top + plotHeight * (1 - ratio);
+    svg.appendChild(svgElement('line', {
+      class: 'chart-grid', x1: padding.left, x2: width - padding.right, y1: y, y2: y, stroke: COLORS.grid
+    }));
+    const tick = svgElement('text', { class: 'chart-tick', x: padding.left - 6, y: y + 4, 'text-anchor': 'end', fill: COLORS.text });
+    tick.textContent = Math.round(max * ratio);
+    svg.appendChild(tick);
+  });
+
+  labels.forEach((label, i) => {
+    const groupX = padding.left + i * groupWidth + groupWidth * 0.1;
+
+    series.forEach((s, j) => {
+      const value = s.values[i] || 0;
+      const barHeight = (value / max) * plotHeight;
+      const bar = svgElement('rect', {
+        class: 'chart-bar',
+        x: groupX + j * barWidth,
+        y: padding.top + plotHeight - barHeight,
+        width: Math.max(1, barWidth - 1),
+        height: barHeight,
+        fill: s.color,
+        rx: 2
+      });
+      addTooltip(bar, `${label} · ${s.name}: ${value}`);
+      svg.appendChild(bar);
+    });
+
+    if (i % labelStep === 0) {
+      const text = svgElement('text', {
+        class: 'chart-label',
+        x: padding.left + i * groupWidth + groupWidth / 2,
+        y: height - 8,
+        'text-anchor': 'middle',
+        fill: COLORS.text
+      });
+      text.textContent = label;
+      svg.appendChild(text);
+    }
+  });
+
+  return svg;
+}
+
+/**
+ * Horizontal bar list (one row per item), with an optional marker per row
+ * Used for median/p95 durations and busiest agents
+ * @param {Object} options - Chart options
+ * @param {Array} options.rows - [{ label, color, value, marker, valueLabel, tooltip }]
+ * @returns {SVGElement}
+ */
+export function createHorizontalBarChart({ rows }) {
+  const width = 800;
+  const rowHeight = 28;
+  const labelWidth = 200;
+  const valueWidth = 140;
+  const plotWidth = width - labelWidth - valueWidth;
+  const height = Math.max(rowHeight, rows.length * rowHeight);
+
+  const max = Math.max(1, ...rows.map(row => Math.max(row.value || 0, row.marker || 0)));
+
+  const svg = svgElement('svg', {
+    class: 'chart chart-hbars',
+    viewBox: `0 0 ${width} ${height}`
+  });
+
+  rows.forEach((row, i) => {
+    const y = i * rowHeight;
+    const group = svgElement('g', { class: 'chart-row' });
+
+    const label = svgElement('text', { class: 'chart-row-label', x: 0, y: y + rowHeight / 2 + 4 });
+    label.textContent = row.label.length > 26 ? `${row.label.slice(0, 25)}…` : row.label;
+    group.appendChild(label);
+
+    group.appendChild(svgElement('rect', {
+      class: 'chart-track', x: labelWidth, y: y + 8, width: plotWidth, height: rowHeight - 16, rx: 3, fill: COLORS.grid
+    }));
+    group.appendChild(svgElement('rect', {
+      class: 'chart-bar',
+      x: labelWidth,
+      y: y + 8,
+      width: ((row.value || 0) / max) * plotWidth,
+      height: rowHeight - 16,
+      rx: 3,
+      fill: row.color || COLORS.primary
+    }));
+
+    if (row.marker) {
+      const markerX = labelWidth + (row.marker / max) * plotWidth;
+      group.appendChild(svgElement('line', {
+        class: 'chart-marker', x1: markerX, x2: markerX, y1: y + 4, y2: y + rowHeight - 4
+      }));
+    }
+
+    const value = svgElement('text', {
+      class: 'chart-row-value', x: width, y: y + rowHeight / 2 + 4, 'text-anchor': 'end'
+    });
+    value.textContent = row.valueLabel ?? row.value;
+    group.appendChild(value);
+
+    if (row.tooltip) addTooltip(group, row.tooltip);
+    svg.appendChild(group);
+  });
+
+  return svg;
+}
+
+/**
+ * Heatmap grid (rows × columns), cell intensity relative to the max value
+ * @param {Object} options - Chart options
+ * @param {Array} options.rows - [{ label, color, values: number[] }]
+ * @param {string[]} options.columns - Column labels
+ * @param {Function} options.formatValue - Tooltip value formatter
+ * @returns {SVGElement}
+ */
+export function createHeatmap({ rows, columns, formatValue = (v) => v }) {
+  const labelWidth = 200;
+  const cellSize = 24;
+  const gap = 2;
+  const headerHeight = 20;
+  const width = labelWidth + columns.length * (cellSize + gap);
+  const height = headerHeight + rows.length * (cellSize + gap);
+
+  const max = Math.max(0, ...rows.flatMap(row => row.values));
+
+  const svg = svgElement('svg', {
+    class: 'chart chart-heatmap',
+    viewBox: `0 0 ${width} ${height}`
+  });
+
+  columns.forEach((column, j) => {
+    // Every other column label keeps the header readable
+    if (j % 2 !== 0) return;
+    const text = svgElement('text', {
+      class: 'chart-label',
+      x: labelWidth + j * (cellSize + gap) + cellSize / 2,
+      y: 12,
+      'text-anchor': 'middle',
+      fill: COLORS.text
+    });
+    text.textContent = column;
+    svg.appendChild(text);
+  });
+
+  rows.forEach((row, i) => {
+    const y = headerHeight + i * (cellSize + gap);
+
+    const label = svgElement('text', { class: 'chart-row-label', x: 0, y: y + cellSize / 2 + 4 });
+    label.textContent = row.label.length > 26 ? `${row.label.slice(0, 25)}…` : row.label;
+    svg.appendChild(label);
+
+    row.values.forEach((value, j) => {
+      const intensity = max > 0 ? value / max : 0;
+      const cell = svgElement('rect', {
+        class: 'chart-cell',
+        x: labelWidth + j * (cellSize + gap),
+        y,
+        width: cellSize,
+        height: cellSize,
+        rx: 4,
+        fill: value > 0 ? (row.color || COLORS.primary) : COLORS.grid,
+        'fill-opacity': value > 0 ? (0.15 + intensity * 0.85).toFixed(2) : 1
+      });
+      addTooltip(cell, `${row.label} · ${columns[j]}: ${formatValue(value)}`);
+      svg.appendChild(cell);
+    });
+  });
+
+  return svg;
+}
+
+/**
+ * Chart palette
+ * @returns {Object}
+ */
+export function getChartColors() {
+  return { ...COLORS };
+}
@@ -0,0 +1,213 @@
+/**
+ * Connection Status
+ * Tracks Firestore connectivity for the header chip: connected, reconnecting,
+ * offline (showing cached data), permission denied or quota exceeded.
+ * Listeners report their snapshots and errors by source ('projects', 'agents', ...)
+ * and failed listeners are resubscribed with exponential backoff
+ */
+
+import { getCache, setCache } from './cache-manager.js';
+
+export const CONNECTION_STATES = {
+  CONNECTED: 'connected',
+  RECONNECTING: 'reconnecting',
+  OFFLINE: 'offline',
+  PERMISSION_DENIED: 'permission-denied',
+  QUOTA_EXCEEDED: 'quota-exceeded'
+};
+
+// Most severe first: the chip shows the worst state among the listeners
+const STATE_PRIORITY = [
+  CONNECTION_STATES.PERMISSION_DENIED,
+  CONNECTION_STATES.QUOTA_EXCEEDED,
+  CONNECTION_STATES.RECONNECTING,
+  CONNECTION_STATES.OFFLINE
+];
+
+const LAST_SYNCED_KEY = 'last_synced_at';
+const LAST_SYNCED_TTL = 7 * 24 * 60 * 60 * 1000;
+
+// Snapshots start from the local cache; only report offline if the server does not answer
+const OFFLINE_GRACE_MS = 5000;
+
+// Retry backoff (doubles on each failure of the same source)
+const RETRY_CONFIG = {
+  INITIAL_DELAY: 1000,
+  QUOTA_INITIAL_DELAY: 30 * 1000, // Quota errors do not go away in seconds
+  MAX_DELAY: 60 * 1000
+};
+
+// State
+let lastSyncedAt = null;
+let isServerReachable = true;
+let graceTimeout = null;
+let onChangeCallback = null;
+const sourceErrors = new Map();   // source -> state
+const retryAttempts = new Map();  // source -> failures in a row
+const retryTimeouts = new Map();  // source -> { timeout, at }
+
+/**
+ * Initialize connection tracking (last sync time from cache and connectivity listeners)
+ * Requires initCache() to have finished
+ */
+export function initConnectionStatus() {
+  lastSyncedAt = getCache(LAST_SYNCED_KEY, { allowStale: true });
+
+  window.addEventListener('online', notify);
+  window.addEventListener('offline', notify);
+
+  notify();
+  console.log('📶 Connection status initialized');
+}
+
+/**
+ * Report the metadata of a Firestore snapshot
+ * @param {string} source - Listener name
+ * @param {Object} metadata - snapshot.metadata ({ fromCache })
+ */
+export function reportSnapshot(source, metadata) {
+  if (metadata.fromCache) {
+    // Give the server a moment before showing the offline indicator
+    if (isServerReachable && !graceTimeout) {
+      graceTimeout = setTimeout(() => {
+        graceTimeout = null;
+        isServerReachable = false;
+        notify();
+      }, OFFLINE_GRACE_MS);
+    }
+    notify();
+    return;
+  }
+
+  // A failed listener only counts as recovered once the server answers
+  sourceErrors.delete(source);
+  retryAttempts.delete(source);
+  clearTimeout(graceTimeout);
+  graceTimeout = null;
+  isServerReachable = true;
+  lastSyncedAt = Date.now();
+  setCache(LAST_SYNCED_KEY, lastSyncedAt, LAST_SYNCED_TTL);
+  notify();
+}
+
+/**
+ * Report a listener or request error and schedule the retry
+ * Permission errors are not retried: they only change with the rules or the project members
+ * @param {string} source - Listener name
+ * @param {Error} error - Firestore error (with code)
+ * @param {Function} [retry] - Resubscribes the listener
+ * @returns {string} Connection state of the error
+ */
+export function reportListenerError(source, error, retry) {
+  const state = getErrorState(error);
+  sourceErrors.set(source, state);
+
+  cancelRetry(source);
+  if (retry && state !== CONNECTION_STATES.PERMISSION_DENIED) {
+    const attempt = retryAttempts.get(source) || 0;
+    const initialDelay = state === CONNECTION_STATES.QUOTA_EXCEEDED
+      ? RETRY_CONFIG.QUOTA_INITIAL_DELAY
+      : RETRY_CONFIG.INITIAL_DELAY;
+    const delay = Math.min(initialDelay * 2 ** attempt, RETRY_CONFIG.MAX_DELAY);
+
+    retryAttempts.set(source, attempt + 1);
+    retryTimeouts.set(source, {
+      timeout: setTimeout(() => {
+        retryTimeouts.delete(source);
+        console.log(`🔁 Retrying ${source} listener (attempt ${attempt + 1})`);
+        retry();
+      }, delay),
+      at: Date.now() + delay
+    });
+    console.warn(`⚠️ ${source} listener failed (${error.code || error.message}), retrying in ${delay / 1000}s`);
+  }
+
+  notify();
+  return state;
+}
+
+/**
+ * Forget a source whose listener was stopped (cancels its pending retry)
+ * @param {string} source - Listener name
+ */
+export function clearSource(source) {
+  cancelRetry(source);
+  retryAttempts.delete(source);
+  if (sourceErrors.delete(source)) notify();
+}
+
+/**
+ * Get the current connection state
+ * @returns {Object} { state, lastSyncedAt, nextRetryAt }
+ */
+export function getConnectionStatus() {
+  const errorStates = [...sourceErrors.values()];
+  let state = STATE_PRIORITY.find(candidate => errorStates.includes(candidate)) || CONNECTION_STATES.CONNECTED;
+
+  if (state === CONNECTION_STATES.CONNECTED && (!navigator.onLine || !isServerReachable)) {
+    state = CONNECTION_STATES.OFFLINE;
+  }
+
+  const retryTimes = [...retryTimeouts.values()].map(retry => retry.at);
+  return {
+    state,
+    lastSyncedAt,
+    nextRetryAt: retryTimes.length > 0 ? Math.min(...retryTimes) : null
+  };
+}
+
+/**
+ * Check if an error means the caller cannot read the path
+ * (Firestore also answers this for a missing project, since the rules read its members)
+ * @param {Error} error - Firestore error
+ * @returns {boolean}
+ */
+export function isPermissionError(error) {
+  return getErrorState(error) === CONNECTION_STATES.PERMISSION_DENIED;
+}
+
+/**
+ * Set callback called when the connection state changes
+ * @param {Function} callback - Function to call with { state, lastSyncedAt, nextRetryAt }
+ */
+export function onConnectionStatusChange(callback) {
+  onChangeCallback = callback;
+}
+
+/**
+ * Map a Firestore error code to a connection state
+ * @param {Error} error - Firestore error
+ * @returns {string} Connection state
+ */
+function getErrorState(error) {
+  switch (error?.code) {
+    case 'permission-denied':
+    case 'unauthenticated':
+      return CONNECTION_STATES.PERMISSION_DENIED;
+    case 'resource-exhausted':
+      return CONNECTION_STATES.QUOTA_EXCEEDED;
+    default:
+      return CONNECTION_STATES.RECONNECTING;
+  }
+}
+
+/**
+ * Cancel the pending retry of a source
+ * @param {string} source - Listener name
+ */
+function cancelRetry(source) {
+  const retry = retryTimeouts.get(source);
+  if (retry) {
+    clearTimeout(retry.timeout);
+    retryTimeouts.delete(source);
+  }
+}
+
+/**
+ * Notify the current state
+ */
+function notify() {
+  if (onChangeCallback) {
+    onChangeCallback(getConnectionStatus());
+  }
+}
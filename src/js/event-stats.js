@@ -0,0 +1,304 @@
+/**
+ * Event Stats
+ * Derives task metrics from the event log (per agent and per project)
+ */
+
+// Events that close a running task, and the outcome they give it
+const TASK_OUTCOMES = {
+  end: 'completed',
+  error: 'error',
+  offline: 'offline'
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Split events into task runs
+ * A run goes from a 'start' to the next 'end', 'error' or 'offline' of the same agent.
+ * A 'start' while a run is open (e.g. a progress update) continues that run.
+ * @param {Array} events - Events (oldest first), of one or many agents
+ * @returns {Array} Runs { agentId, agentName, agentColor, startedAt, endedAt, duration, outcome }
+ *   outcome: 'completed' | 'error' | 'offline' | 'open'
+ */
+export function computeTaskRuns(events) {
+  const runs = [];
+  const openRuns = new Map(); // agentId -> run
+
+  events.forEach(event => {
+    const timestamp = toDate(event.timestamp);
+
+    if (event.event === 'start') {
+      if (!openRuns.has(event.agentId)) {
+        const run = {
+          agentId: event.agentId,
+          agentName: event.agentName || event.agentId,
+          agentColor: event.agentColor,
+          startedAt: timestamp,
+          endedAt: null,
+          duration: null,
+          outcome: 'open'
+        };
+        openRuns.set(event.agentId, run);
+        runs.push(run);
+      }
+      return;
+    }
+
+    const outcome = TASK_OUTCOMES[event.event];
+    const run = openRuns.get(event.agentId);
+    if (outcome && run) {
+      run.endedAt = timestamp;
+      run.duration = timestamp - run.startedAt;
+      run.outcome = outcome;
+      openRuns.delete(event.agentId);
+    }
+  });
+
+  return runs;
+}
+
+/**
+ * Compute task statistics from an agent's events
+ * @param {Array} events - Events of a single agent (oldest first)
+ * @returns {Object} Stats
+ */
+export function computeAgentStats(events) {
+  const runs = computeTaskRuns(events);
+  const durations = runs.filter(run => run.outcome === 'completed').map(run => run.duration);
+
+  return {
+    totalEvents: events.length,
+    tasksStarted: runs.length,
+    successCount: events.filter(event => event.event === 'end').length,
+    errorCount: events.filter(event => event.event === 'error').length,
+    toolUseCount: events.filter(event => event.event === 'tool_use').length,
+    averageDuration: durations.length > 0 ? durations.reduce((sum, d) => sum + d, 0) / durations.length : null, // ms, over completed tasks
+    firstSeenAt: events.length > 0 ? events[0].timestamp : null,
+    lastSeenAt: events.length > 0 ? events[events.length - 1].timestamp : null
+  };
+}
+
+/**
+ * Aggregate a project's event log for the analytics view
+ * @param {Array} events - Project events (oldest first)
+ * @param {Object} options - Aggregation options
+ * @param {Date} options.since - Start of the period
+ * @param {Date} options.until - End of the period (default: now)
+ * @param {string} options.bucket - Throughput bucket: 'hour' | 'day'
+ * @returns {Object} { throughput, durations, busiest, heatmap, totals }
+ */
+export function computeProjectAnalytics(events, { since, until = new Date(), bucket = 'hour' }) {
+  const runs = computeTaskRuns(events);
+  const agents = collectAgents(runs);
+
+  return {
+    throughput: computeThroughput(runs, since, until, bucket),
+    durations: computeDurationsByAgent(runs, agents),
+    busiest: computeBusiestAgents(runs, agents, until),
+    heatmap: computeUtilizationHeatmap(runs, agents, until),
+    totals: {
+      events: events.length,
+      started: runs.length,
+      completed: runs.filter(run => run.outcome === 'completed').length,
+      errors: events.filter(event => event.event === 'error').length
+    }
+  };
+}
+
+/**
+ * Tasks started and completed per time bucket
+ * @param {Array} runs - Task runs
+ * @param {Date} since - Start of the period
+ * @param {Date} until - End of the period
+ * @param {string} bucket - 'hour' | 'day'
+ * @returns {Array} Buckets { start: Date, started, completed }
+ */
+function computeThroughput(runs, since, until, bucket) {
+  const size = bucket === 'day' ? DAY : HOUR;
+  const first = floorToBucket(since, bucket);
+  const buckets = [];
+
+  for (let time = first.getTime(); time <= until.getTime(); time = nextBucket(time, bucket)) {
+    buckets.push({ start: new Date(time), started: 0, completed: 0 });
+  }
+
+  const indexOf = (date) => buckets.findIndex(b => date >= b.start && date - b.start < size);
+
+  runs.forEach(run => {
+    const startIndex = indexOf(run.startedAt);
+    if (startIndex !== -1) buckets[startIndex].started++;
+
+    if (run.outcome === 'completed') {
+      const endIndex = indexOf(run.endedAt);
+      if (endIndex !== -1) buckets[endIndex].completed++;
+    }
+  });
+
+  return buckets;
+}
+
+/**
+ * Median and p95 duration of completed tasks, per agent
+ * @param {Array} runs - Task runs
+ * @param {Map} agents - Agents by ID
+ * @returns {Array} { agentId, agentName, agentColor, count, median, p95 } sorted by median (desc)
+ */
+function computeDurationsByAgent(runs, agents) {
+  const byAgent = new Map();
+
+  runs
+    .filter(run => run.outcome === 'completed')
+    .forEach(run => {
+      if (!byAgent.has(run.agentId)) byAgent.set(run.agentId, []);
+      byAgent.get(run.agentId).push(run.duration);
+    });
+
+  return [...byAgent.entries()]
+    .map(([agentId, durations]) => ({
+      ...agents.get(agentId),
+      count: durations.length,
+      median: percentile(durations, 50),
+      p95: percentile(durations, 95)
+    }))
+    .sort((a, b) => b.median - a.median);
+}
+
+/**
+ * Agents ranked by time spent working
+ * @param {Array} runs - Task runs
+ * @param {Map} agents - Agents by ID
+ * @param {Date} until - End of the period (open runs count until here)
+ * @returns {Array} { agentId, agentName, agentColor, tasks, busyMs, errors } sorted by busyMs (desc)
+ */
+function computeBusiestAgents(runs, agents, until) {
+  const totals = new Map();
+
+  runs.forEach(run => {
+    const entry = totals.get(run.agentId) || { ...agents.get(run.agentId), tasks: 0, busyMs: 0, errors: 0 };
+    entry.tasks++;
+    entry.busyMs += (run.endedAt || until) - run.startedAt;
+    if (run.outcome === 'error') entry.errors++;
+    totals.set(run.agentId, entry);
+  });
+
+  return [...totals.values()].sort((a, b) => b.busyMs - a.busyMs);
+}
+
+/**
+ * Minutes worked per agent and hour of day (0-23), over the whole period
+ * @param {Array} runs - Task runs
+ * @param {Map} agents - Agents by ID
+ * @param {Date} until - End of the period (open runs count until here)
+ * @returns {Array} Rows { agentId, agentName, agentColor, minutes: number[24] }
+ */
+function computeUtilizationHeatmap(runs, agents, until) {
+  const rows = new Map();
+
+  runs.forEach(run => {
+    if (!rows.has(run.agentId)) {
+      rows.set(run.agentId, { ...agents.get(run.agentId), minutes: new Array(24).fill(0) });
+    }
+    const row = rows.get(run.agentId);
+
+    // Split the run at every hour boundary
+    let cursor = run.startedAt.getTime();
+    const end = (run.endedAt || until).getTime();
+
+    while (cursor < end) {
+      const hourStart = new Date(cursor);
+      hourStart.setMinutes(0, 0, 0);
+      const sliceEnd = Math.min(end, hourStart.getTime() + HOUR);
+
+      row.minutes[hourStart.getHours()] += (sliceEnd - cursor) / 60000;
+      cursor = sliceEnd;
+    }
+  });
+
+  return [...rows.values()];
+}
+
+/**
+ * Agent name and color by ID, taken from the latest run
+ * @param {Array} runs - Task runs
+ * @returns {Map} agentId -> { agentId, agentName, agentColor }
+ */
+function collectAgents(runs) {
+  const agents = new Map();
+  runs.forEach(run => {
+    agents.set(run.agentId, {
+      agentId: run.agentId,
+      agentName: run.agentName,
+      agentColor: run.agentColor || agents.get(run.agentId)?.agentColor
+    });
+  });
+  return agents;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {number[]} values - Values
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null}
+ */
+export function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+}
+
+/**
+ * Start of the bucket that contains a date
+ * @param {Date} date - Date
+ * @param {string} bucket - 'hour' | 'day'
+ * @returns {Date}
+ */
+function floorToBucket(date, bucket) {
+  const floored = new Date(date);
+  if (bucket === 'day') {
+    floored.setHours(0, 0, 0, 0);
+  } else {
+    floored.setMinutes(0, 0, 0);
+  }
+  return floored;
+}
+
+/**
+ * Start of the next bucket (calendar days, safe across DST changes)
+ * @param {number} time - Bucket start (ms)
+ * @param {string} bucket - 'hour' | 'day'
+ * @returns {number}
+ */
+function nextBucket(time, bucket) {
+  if (bucket !== 'day') return time + HOUR;
+  const next = new Date(time);
+  next.setDate(next.getDate() + 1);
+  return next.getTime();
+}
+
+/**
+ * Format a duration for display
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Formatted duration (e.g. "45s", "3min 20s", "1h 5min")
+ */
+export function formatDuration(ms) {
+  if (ms === null || ms === undefined) return '—';
+
+  const seconds = Math.max(0, Math.round(ms / 1000));
+  const minutes = Math.floor(seconds / 60);
+  const hours = Math.floor(minutes / 60);
+
+  if (seconds < 60) return `${seconds}s`;
+  if (minutes < 60) return `${minutes}min ${seconds % 60}s`;
+  return `${hours}h ${minutes % 60}min`;
+}
+
+/**
+ * Convert an event timestamp to a Date
+ * @param {Date|string|number} timestamp - Timestamp
+ * @returns {Date}
+ */
+function toDate(timestamp) {
+  return timestamp instanceof Date ? timestamp : new Date(timestamp);
+}
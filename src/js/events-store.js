@@ -0,0 +1,353 @@
+/**
+ * Events Store
+ * Listens to the append-only event log of a project
+ * Path: project/{projectId}/events
+ */
+
+import { db } from './firebase-config.js';
+import { collection, onSnapshot, query, orderBy, limit, where, getDocs, startAfter } from 'firebase/firestore';
+import { reportSnapshot, reportListenerError, clearSource } from './connection-status.js';
+
+// Configuration
+const MAX_EVENTS = 200;        // Events loaded when opening a project
+const MAX_AGENT_EVENTS = 1000; // Events loaded for an agent timeline
+const MAX_PERIOD_EVENTS = 5000; // Events aggregated by the analytics view
+const LOGS_PAGE_SIZE = 50;      // Events per page in the logs view
+const RANGE_PAGE_SIZE = 1000;   // Events per request when paging a replay window
+const MAX_RANGE_EVENTS = 20000; // Events loaded for a replay window
+
+// State
+let events = [];
+let unsubscribe = null;
+let onHistoryCallback = null;
+let onEventCallback = null;
+let currentProjectId = null;
+let historyLoaded = false; // First snapshot received (events may legitimately be empty)
+
+/**
+ * Initialize the events listener for a specific project
+ * The first snapshot delivers the recent history (oldest first),
+ * subsequent snapshots deliver only newly appended events
+ * @param {string} projectId - Project ID
+ */
+export function initEventsListener(projectId = null) {
+  // Stop existing listener if any
+  stopEventsListener();
+
+  events = [];
+  historyLoaded = false;
+
+  if (!projectId) {
+    console.warn('⚠️ No projectId provided, cannot listen to events');
+    return;
+  }
+
+  currentProjectId = projectId;
+  subscribeToEvents(projectId);
+}
+
+/**
+ * Subscribe to the event log (also used to resubscribe after an error,
+ * which delivers the history again)
+ * @param {string} projectId - Project ID
+ */
+function subscribeToEvents(projectId) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+  const q = query(eventsRef, orderBy('timestamp', 'desc'), limit(MAX_EVENTS));
+
+  console.log(`👀 Listening to events for project: ${projectId}`);
+
+  let isFirstSnapshot = true;
+
+  unsubscribe = onSnapshot(q, (snapshot) => {
+    reportSnapshot('events', snapshot.metadata);
+
+    if (isFirstSnapshot) {
+      isFirstSnapshot = false;
+      historyLoaded = true;
+
+      // Docs come newest first, history is replayed oldest first
+      events = snapshot.docs.map(normalizeEvent).reverse();
+      console.log(`📜 Loaded ${events.length} events from log`);
+
+      if (onHistoryCallback) {
+        onHistoryCallback([...events]);
+      }
+      return;
+    }
+
+    // Only appended events matter, older ones leaving the window are ignored
+    const added = snapshot.docChanges()
+      .filter(change => change.type === 'added')
+      .map(change => normalizeEvent(change.doc))
+      .reverse();
+
+    added.forEach(event => {
+      events.push(event);
+      if (onEventCallback) {
+        onEventCallback(event);
+      }
+    });
+
+    if (events.length > MAX_EVENTS) {
+      events = events.slice(-MAX_EVENTS);
+    }
+  }, (error) => {
+    console.error('❌ Error listening to events:', error);
+    console.error(`   Path: project/${projectId}/events`);
+
+    // The listener is closed after an error: resubscribe with backoff (unless stopped meanwhile)
+    unsubscribe = null;
+    reportListenerError('events', error, () => {
+      if (currentProjectId === projectId && !unsubscribe) subscribeToEvents(projectId);
+    });
+  });
+}
+
+/**
+ * Fetch the event timeline of a single agent
+ * Requires the (agentId, timestamp desc) index on events
+ * @param {string} projectId - Project ID
+ * @param {string} agentId - Agent ID
+ * @returns {Promise<Array>} Events of the agent (oldest first)
+ */
+export async function fetchAgentEvents(projectId, agentId) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+  const q = query(
+    eventsRef,
+    where('agentId', '==', agentId),
+    orderBy('timestamp', 'desc'),
+    limit(MAX_AGENT_EVENTS)
+  );
+
+  const snapshot = await getDocs(q);
+  console.log(`📜 Loaded ${snapshot.size} events for agent: ${agentId}`);
+
+  return snapshot.docs.map(normalizeEvent).reverse();
+}
+
+/**
+ * Fetch the events of a project since a given date
+ * @param {string} projectId - Project ID
+ * @param {Date} since - Start of the period
+ * @returns {Promise<Array>} Events (oldest first)
+ */
+export async function fetchProjectEvents(projectId, since) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+  const q = query(
+    eventsRef,
+    where('timestamp', '>=', since),
+    orderBy('timestamp', 'desc'),
+    limit(MAX_PERIOD_EVENTS)
+  );
+
+  const snapshot = await getDocs(q);
+  console.log(`📜 Loaded ${snapshot.size} events for ${projectId} since ${since.toISOString()}`);
+
+  if (snapshot.size === MAX_PERIOD_EVENTS) {
+    console.warn(`⚠️ Period truncated to the latest ${MAX_PERIOD_EVENTS} events`);
+  }
+
+  return snapshot.docs.map(normalizeEvent).reverse();
+}
+
+/**
+ * Fetch every event of a project in a time range, paging oldest first
+ * Stops at MAX_RANGE_EVENTS, in which case the latest events of the range are missing
+ * @param {string} projectId - Project ID
+ * @param {Date} since - Start of the range
+ * @param {Date} until - End of the range
+ * @returns {Promise<Object>} { events (oldest first), truncated }
+ */
+export async function fetchProjectEventsRange(projectId, since, until) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+  const rangeEvents = [];
+  let cursor = null;
+
+  while (rangeEvents.length < MAX_RANGE_EVENTS) {
+    const snapshot = await getDocs(query(
+      eventsRef,
+      where('timestamp', '>=', since),
+      where('timestamp', '<=', until),
+      orderBy('timestamp', 'asc'),
+      ...(cursor ? [startAfter(cursor)] : []),
+      limit(RANGE_PAGE_SIZE)
+    ));
+
+    rangeEvents.push(...snapshot.docs.map(normalizeEvent));
+    if (snapshot.size < RANGE_PAGE_SIZE) {
+      return { events: rangeEvents, truncated: false };
+    }
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.warn(`⚠️ Range truncated to the first ${MAX_RANGE_EVENTS} events`);
+  return { events: rangeEvents, truncated: true };
+}
+
+/**
+ * Fetch the last event of each agent before a given time
+ * Requires the (agentId, timestamp desc) index on events
+ * @param {string} projectId - Project ID
+ * @param {string[]} agentIds - Agent IDs
+ * @param {Date} before - Time to look back from
+ * @returns {Promise<Map>} agentId -> last event (agents without events before are left out)
+ */
+export async function fetchLastAgentEvents(projectId, agentIds, before) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+
+  const snapshots = await Promise.all(agentIds.map(agentId => getDocs(query(
+    eventsRef,
+    where('agentId', '==', agentId),
+    where('timestamp', '<', before),
+    orderBy('timestamp', 'desc'),
+    limit(1)
+  ))));
+
+  const lastEvents = new Map();
+  snapshots.forEach((snapshot, index) => {
+    if (!snapshot.empty) lastEvents.set(agentIds[index], normalizeEvent(snapshot.docs[0]));
+  });
+  return lastEvents;
+}
+
+/**
+ * Build a query over the raw event log with server-side filters (newest first)
+ * Filtering by agent and event type together uses the (agentId, event, timestamp) index
+ * @param {string} projectId - Project ID
+ * @param {Object} filters - { agentId, event, since }
+ * @returns {Array} Query constraints
+ */
+function buildLogsConstraints({ agentId, event, since }) {
+  const constraints = [];
+  if (agentId) constraints.push(where('agentId', '==', agentId));
+  if (event) constraints.push(where('event', '==', event));
+  if (since) constraints.push(where('timestamp', '>=', since));
+  constraints.push(orderBy('timestamp', 'desc'));
+  return constraints;
+}
+
+/**
+ * Fetch a page of the raw event log
+ * @param {string} projectId - Project ID
+ * @param {Object} filters - { agentId, event, since }
+ * @param {Object} cursor - Last document of the previous page (null for the first page)
+ * @returns {Promise<Object>} { events (newest first), cursor, hasMore }
+ */
+export async function fetchEventsPage(projectId, filters = {}, cursor = null) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+  const constraints = buildLogsConstraints(filters);
+  if (cursor) constraints.push(startAfter(cursor));
+  constraints.push(limit(LOGS_PAGE_SIZE));
+
+  const snapshot = await getDocs(query(eventsRef, ...constraints));
+
+  return {
+    events: snapshot.docs.map(normalizeEvent),
+    cursor: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : cursor,
+    hasMore: snapshot.docs.length === LOGS_PAGE_SIZE
+  };
+}
+
+/**
+ * Listen to events appended to the log (live tail)
+ * The first snapshot is skipped: it only contains events already paged in
+ * @param {string} projectId - Project ID
+ * @param {Object} filters - { agentId, event, since }
+ * @param {Function} callback - Called with new events (newest first)
+ * @returns {Function} Unsubscribe function
+ */
+export function listenToEventsTail(projectId, filters, callback) {
+  const eventsRef = collection(db, 'project', projectId, 'events');
+  const q = query(eventsRef, ...buildLogsConstraints(filters), limit(LOGS_PAGE_SIZE));
+
+  let isFirstSnapshot = true;
+
+  return onSnapshot(q, (snapshot) => {
+    if (isFirstSnapshot) {
+      isFirstSnapshot = false;
+      return;
+    }
+
+    const added = snapshot.docChanges()
+      .filter(change => change.type === 'added')
+      .map(change => normalizeEvent(change.doc));
+
+    if (added.length > 0) {
+      callback(added);
+    }
+  }, (error) => {
+    console.error('❌ Error tailing events:', error);
+  });
+}
+
+/**
+ * Convert a Firestore event document into a plain event object
+ * @param {Object} doc - Firestore document snapshot
+ * @returns {Object} Event object with a Date timestamp
+ */
+function normalizeEvent(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    timestamp: data.timestamp?.toDate?.() || data.timestamp || new Date()
+  };
+}
+
+/**
+ * Set callback called once with the event history of the project
+ * @param {Function} callback - Function to call with events array (oldest first)
+ */
+export function onEventsHistory(callback) {
+  onHistoryCallback = callback;
+}
+
+/**
+ * Set callback called for every new event appended to the log
+ * @param {Function} callback - Function to call with the event
+ */
+export function onNewEvent(callback) {
+  onEventCallback = callback;
+}
+
+/**
+ * Get loaded events
+ * @returns {Array} Events (oldest first)
+ */
+export function getEvents() {
+  return [...events];
+}
+
+/**
+ * Check if the current project has an event log
+ * Producers that only overwrite the agent document have none. Until the first
+ * snapshot arrives the log is assumed to exist, since that snapshot replays the history
+ * @returns {boolean}
+ */
+export function hasEventLog() {
+  return !historyLoaded || events.length > 0;
+}
+
+/**
+ * Stop listening to events
+ */
+export function stopEventsListener() {
+  clearSource('events');
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+    console.log('🔇 Stopped listening to events');
+  }
+  events = [];
+  historyLoaded = false;
+  currentProjectId = null;
+}
+
+/**
+ * Get current project ID
+ * @returns {string|null}
+ */
+export function getEventsProjectId() {
+  return currentProjectId;
+}
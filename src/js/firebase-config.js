@@ -7,7 +7,8 @@
  */
 
 import { initializeApp } from 'firebase/app';
-import { getFirestore, connectFirestoreEmulator } from 'firebase/firestore';
+import { initializeFirestore, persistentLocalCache, persistentMultipleTabManager, connectFirestoreEmulator, terminate, clearIndexedDbPersistence } from 'firebase/firestore';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
 
 // Firebase configuration
 // TODO: Replace with your actual Firebase project configuration
@@ -23,13 +24,30 @@ const firebaseConfig = {
 // Initialize Firebase
 const app = initializeApp(firebaseConfig);
 
-// Initialize Firestore
-export const db = getFirestore(app);
+// Initialize Firestore with a persistent (IndexedDB) cache, so listeners and queries
+// answer from the last synced documents while offline (shared across tabs)
+export const db = initializeFirestore(app, {
+  localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+});
 
-// Connect to emulator in development (optional)
+// Initialize Auth
+export const auth = getAuth(app);
+
+/**
+ * Delete the persistent Firestore cache (documents of the signed-in user)
+ * Terminates the Firestore instance: the page must be reloaded to use it again
+ */
+export async function clearFirestoreCache() {
+  await terminate(db);
+  await clearIndexedDbPersistence(db);
+  console.log('🧹 Firestore cache cleared');
+}
+
+// Connect to emulators in development (optional)
 if (import.meta.env.DEV && import.meta.env.VITE_USE_EMULATOR === 'true') {
   connectFirestoreEmulator(db, 'localhost', 8080);
-  console.log('🔧 Connected to Firestore Emulator');
+  connectAuthEmulator(auth, 'http://localhost:9099', { disableWarnings: true });
+  console.log('🔧 Connected to Firestore and Auth Emulators');
 }
 
 // Log initialization status
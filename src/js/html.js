@@ -0,0 +1,20 @@
+/**
+ * HTML helpers
+ * Shared by the modules that build markup from strings
+ */
+
+/**
+ * Escape HTML special characters (including quotes, for attribute values)
+ * Producer events, Notion tasks and project names all end up in markup
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string ('' for null or undefined)
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
@@ -0,0 +1,466 @@
+/**
+ * Logs View
+ * Pages through the raw event log of a project, with filters,
+ * live tail and a JSON inspector for each event
+ */
+
+import { fetchEventsPage, listenToEventsTail } from './events-store.js';
+import { fetchProjectAgents } from './agents-store.js';
+import { formatToolAction } from './task-manager.js';
+import { escapeHtml } from './html.js';
+
+// Time range filter (ms back from now, null = whole log)
+const TIME_RANGES = {
+  '1h': 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '30d': 30 * 24 * 60 * 60 * 1000,
+  all: null
+};
+
+// Event type labels
+const EVENT_LABELS = {
+  start: 'Início',
+  tool_use: 'Ferramenta',
+  end: 'Fim',
+  error: 'Erro',
+  waiting: 'Aguardando',
+  blocked: 'Bloqueado',
+  offline: 'Offline'
+};
+
+// Empty state when nothing matches
+const EMPTY_STATE = {
+  title: 'Nenhum evento encontrado',
+  hint: 'Ajuste os filtros ou o período',
+  // Tool and free text only filter the pages already loaded
+  clientHint: 'A busca e o filtro de ferramenta só olham os eventos carregados: carregue mais ou amplie o período'
+};
+
+// State
+let currentProjectId = null;
+let filters = { agentId: '', event: '', tool: '', range: '24h', text: '' };
+let loadedEvents = [];   // Newest first
+let cursor = null;
+let hasMore = false;
+let tailUnsubscribe = null;
+let isTailing = false;
+let requestId = 0;       // Ignores responses of superseded loads
+const expandedEventIds = new Set();
+let onProjectChangeCallback = null;
+
+// DOM references
+let projectSelect = null;
+let agentSelect = null;
+let eventSelect = null;
+let toolSelect = null;
+let rangeSelect = null;
+let searchInput = null;
+let tailButton = null;
+let listContainer = null;
+let countLabel = null;
+let loadMoreButton = null;
+let loadingState = null;
+let emptyState = null;
+let emptyTitle = null;
+let emptyHint = null;
+
+/**
+ * Initialize the logs view (DOM references and filter listeners)
+ */
+export function initLogsView() {
+  projectSelect = document.getElementById('logs-project');
+  agentSelect = document.getElementById('logs-agent');
+  eventSelect = document.getElementById('logs-event');
+  toolSelect = document.getElementById('logs-tool');
+  rangeSelect = document.getElementById('logs-range');
+  searchInput = document.getElementById('logs-search');
+  tailButton = document.getElementById('logs-tail-btn');
+  listContainer = document.getElementById('logs-list');
+  countLabel = document.getElementById('logs-count');
+  loadMoreButton = document.getElementById('logs-load-more');
+  loadingState = document.getElementById('logs-loading');
+  emptyState = document.getElementById('logs-empty');
+  emptyTitle = document.getElementById('logs-empty-title');
+  emptyHint = document.getElementById('logs-empty-hint');
+
+  if (!listContainer) return;
+
+  if (eventSelect) {
+    eventSelect.innerHTML = `<option value="">Todos os eventos</option>` +
+      Object.entries(EVENT_LABELS).map(([event, label]) => `<option value="${event}">${label} (${event})</option>`).join('');
+  }
+
+  projectSelect?.addEventListener('change', () => {
+    if (onProjectChangeCallback) onProjectChangeCallback(projectSelect.value);
+  });
+
+  // Agent, event type and period are filtered by Firestore
+  [[agentSelect, 'agentId'], [eventSelect, 'event'], [rangeSelect, 'range']].forEach(([select, key]) => {
+    select?.addEventListener('change', () => {
+      filters[key] = select.value;
+      reloadLogs();
+    });
+  });
+
+  // Tool and free text are filtered over the loaded pages (labelled as such in the UI)
+  toolSelect?.addEventListener('change', () => {
+    filters.tool = toolSelect.value;
+    renderLogs();
+  });
+  searchInput?.addEventListener('input', () => {
+    filters.text = searchInput.value.trim().toLowerCase();
+    renderLogs();
+  });
+
+  tailButton?.addEventListener('click', () => {
+    if (isTailing) {
+      stopTail();
+    } else {
+      startTail();
+    }
+  });
+
+  loadMoreButton?.addEventListener('click', loadMoreLogs);
+
+  // JSON inspector: click a row to expand/collapse
+  listContainer.addEventListener('click', (e) => {
+    const row = e.target.closest('.logs-row');
+    if (!row || e.target.closest('.logs-json')) return;
+
+    const eventId = row.dataset.eventId;
+    if (expandedEventIds.has(eventId)) {
+      expandedEventIds.delete(eventId);
+    } else {
+      expandedEventIds.add(eventId);
+    }
+    renderLogs();
+  });
+
+  console.log('📝 Logs view initialized');
+}
+
+/**
+ * Open the logs of a project
+ * @param {string} projectId - Project ID
+ * @param {Array} projects - Projects the user can see (for the project selector)
+ */
+export async function openLogs(projectId, projects) {
+  const projectChanged = projectId !== currentProjectId;
+  currentProjectId = projectId;
+
+  if (projectSelect) {
+    projectSelect.innerHTML = projects
+      .map(project => `<option value="${escapeHtml(project.id)}">${escapeHtml(project.name || project.id)}</option>`)
+      .join('');
+    projectSelect.value = projectId;
+  }
+
+  // Agent filter belongs to the previous project
+  if (projectChanged) {
+    filters.agentId = '';
+    expandedEventIds.clear();
+  }
+  if (rangeSelect) rangeSelect.value = filters.range;
+  if (eventSelect) eventSelect.value = filters.event;
+  if (searchInput) searchInput.value = filters.text;
+
+  loadAgentOptions(projectId);
+  await reloadLogs();
+}
+
+/**
+ * Close the logs view (stops live tail and pending loads)
+ */
+export function closeLogs() {
+  stopTail();
+  requestId++;
+}
+
+/**
+ * Show the empty state instead of the logs (no project to show)
+ * @param {string} title - Empty state title
+ * @param {string} [hint] - Text below the title
+ */
+export function showLogsEmpty(title, hint = '') {
+  closeLogs();
+  currentProjectId = null;
+  loadedEvents = [];
+  hasMore = false;
+
+  [projectSelect, agentSelect, toolSelect].forEach(select => {
+    if (select) select.innerHTML = '';
+  });
+  if (listContainer) listContainer.innerHTML = '';
+  if (countLabel) countLabel.textContent = '';
+  if (loadMoreButton) loadMoreButton.classList.add('hidden');
+  showLoading(false);
+  setEmptyState(title, hint);
+  emptyState?.classList.remove('hidden');
+}
+
+/**
+ * Set callback called when the user picks another project
+ * @param {Function} callback - Function to call with the project ID
+ */
+export function onLogsProjectChange(callback) {
+  onProjectChangeCallback = callback;
+}
+
+/**
+ * Fill the agent filter with the agents of the project
+ * @param {string} projectId - Project ID
+ */
+async function loadAgentOptions(projectId) {
+  if (!agentSelect) return;
+
+  agentSelect.innerHTML = '<option value="">Todos os agentes</option>';
+
+  try {
+    const agents = await fetchProjectAgents(projectId);
+    if (projectId !== currentProjectId) return;
+
+    agentSelect.innerHTML += agents
+      .map(agent => `<option value="${escapeHtml(agent.id)}">${escapeHtml(agent.name)}</option>`)
+      .join('');
+    agentSelect.value = filters.agentId;
+  } catch (error) {
+    console.error('❌ Error loading agents for logs filter:', error);
+  }
+}
+
+/**
+ * Get the filters applied by Firestore
+ * @returns {Object} { agentId, event, since }
+ */
+function getServerFilters() {
+  const range = TIME_RANGES[filters.range];
+  return {
+    agentId: filters.agentId || null,
+    event: filters.event || null,
+    since: range ? new Date(Date.now() - range) : null
+  };
+}
+
+/**
+ * Reload the first page with the current filters
+ */
+async function reloadLogs() {
+  if (!currentProjectId) return;
+
+  const id = ++requestId;
+  loadedEvents = [];
+  cursor = null;
+  hasMore = false;
+
+  showLoading(true);
+  renderLogs();
+
+  try {
+    const page = await fetchEventsPage(currentProjectId, getServerFilters());
+    if (id !== requestId) return;
+
+    loadedEvents = page.events;
+    cursor = page.cursor;
+    hasMore = page.hasMore;
+  } catch (error) {
+    if (id !== requestId) return;
+    console.error('❌ Error loading logs:', error);
+    showError(error.message || 'Verifique o console para mais detalhes');
+    return;
+  } finally {
+    if (id === requestId) showLoading(false);
+  }
+
+  // Live tail follows the new filters
+  if (isTailing) startTail();
+
+  renderLogs();
+}
+
+/**
+ * Load the next page
+ */
+async function loadMoreLogs() {
+  if (!currentProjectId || !hasMore) return;
+
+  const id = requestId;
+  if (loadMoreButton) loadMoreButton.disabled = true;
+
+  try {
+    const page = await fetchEventsPage(currentProjectId, getServerFilters(), cursor);
+    if (id !== requestId) return;
+
+    loadedEvents = loadedEvents.concat(page.events);
+    cursor = page.cursor;
+    hasMore = page.hasMore;
+    renderLogs();
+  } catch (error) {
+    console.error('❌ Error loading more logs:', error);
+  } finally {
+    if (loadMoreButton) loadMoreButton.disabled = false;
+  }
+}
+
+/**
+ * Start live tail: new events are prepended as they are appended to the log
+ */
+function startTail() {
+  if (!currentProjectId) return;
+
+  if (tailUnsubscribe) tailUnsubscribe();
+  isTailing = true;
+
+  tailUnsubscribe = listenToEventsTail(currentProjectId, getServerFilters(), (events) => {
+    const knownIds = new Set(loadedEvents.map(event => event.id));
+    const fresh = events.filter(event => !knownIds.has(event.id));
+    if (fresh.length === 0) return;
+
+    loadedEvents = fresh.concat(loadedEvents);
+    renderLogs();
+  });
+
+  updateTailButton();
+  console.log('📡 Logs live tail started');
+}
+
+/**
+ * Stop live tail
+ */
+function stopTail() {
+  if (tailUnsubscribe) {
+    tailUnsubscribe();
+    tailUnsubscribe = null;
+    console.log('🔇 Logs live tail stopped');
+  }
+  isTailing = false;
+  updateTailButton();
+}
+
+/**
+ * Update the live tail button state
+ */
+function updateTailButton() {
+  if (!tailButton) return;
+  tailButton.classList.toggle('active', isTailing);
+  tailButton.setAttribute('aria-pressed', String(isTailing));
+}
+
+/**
+ * Check an event against the client-side filters (tool and free text)
+ * @param {Object} event - Event
+ * @returns {boolean}
+ */
+function matchesClientFilters(event) {
+  if (filters.tool && event.toolData?.tool !== filters.tool) return false;
+
+  if (filters.text) {
+    const haystack = [event.task, event.prompt, event.action, event.actionDetail, event.toolData?.input]
+      .filter(Boolean)
+      .join('\n')
+      .toLowerCase();
+    if (!haystack.includes(filters.text)) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Render the tool filter options from the tools seen in the loaded events
+ */
+function renderToolOptions() {
+  if (!toolSelect) return;
+
+  const tools = [...new Set(loadedEvents.map(event => event.toolData?.tool).filter(Boolean))].sort();
+  if (filters.tool && !tools.includes(filters.tool)) tools.unshift(filters.tool);
+
+  toolSelect.innerHTML = '<option value="">Todas as ferramentas</option>' +
+    tools.map(tool => `<option value="${escapeHtml(tool)}">${escapeHtml(formatToolAction(tool))} (${escapeHtml(tool)})</option>`).join('');
+  toolSelect.value = filters.tool;
+}
+
+/**
+ * Render the event list
+ */
+function renderLogs() {
+  if (!listContainer) return;
+
+  renderToolOptions();
+
+  const visible = loadedEvents.filter(matchesClientFilters);
+
+  if (countLabel) {
+    countLabel.textContent = visible.length === loadedEvents.length
+      ? `${loadedEvents.length} eventos`
+      : `${visible.length} de ${loadedEvents.length} eventos carregados`;
+  }
+
+  // With more pages on the server, the client-side filters may be hiding older matches
+  const isClientFiltered = Boolean(filters.tool || filters.text) && visible.length < loadedEvents.length;
+  setEmptyState(EMPTY_STATE.title, isClientFiltered && hasMore ? EMPTY_STATE.clientHint : EMPTY_STATE.hint);
+  if (emptyState) emptyState.classList.toggle('hidden', visible.length > 0 || loadingState?.classList.contains('hidden') === false);
+  if (loadMoreButton) loadMoreButton.classList.toggle('hidden', !hasMore);
+
+  listContainer.innerHTML = visible.map(createLogRow).join('');
+}
+
+/**
+ * Create the HTML of a log row (with the JSON inspector when expanded)
+ * @param {Object} event - Event
+ * @returns {string} HTML
+ */
+function createLogRow(event) {
+  const tool = event.toolData?.tool;
+  const label = tool ? formatToolAction(tool) : (event.action || EVENT_LABELS[event.event] || event.event);
+  const detail = event.actionDetail || event.toolData?.input || event.task || event.prompt || '';
+  const isExpanded = expandedEventIds.has(event.id);
+  const time = event.timestamp
+    ? new Date(event.timestamp).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : '';
+
+  return `
+    <div class="logs-row ${isExpanded ? 'expanded' : ''}" data-event-id="${escapeHtml(event.id)}">
+      <div class="logs-row-main">
+        <time class="logs-time">${time}</time>
+        <span class="logs-agent">
+          <span class="logs-agent-dot" style="background: ${escapeHtml(event.agentColor || '#FF6B35')}"></span>
+          ${escapeHtml(event.agentName || event.agentId)}
+        </span>
+        <span class="logs-event event-${escapeHtml(event.event)}">${escapeHtml(event.event)}</span>
+        <span class="logs-label">${escapeHtml(label)}</span>
+        <span class="logs-detail">${escapeHtml(detail.split('\n')[0])}</span>
+      </div>
+      ${isExpanded ? `<pre class="logs-json">${escapeHtml(JSON.stringify(event, null, 2))}</pre>` : ''}
+    </div>
+  `;
+}
+
+/**
+ * Set the texts of the empty state
+ * @param {string} title - Empty state title
+ * @param {string} hint - Text below the title
+ */
+function setEmptyState(title, hint) {
+  if (emptyTitle) emptyTitle.textContent = title;
+  if (emptyHint) emptyHint.textContent = hint;
+}
+
+/**
+ * Show/hide the loading state
+ * @param {boolean} isLoading - Whether a page is loading
+ */
+function showLoading(isLoading) {
+  if (loadingState) loadingState.classList.toggle('hidden', !isLoading);
+}
+
+/**
+ * Show an error in place of the list
+ * @param {string} message - Error message
+ */
+function showError(message) {
+  showLoading(false);
+  if (listContainer) {
+    listContainer.innerHTML = `<p class="logs-error">Erro ao carregar logs: ${escapeHtml(message)}</p>`;
+  }
+}
+
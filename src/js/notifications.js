@@ -1,12 +1,40 @@
 /**
  * Toast Notifications System
- * Shows activity notifications on screen
+ * Shows activity notifications on screen, plus opt-in desktop notifications
+ * (Web Notifications) and sound cues filtered by per-project alert rules
  */
 
 let container = null;
 const MAX_NOTIFICATIONS = 5;
 const DEFAULT_DURATION = 5000;
 
+// Agent events that alert rules can select
+export const ALERT_EVENTS = ['start', 'end', 'error', 'waiting', 'blocked', 'offline'];
+
+// Default rule key (projects without their own rule)
+export const DEFAULT_RULE_KEY = '*';
+
+// Alert rules, set by settings-store
+// rules[projectId]: { events, agents (IDs, empty = all), onlyWhenHidden }
+let alertConfig = {
+  desktop: false,
+  sound: false,
+  doNotDisturb: { enabled: false, start: '22:00', end: '07:00' },
+  rules: {
+    [DEFAULT_RULE_KEY]: { events: ['error'], agents: [], onlyWhenHidden: false }
+  }
+};
+
+// Sound cues: [frequency (Hz), duration (s)] notes per event
+const SOUND_CUES = {
+  start: [[660, 0.12]],
+  end: [[523, 0.1], [784, 0.14]],
+  error: [[330, 0.18], [247, 0.28]],
+  default: [[440, 0.16], [440, 0.16]]
+};
+
+let audioContext = null;
+
 /**
  * Initialize notifications container
  */
@@ -22,9 +50,9 @@ export function initNotifications() {
 /**
  * Show a notification
  * @param {Object} options - Notification options
- * @param {string} options.title - Notification title
- * @param {string} options.message - Notification message
- * @param {string} options.type - Type: 'info' | 'success' | 'warning' | 'agent-start' | 'agent-end'
+ * @param {string} options.title - Notification title (plain text)
+ * @param {string} options.message - Notification message (plain text)
+ * @param {string} options.type - Type: 'info' | 'success' | 'warning' | 'error' | 'agent-start' | 'agent-end'
  * @param {string} options.icon - Custom icon HTML (optional)
  * @param {string} options.color - Custom color (optional)
  * @param {number} options.duration - Duration in ms (optional)
@@ -55,12 +83,18 @@ export function showNotification(options) {
   notification.innerHTML = `
     <div class="notification-icon">${iconHtml}</div>
     <div class="notification-content">
-      <div class="notification-title">${title}</div>
-      ${message ? `<div class="notification-message">${message}</div>` : ''}
+      <div class="notification-title"></div>
+      ${message ? '<div class="notification-message"></div>' : ''}
     </div>
     <div class="notification-progress"></div>
   `;
 
+  // Title and message carry producer data (agent names, error details): set as text
+  notification.querySelector('.notification-title').textContent = title;
+  if (message) {
+    notification.querySelector('.notification-message').textContent = message;
+  }
+
   // Add to container
   container.appendChild(notification);
 
@@ -119,6 +153,11 @@ function getIconForType(type) {
       <line x1="12" y1="9" x2="12" y2="13"/>
       <line x1="12" y1="17" x2="12.01" y2="17"/>
     </svg>`,
+    'error': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="12" cy="12" r="10"/>
+      <line x1="15" y1="9" x2="9" y2="15"/>
+      <line x1="9" y1="9" x2="15" y2="15"/>
+    </svg>`,
     'agent-start': `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
       <circle cx="12" cy="12" r="10"/>
       <polygon points="10 8 16 12 10 16 10 8"/>
@@ -159,6 +198,227 @@ export function notifyAgentEnd(agentName, color) {
   });
 }
 
+/**
+ * Notify agent failed
+ */
+export function notifyAgentError(agentName, message) {
+  showNotification({
+    title: `${agentName}: erro`,
+    message: message || 'O agente reportou um erro',
+    type: 'error',
+    duration: 8000
+  });
+}
+
+/**
+ * Notify agent waiting, blocked or offline
+ */
+export function notifyAgentStatus(agentName, status, message) {
+  const labels = {
+    waiting: 'aguardando',
+    blocked: 'bloqueado',
+    offline: 'offline'
+  };
+
+  showNotification({
+    title: `${agentName}: ${labels[status] || status}`,
+    message: message || '',
+    type: 'warning',
+    duration: 6000
+  });
+}
+
+/**
+ * Alert an agent event according to the rules of its project:
+ * in-page toast, then desktop notification and sound cue (opt-in, outside do-not-disturb)
+ * @param {Object} options
+ * @param {string} options.projectId - Project ID
+ * @param {string} options.projectName - Project name (desktop notification title)
+ * @param {Object} options.agent - Agent ({ id, name, color })
+ * @param {string} options.event - 'start' | 'end' | 'error' | 'waiting' | 'blocked' | 'offline'
+ * @param {string} [options.message] - Task or error detail
+ * @returns {boolean} Whether the event matched the rules
+ */
+export function notifyAgentEvent({ projectId, projectName, agent, event, message }) {
+  const rule = getProjectRule(projectId);
+  if (!rule.events.includes(event)) return false;
+  if (rule.agents.length > 0 && !rule.agents.includes(agent.id)) return false;
+
+  if (event === 'start') {
+    notifyAgentStart(agent.name, message, agent.color);
+  } else if (event === 'end') {
+    notifyAgentEnd(agent.name, agent.color);
+  } else if (event === 'error') {
+    notifyAgentError(agent.name, message);
+  } else {
+    notifyAgentStatus(agent.name, event, message);
+  }
+
+  if (isDoNotDisturb()) return true;
+  if (rule.onlyWhenHidden && document.visibilityState !== 'hidden') return true;
+
+  if (alertConfig.desktop) {
+    showDesktopNotification(
+      `${agent.name} · ${projectName || projectId}`,
+      getDesktopMessage(event, message),
+      `${projectId}/${agent.id}`
+    );
+  }
+
+  if (alertConfig.sound) {
+    playSoundCue(event);
+  }
+
+  return true;
+}
+
+/**
+ * Set the alert rules
+ * @param {Object} newConfig - { desktop, sound, doNotDisturb, rules }
+ */
+export function setAlertRules(newConfig) {
+  alertConfig = JSON.parse(JSON.stringify(newConfig));
+}
+
+/**
+ * Get the alert rules
+ * @returns {Object} { desktop, sound, doNotDisturb, rules }
+ */
+export function getAlertRules() {
+  return JSON.parse(JSON.stringify(alertConfig));
+}
+
+/**
+ * Ask the browser for desktop notification permission (must run from a user action)
+ * @returns {Promise<string>} 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export async function requestDesktopPermission() {
+  if (!('Notification' in window)) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Get the desktop notification permission
+ * @returns {string} 'granted' | 'denied' | 'default' | 'unsupported'
+ */
+export function getDesktopPermission() {
+  return 'Notification' in window ? Notification.permission : 'unsupported';
+}
+
+/**
+ * Preview the alerts (settings test button)
+ */
+export function testAlert() {
+  showNotification({ title: 'Teste de alerta', message: 'Assim aparecem os alertas dos agentes', type: 'info' });
+  if (alertConfig.desktop) {
+    showDesktopNotification('AI Workforce Fhinck', 'Teste de alerta', 'test');
+  }
+  if (alertConfig.sound) {
+    playSoundCue('error');
+  }
+}
+
+/**
+ * Get the rule of a project (falls back to the default rule)
+ * @param {string} projectId - Project ID
+ * @returns {Object} Rule
+ */
+function getProjectRule(projectId) {
+  return alertConfig.rules[projectId] || alertConfig.rules[DEFAULT_RULE_KEY];
+}
+
+/**
+ * Check if now is inside the do-not-disturb schedule (may span midnight)
+ * @returns {boolean}
+ */
+function isDoNotDisturb() {
+  const { enabled, start, end } = alertConfig.doNotDisturb;
+  if (!enabled || start === end) return false;
+
+  const now = new Date();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const startMinutes = toMinutes(start);
+  const endMinutes = toMinutes(end);
+
+  return startMinutes < endMinutes
+    ? minutes >= startMinutes && minutes < endMinutes
+    : minutes >= startMinutes || minutes < endMinutes;
+}
+
+/**
+ * Convert 'HH:MM' into minutes since midnight
+ * @param {string} time - Time
+ * @returns {number}
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Text of a desktop notification
+ */
+function getDesktopMessage(event, message) {
+  const labels = {
+    start: 'Começou a trabalhar',
+    end: 'Concluiu a tarefa',
+    error: 'Reportou um erro',
+    waiting: 'Aguardando',
+    blocked: 'Bloqueado',
+    offline: 'Ficou offline'
+  };
+  return message ? `${labels[event]}: ${message}` : labels[event];
+}
+
+/**
+ * Show a Web Notification (only with permission granted)
+ * @param {string} title - Title
+ * @param {string} body - Message
+ * @param {string} tag - Replaces the previous notification with the same tag
+ */
+function showDesktopNotification(title, body, tag) {
+  if (getDesktopPermission() !== 'granted') return;
+
+  try {
+    const notification = new Notification(title, { body, tag, icon: '/assets/icons/logo.svg' });
+    notification.onclick = () => {
+      window.focus();
+      notification.close();
+    };
+  } catch (error) {
+    console.warn('⚠️ Desktop notification failed:', error);
+  }
+}
+
+/**
+ * Play the sound cue of an event (Web Audio, no asset files)
+ * Browsers only allow audio after the first user interaction with the page
+ * @param {string} event - Agent event
+ */
+function playSoundCue(event) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+
+  audioContext = audioContext || new AudioContextClass();
+  if (audioContext.state === 'suspended') audioContext.resume();
+
+  let time = audioContext.currentTime;
+  (SOUND_CUES[event] || SOUND_CUES.default).forEach(([frequency, duration]) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(0.15, time);
+    gain.gain.exponentialRampToValueAtTime(0.001, time + duration);
+
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(time);
+    oscillator.stop(time + duration);
+    time += duration + 0.05;
+  });
+}
+
 /**
  * Clear all notifications
  */
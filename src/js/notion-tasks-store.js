@@ -2,44 +2,60 @@
  * Notion Tasks Store
  * Fetches and manages tasks from Notion database
  *
- * Uses Firebase Cloud Function when available (requires Blaze plan),
- * falls back to CORS proxy for development/Spark plan.
+ * Tasks come from the getNotionTasks Cloud Function (in development, through the
+ * Functions emulator), which pages through the query; after the first load only
+ * the pages edited since the last sync are fetched (last_edited_time).
+ * The last fetched tasks are kept in the local cache for offline use.
+ *
+ * Property names and completed statuses come from the database mapping the
+ * function sends with the tasks (config/notionTasks over functions/notion-mapping.json)
+ *
+ * Status, priority, due date and agent are edited through the updateNotionTask
+ * Cloud Function; edits show immediately and are reverted if the update fails
  */
 
+import { getCache, setCache, removeCache, getCacheTimestamp } from './cache-manager.js';
+import { getCurrentUser } from './auth.js';
+
 // API endpoint (Firebase Cloud Function via hosting rewrite)
 const API_ENDPOINT = '/api/notion-tasks';
-
-// Fallback: CORS proxy + direct Notion API (for Spark plan / development)
-const NOTION_API_KEY = import.meta.env.VITE_NOTION_API_KEY;
-const NOTION_DATABASE_ID = import.meta.env.VITE_NOTION_DATABASE_ID;
-const NOTION_API_BASE = 'https://api.notion.com/v1';
-const CORS_PROXY = 'https://corsproxy.io/?';
+const UPDATE_ENDPOINT = '/api/notion-tasks/update';
 
 // Cache for tasks
+const CACHE_KEY = 'notion_tasks_sync'; // { tasks, syncedAt, fullSyncedAt, databaseId, mapping, options, relationTitles }
 let tasksCache = [];
 let lastFetchTime = null;
 const CACHE_TTL = 60000; // 1 minute cache
-let useCloudFunction = true; // Will be set to false if cloud function is not available
-
-// Status values to exclude (for client-side filtering)
-const EXCLUDED_STATUSES = [
-  'concluído',
-  'concluido',
-  'arquivado',
-  'done',
-  'completed',
-  'archived',
-  'cancelado',
-  'cancelled'
-];
+
+// Incremental sync: refreshes only pull pages edited since the last sync
+const FULL_SYNC_INTERVAL = 15 * 60 * 1000; // Full sync also drops deleted pages
+const SYNC_OVERLAP = 2 * 60 * 1000;        // last_edited_time is rounded to the minute
+let syncedAt = null;
+let fullSyncedAt = null;
+let syncedDatabaseId = null; // Switching databases forces a full sync
+
+// Mapping of the synced database and the choices of its editable properties (null: editing unavailable)
+let currentMapping = null;
+let taskOptions = null;
+let onUpdateCallback = null;
+
+// Titles of the pages in relation fields (deal, stakeholders): pageId -> title
+let relationTitles = {};
+const PAGE_ID_PATTERN = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+
+// Edits sent to Notion and not answered yet: taskId -> [changes] (in the order they were made)
+const pendingEdits = new Map();
 
 /**
  * Fetch tasks from Notion database
- * Tries Cloud Function first, falls back to CORS proxy
+ * With tasks already loaded, only the pages edited since the last sync are fetched
+ * (a full sync runs every FULL_SYNC_INTERVAL)
  * @param {boolean} forceRefresh - Force refresh even if cache is valid
  * @returns {Promise<Array>} Array of tasks
  */
 export async function fetchNotionTasks(forceRefresh = false) {
+  restoreCachedTasks();
+
   // Check cache
   if (!forceRefresh && tasksCache.length > 0 && lastFetchTime) {
     const now = Date.now();
@@ -49,116 +65,145 @@ export async function fetchNotionTasks(forceRefresh = false) {
     }
   }
 
-  // Try Cloud Function first (if available)
-  if (useCloudFunction) {
-    try {
-      const tasks = await fetchViaCloudFunction();
-      return tasks;
-    } catch (error) {
-      console.warn('⚠️ Cloud Function not available, falling back to CORS proxy:', error.message);
-      useCloudFunction = false;
+  const since = getIncrementalSince();
+
+  try {
+    return await fetchViaCloudFunction(since);
+  } catch (error) {
+    // Offline: keep showing the last fetched tasks
+    if (tasksCache.length > 0) {
+      console.warn('📋 Notion unreachable, returning stale cached tasks:', error.message);
+      return tasksCache;
     }
+    throw error;
+  }
+}
+
+/**
+ * Load the tasks kept in the local cache (after a reload)
+ */
+function restoreCachedTasks() {
+  if (tasksCache.length > 0) return;
+
+  const cached = getCache(CACHE_KEY, { allowStale: true });
+  if (cached?.tasks) {
+    tasksCache = cached.tasks;
+    syncedAt = cached.syncedAt;
+    fullSyncedAt = cached.fullSyncedAt;
+    syncedDatabaseId = cached.databaseId || null;
+    currentMapping = cached.mapping || null;
+    taskOptions = cached.options || null;
+    relationTitles = cached.relationTitles || {};
+    lastFetchTime = getCacheTimestamp(CACHE_KEY);
   }
+}
 
-  // Fallback to CORS proxy
-  return fetchViaCorsProxy();
+/**
+ * Get the start of the next incremental sync
+ * @returns {Date|null} Edited-since date, or null for a full sync
+ */
+function getIncrementalSince() {
+  if (tasksCache.length === 0 || !syncedAt || !fullSyncedAt) return null;
+  if (Date.now() - fullSyncedAt > FULL_SYNC_INTERVAL) return null;
+  return new Date(syncedAt - SYNC_OVERLAP);
 }
 
 /**
  * Fetch tasks via Firebase Cloud Function
+ * @param {Date|null} since - Edited-since date (null for a full sync)
  */
-async function fetchViaCloudFunction() {
-  console.log('📋 Fetching tasks via Cloud Function...');
+async function fetchViaCloudFunction(since) {
+  console.log(`📋 Fetching tasks via Cloud Function (${since ? 'incremental' : 'full'})...`);
+  const startedAt = Date.now();
+
+  const user = getCurrentUser();
+  if (!user) {
+    throw new Error('Sessão expirada, entre novamente');
+  }
 
-  const response = await fetch(API_ENDPOINT, {
+  const url = since ? `${API_ENDPOINT}?since=${encodeURIComponent(since.toISOString())}` : API_ENDPOINT;
+  const response = await fetch(url, {
     method: 'GET',
     headers: {
-      'Content-Type': 'application/json'
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${await user.getIdToken()}`
     }
   });
 
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
-    throw new Error(errorData.message || `API error: ${response.status}`);
+    throw new Error(errorData.error || errorData.message || `API error: ${response.status}`);
   }
 
   const data = await response.json();
-  return processNotionResponse(data);
-}
-
-/**
- * Fetch tasks via CORS proxy (fallback)
- */
-async function fetchViaCorsProxy() {
-  console.log('📋 Fetching tasks via CORS proxy...');
 
-  if (!NOTION_API_KEY || !NOTION_DATABASE_ID) {
-    throw new Error('Notion API credentials not configured');
+  // The configured database changed since the last sync: the edited pages are not enough
+  if (since && data.incremental && data.databaseId !== syncedDatabaseId) {
+    return fetchViaCloudFunction(null);
   }
 
-  // Build filter to exclude completed/archived tasks
-  const filter = {
-    and: EXCLUDED_STATUSES.map(status => ({
-      property: 'Status',
-      status: {
-        does_not_equal: status
-      }
-    }))
-  };
-
-  // Build the request URL with CORS proxy
-  const apiUrl = `${NOTION_API_BASE}/databases/${NOTION_DATABASE_ID}/query`;
-  const fetchUrl = `${CORS_PROXY}${encodeURIComponent(apiUrl)}`;
-
-  const response = await fetch(fetchUrl, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${NOTION_API_KEY}`,
-      'Notion-Version': '2022-06-28',
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      filter,
-      sorts: [
-        {
-          property: 'Data de início',
-          direction: 'descending'
-        }
-      ]
-    })
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    console.error('Notion API error:', errorData);
-    throw new Error(`Notion API error: ${response.status}`);
+  // The mapping tells which properties hold each field; the function always sends it complete
+  if (!data.mapping) {
+    throw new Error('Cloud Function desatualizada: publique as funções novamente');
   }
 
-  const data = await response.json();
-  return processNotionResponse(data);
+  return processNotionResponse(data, {
+    incremental: Boolean(since && data.incremental),
+    syncedAt: data.syncedAt ? new Date(data.syncedAt).getTime() : startedAt,
+    databaseId: data.databaseId || null,
+    mapping: data.mapping,
+    options: data.options || null,
+    relationTitles: data.relationTitles || {}
+  });
 }
 
 /**
  * Process Notion API response
+ * A full response replaces the list; an incremental one updates, adds or drops
+ * (completed, archived or deleted) the edited tasks
  * @param {Object} data - Notion API response
+ * @param {Object} sync - { incremental, syncedAt, databaseId, mapping, options, relationTitles }
  * @returns {Array} Processed tasks
  */
-function processNotionResponse(data) {
+function processNotionResponse(data, { incremental, syncedAt: responseSyncedAt, databaseId, mapping, options, relationTitles: titles }) {
   try {
-    const tasks = data.results.map(parseNotionTask).filter(task => task !== null);
+    let activeTasks;
 
-    // Filter out tasks with excluded statuses (fallback filter)
-    const filteredTasks = tasks.filter(task => {
-      const statusLower = (task.status || '').toLowerCase();
-      return !EXCLUDED_STATUSES.some(excluded => statusLower.includes(excluded));
-    });
+    if (incremental) {
+      const tasksById = new Map(tasksCache.map(task => [task.id, task]));
+
+      data.results.forEach(page => {
+        const task = parseNotionTask(page, mapping);
+        if (!task || page.archived || page.in_trash || isExcludedTask(task, mapping)) {
+          tasksById.delete(page.id);
+        } else {
+          tasksById.set(task.id, task);
+        }
+      });
 
-    // Update cache
-    tasksCache = filteredTasks;
+      activeTasks = sortTasks([...tasksById.values()]);
+      console.log(`📋 Synced ${data.results.length} edited Notion pages`);
+    } else {
+      const tasks = data.results.map(page => parseNotionTask(page, mapping)).filter(task => task !== null);
+
+      // Filter out tasks with excluded statuses (fallback filter)
+      activeTasks = tasks.filter(task => !isExcludedTask(task, mapping));
+      fullSyncedAt = responseSyncedAt;
+    }
+
+    // Update cache (edits still in flight stay on top of the synced tasks)
+    tasksCache = activeTasks.map(applyPendingEdits);
     lastFetchTime = Date.now();
+    syncedAt = responseSyncedAt;
+    syncedDatabaseId = databaseId;
+    currentMapping = mapping;
+    taskOptions = options;
+    // Incremental responses only carry the titles of the edited pages' relations
+    relationTitles = incremental ? { ...relationTitles, ...titles } : titles;
+    saveSyncCache();
 
-    console.log(`📋 Fetched ${filteredTasks.length} active tasks from Notion`);
-    return filteredTasks;
+    console.log(`📋 ${activeTasks.length} active tasks from Notion`);
+    return activeTasks;
 
   } catch (error) {
     console.error('❌ Error processing Notion response:', error);
@@ -173,51 +218,63 @@ function processNotionResponse(data) {
   }
 }
 
+/**
+ * Check if a task has a completed/archived status
+ * @param {Object} task - Task
+ * @param {Object} mapping - Database mapping (excluded statuses)
+ * @returns {boolean}
+ */
+function isExcludedTask(task, mapping) {
+  const statusLower = (task.status || '').toLowerCase();
+  return mapping.excludedStatuses.some(excluded => statusLower.includes(excluded.toLowerCase()));
+}
+
+/**
+ * Sort tasks like the Notion query (start date, newest first; without date last)
+ * @param {Array} tasks - Tasks
+ * @returns {Array} Sorted tasks
+ */
+function sortTasks(tasks) {
+  return tasks.sort((a, b) => {
+    if (!a.startDate) return b.startDate ? 1 : 0;
+    if (!b.startDate) return -1;
+    return b.startDate.localeCompare(a.startDate);
+  });
+}
+
 /**
  * Parse a Notion page into a task object
  * @param {Object} page - Notion page object
+ * @param {Object} mapping - Database mapping (property names of each field)
  * @returns {Object|null} Parsed task or null
  */
-function parseNotionTask(page) {
+function parseNotionTask(page, mapping) {
   try {
     const props = page.properties;
 
+    // First property of the page among the names mapped to a field
+    const getProperty = (field) => {
+      const name = mapping.properties[field].find(candidate => props[candidate]);
+      return name ? props[name] : undefined;
+    };
+
     // Get task name (title property)
-    const nameProperty = props['Nome da tarefa'] || props['Name'] || props['Título'] || props['Title'];
-    const name = getNotionTitle(nameProperty);
+    const name = getNotionTitle(getProperty('name'));
 
     if (!name) return null;
 
-    // Get priority
-    const priorityProperty = props['Prioridade'] || props['Priority'];
-    const priority = getNotionSelect(priorityProperty);
-
-    // Get status
-    const statusProperty = props['Status'];
-    const status = getNotionStatus(statusProperty);
-
-    // Get type
-    const typeProperty = props['Tipo de tarefa'] || props['Tipo de t...'] || props['Type'];
-    const type = getNotionMultiSelect(typeProperty);
+    const priority = getNotionSelect(getProperty('priority'));
+    const status = getNotionStatus(getProperty('status'));
+    const type = getNotionMultiSelect(getProperty('type'));
+    const deal = getNotionRelation(getProperty('deal'));
 
-    // Get deal
-    const dealProperty = props['Deal'];
-    const deal = getNotionRelation(dealProperty);
-
-    // Get stakeholders
-    const stakeholdersProperty = props['Stakeholders'] || props['Stakeholder'];
+    const stakeholdersProperty = getProperty('stakeholders');
     const stakeholders = getNotionMultiSelect(stakeholdersProperty) || getNotionRelation(stakeholdersProperty);
 
-    // Get dates
-    const startDateProperty = props['Data de início'] || props['Start Date'];
-    const startDate = getNotionDate(startDateProperty);
-
-    const dueDateProperty = props['Data de'] || props['Due Date'] || props['Prazo'];
-    const dueDate = getNotionDate(dueDateProperty);
-
-    // Get deadline defined
-    const deadlineProperty = props['Prazo definido'];
-    const hasDeadline = getNotionCheckbox(deadlineProperty);
+    const startDate = getNotionDate(getProperty('startDate'));
+    const dueDate = getNotionDate(getProperty('dueDate'));
+    const hasDeadline = getNotionCheckbox(getProperty('hasDeadline'));
+    const agent = getNotionValue(getProperty('agent'));
 
     return {
       id: page.id,
@@ -230,6 +287,7 @@ function parseNotionTask(page) {
       startDate,
       dueDate,
       hasDeadline,
+      agent,
       url: page.url,
       createdTime: page.created_time,
       lastEditedTime: page.last_edited_time
@@ -292,6 +350,17 @@ function getNotionDate(property) {
   return property.date.start;
 }
 
+/**
+ * Get a single text value from a select, status, multi-select or text property
+ */
+function getNotionValue(property) {
+  if (!property) return null;
+  if (property.rich_text) {
+    return property.rich_text.map(t => t.plain_text).join('') || null;
+  }
+  return getNotionStatus(property) || getNotionMultiSelect(property)?.[0] || null;
+}
+
 /**
  * Get checkbox value from Notion property
  */
@@ -308,12 +377,189 @@ export function getTasks() {
   return tasksCache;
 }
 
+/**
+ * Get the choices of the editable properties
+ * @returns {Object|null} { status, priority, agent } option names, or null when tasks cannot be edited
+ */
+export function getTaskOptions() {
+  return taskOptions;
+}
+
+/**
+ * Get the label of a task value: relations carry Notion page IDs, shown by the page title
+ * (or a short ID when the title is unknown); other values are shown as they are
+ * @param {string} value - Task value (e.g. a deal or stakeholder)
+ * @returns {string}
+ */
+export function getTaskValueLabel(value) {
+  if (!PAGE_ID_PATTERN.test(value)) return value;
+  return relationTitles[value] || `#${value.replace(/-/g, '').slice(0, 8)}`;
+}
+
+/**
+ * Check if a status takes a task out of the list (completed, archived...)
+ * @param {string} status - Status name
+ * @returns {boolean}
+ */
+export function isCompletedStatus(status) {
+  return Boolean(currentMapping) && isExcludedTask({ status }, currentMapping);
+}
+
+/**
+ * Edit a task in Notion (optimistic: the cached task changes before the request)
+ * Completed tasks leave the list once Notion confirms the change
+ * @param {string} taskId - Task (Notion page) ID
+ * @param {Object} changes - { status, priority, dueDate, agent } (null clears a field)
+ * @returns {Promise<Object|null>} Updated task (null if it left the list)
+ */
+export async function updateNotionTask(taskId, changes) {
+  const previous = tasksCache.find(task => task.id === taskId);
+  if (!previous) {
+    throw new Error('Tarefa não encontrada');
+  }
+
+  // Own copy: identifies this edit among the ones in flight
+  const edit = { ...changes };
+  pendingEdits.set(taskId, [...(pendingEdits.get(taskId) || []), edit]);
+
+  replaceTask(taskId, { ...previous, ...changes, pending: true });
+  notifyUpdate();
+
+  try {
+    const user = getCurrentUser();
+    if (!user) {
+      throw new Error('Sessão expirada, entre novamente');
+    }
+
+    const response = await fetch(UPDATE_ENDPOINT, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${await user.getIdToken()}`
+      },
+      body: JSON.stringify({ pageId: taskId, changes })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || errorData.message || `API error: ${response.status}`);
+    }
+
+    const page = await response.json();
+    removePendingEdit(taskId, edit);
+
+    // The page reflects this edit; edits made after it are still in flight
+    const task = parseNotionTask(page, currentMapping);
+    if (!task || (isExcludedTask(task, currentMapping) && !pendingEdits.has(taskId))) {
+      tasksCache = tasksCache.filter(cached => cached.id !== taskId);
+      console.log(`📋 Task ${taskId} completed in Notion`);
+      return null;
+    }
+
+    const updated = applyPendingEdits(task);
+    replaceTask(taskId, updated);
+    console.log(`📋 Task ${taskId} updated in Notion`);
+    return updated;
+  } catch (error) {
+    removePendingEdit(taskId, edit);
+
+    // Revert only the fields of this edit that still hold its value and no other edit in flight sets
+    const current = tasksCache.find(task => task.id === taskId);
+    if (current) {
+      const otherFields = new Set((pendingEdits.get(taskId) || []).flatMap(edit => Object.keys(edit)));
+      const reverted = { ...current, pending: pendingEdits.has(taskId) };
+      Object.keys(changes).forEach(field => {
+        if (current[field] === changes[field] && !otherFields.has(field)) reverted[field] = previous[field];
+      });
+      replaceTask(taskId, reverted);
+    }
+    console.error('❌ Error updating Notion task:', error);
+    throw error;
+  } finally {
+    saveSyncCache();
+    notifyUpdate();
+  }
+}
+
+/**
+ * Apply the edits still in flight to a task read from Notion
+ * @param {Object} task - Task
+ * @returns {Object} Task with the pending changes (pending while any edit is unanswered)
+ */
+function applyPendingEdits(task) {
+  const edits = pendingEdits.get(task.id);
+  if (!edits) return task;
+  return Object.assign({ ...task, pending: true }, ...edits);
+}
+
+/**
+ * Forget an answered edit
+ * @param {string} taskId - Task ID
+ * @param {Object} edit - Changes of the edit
+ */
+function removePendingEdit(taskId, edit) {
+  const edits = (pendingEdits.get(taskId) || []).filter(pending => pending !== edit);
+  if (edits.length > 0) {
+    pendingEdits.set(taskId, edits);
+  } else {
+    pendingEdits.delete(taskId);
+  }
+}
+
+/**
+ * Set callback called when cached tasks change outside of a fetch (edits)
+ * @param {Function} callback - Function to call with the tasks array
+ */
+export function onTasksUpdate(callback) {
+  onUpdateCallback = callback;
+}
+
+/**
+ * Replace a task in the list, keeping its position
+ * @param {string} taskId - Task ID
+ * @param {Object} task - New task
+ */
+function replaceTask(taskId, task) {
+  tasksCache = tasksCache.map(cached => cached.id === taskId ? task : cached);
+}
+
+/**
+ * Persist the tasks and the sync state
+ */
+function saveSyncCache() {
+  setCache(CACHE_KEY, {
+    tasks: tasksCache,
+    syncedAt,
+    fullSyncedAt,
+    databaseId: syncedDatabaseId,
+    mapping: currentMapping,
+    options: taskOptions,
+    relationTitles
+  }, CACHE_TTL);
+}
+
+/**
+ * Notify the current tasks
+ */
+function notifyUpdate() {
+  if (onUpdateCallback) {
+    onUpdateCallback(tasksCache);
+  }
+}
+
 /**
  * Clear tasks cache
  */
 export function clearTasksCache() {
   tasksCache = [];
   lastFetchTime = null;
+  syncedAt = null;
+  fullSyncedAt = null;
+  syncedDatabaseId = null;
+  currentMapping = null;
+  taskOptions = null;
+  relationTitles = {};
+  removeCache(CACHE_KEY);
 }
 
 /**
@@ -228,7 +228,17 @@ export function createBurst(x, y, color = 'rgba(255, 107, 53, 0.8)') {
  */
 export function updateParticlesConfig(newConfig) {
   Object.assign(CONFIG, newConfig);
-  createParticles();
+
+  // Before initParticles() the new config is used when the canvas is created
+  if (canvas) createParticles();
+}
+
+/**
+ * Get current config
+ * @returns {Object} Current configuration
+ */
+export function getParticlesConfig() {
+  return { ...CONFIG };
 }
 
 /**
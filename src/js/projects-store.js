@@ -1,20 +1,26 @@
 /**
  * Projects Store
  * Manages list of projects from Firestore 'project' collection
+ * Only projects where the signed-in user is a member are listed
  */
 
 import { db } from './firebase-config.js';
-import { collection, getDocs, getCountFromServer } from 'firebase/firestore';
+import { collection, getDocs, onSnapshot, query, where } from 'firebase/firestore';
 import { getCache, setCache, invalidateProjectsCache } from './cache-manager.js';
+import { reportSnapshot, reportListenerError, clearSource } from './connection-status.js';
+import { getCurrentUser, ROLES } from './auth.js';
 
 // Store state
 let projects = new Map();
 let isLoading = false;
 let onUpdateCallback = null;
+let unsubscribe = null;
 
 /**
- * Fetch all projects from Firestore 'project' collection
- * Each project has a subcollection 'agents'
+ * Fetch the caller's projects from Firestore 'project' collection
+ * Each project has a subcollection 'agents' and a 'members' map of roles
+ * Agent counters are fields of the project document, kept by the updateProjectCounters function
+ * (lastActivityAt by the ingestion endpoint)
  * @param {boolean} forceRefresh - Skip cache and fetch fresh data
  * @returns {Promise<Map>} - Map of projects
  */
@@ -30,43 +36,21 @@ export async function fetchProjects(forceRefresh = false) {
     }
   }
 
+  const user = getCurrentUser();
+  if (!user) {
+    projects = new Map();
+    return projects;
+  }
+
   isLoading = true;
   console.log('🔄 Fetching projects from Firestore...');
 
   try {
-    const projectsRef = collection(db, 'project');
-    // Simple query without orderBy to avoid index requirement
-    const snapshot = await getDocs(projectsRef);
-
-    const projectsMap = new Map();
+    const snapshot = await getDocs(buildProjectsQuery(user.uid));
 
     console.log(`📊 Found ${snapshot.size} projects`);
 
-    // Process each project and count agents
-    for (const doc of snapshot.docs) {
-      const projectData = doc.data();
-      const projectId = doc.id;
-
-      console.log(`   📁 Project: ${projectId} | name: "${projectData.projectName}"`);
-
-      // Count agents in subcollection
-      const agentsRef = collection(db, 'project', projectId, 'agents');
-      const agentsSnapshot = await getCountFromServer(agentsRef);
-      const agentCount = agentsSnapshot.data().count;
-
-      projectsMap.set(projectId, {
-        id: projectId,
-        name: projectData.projectName || formatProjectName(projectId),
-        agentCount: agentCount,
-        createdAt: projectData.createdAt,
-        updatedAt: projectData.updatedAt,
-        lastActivity: projectData.updatedAt?.toDate?.() || projectData.updatedAt || null
-      });
-
-      console.log(`      Agents count: ${agentCount}`);
-    }
-
-    projects = projectsMap;
+    projects = new Map(snapshot.docs.map(doc => [doc.id, normalizeProject(doc, user.uid)]));
 
     // Cache the results
     const projectsArray = Array.from(projects.values());
@@ -79,12 +63,124 @@ export async function fetchProjects(forceRefresh = false) {
     return projects;
   } catch (error) {
     console.error('❌ Error fetching projects:', error);
+    reportListenerError('projects', error);
+
+    // Offline: keep showing the last synced projects
+    const stale = getCache('projects', { allowStale: true });
+    if (stale) {
+      console.log('📦 Projects loaded from stale cache');
+      projects = new Map(stale.map(p => [p.id, p]));
+      if (onUpdateCallback) onUpdateCallback(projects);
+      return projects;
+    }
+
     throw error;
   } finally {
     isLoading = false;
   }
 }
 
+/**
+ * Listen to the caller's projects (names, members and roles stay current)
+ * @param {Function} [onError] - Called if the listener fails
+ */
+export function listenToProjects(onError) {
+  stopProjectsListener();
+
+  const user = getCurrentUser();
+  if (!user) return;
+
+  subscribeToProjects(user.uid, onError);
+}
+
+/**
+ * Subscribe to the caller's projects (also used to resubscribe after an error)
+ * @param {string} uid - Signed-in user ID
+ * @param {Function} [onError] - Called if the listener fails
+ */
+function subscribeToProjects(uid, onError) {
+  // Metadata changes tell when the listener goes from cached to server data (offline indicator)
+  let hasSnapshot = false;
+  unsubscribe = onSnapshot(buildProjectsQuery(uid), { includeMetadataChanges: true }, (snapshot) => {
+    reportSnapshot('projects', snapshot.metadata);
+
+    // Metadata-only snapshot: same projects
+    if (hasSnapshot && snapshot.docChanges().length === 0) return;
+    hasSnapshot = true;
+
+    projects = new Map(snapshot.docs.map(doc => [doc.id, normalizeProject(doc, uid)]));
+    setCache('projects', Array.from(projects.values()));
+
+    console.log(`📡 Projects snapshot: ${projects.size} projects`);
+    if (onUpdateCallback) onUpdateCallback(projects);
+  }, (error) => {
+    console.error('❌ Error listening to projects:', error);
+
+    // The listener is closed after an error: resubscribe with backoff (unless signed out meanwhile)
+    unsubscribe = null;
+    reportListenerError('projects', error, () => {
+      if (getCurrentUser()?.uid === uid && !unsubscribe) subscribeToProjects(uid, onError);
+    });
+
+    if (onError) onError(error);
+  });
+}
+
+/**
+ * Stop listening to projects
+ */
+export function stopProjectsListener() {
+  clearSource('projects');
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+    console.log('🔇 Stopped projects listener');
+  }
+}
+
+/**
+ * Build the query for the projects where the user has a role (required by Firestore rules)
+ * Simple query without orderBy to avoid index requirement
+ * @param {string} uid - User ID
+ * @returns {Object} Firestore query
+ */
+function buildProjectsQuery(uid) {
+  return query(collection(db, 'project'), where(`members.${uid}`, 'in', ROLES));
+}
+
+/**
+ * Convert a Firestore project document into a project object
+ * @param {Object} doc - Firestore document snapshot
+ * @param {string} uid - Signed-in user ID (for their role)
+ * @returns {Object} Project
+ */
+function normalizeProject(doc, uid) {
+  const projectData = doc.data();
+  return {
+    id: doc.id,
+    name: projectData.projectName || formatProjectName(doc.id),
+    agentCount: projectData.agentCount ?? null,             // null until the counters function runs
+    activeAgentCount: projectData.activeAgentCount ?? null,
+    members: projectData.members || {},
+    role: projectData.members?.[uid] || null,
+    createdAt: projectData.createdAt,
+    updatedAt: projectData.updatedAt,
+    lastActivity: toDate(projectData.lastActivityAt) || toDate(projectData.updatedAt)
+  };
+}
+
+/**
+ * Convert a Firestore Timestamp (live or from cache) to a Date
+ * @param {*} value - Timestamp-like value
+ * @returns {Date|null}
+ */
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+  return new Date(value);
+}
+
 /**
  * Format project ID into display name
  * @param {string} projectId - Raw project ID
@@ -163,6 +259,7 @@ export async function refreshProjects() {
  * Clear projects store
  */
 export function clearProjectsStore() {
+  stopProjectsListener();
   projects = new Map();
   onUpdateCallback = null;
 }
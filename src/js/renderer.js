@@ -4,6 +4,21 @@
  */
 
 import { getAgent } from './agents-store.js';
+import { isRoleAtLeast } from './auth.js';
+import { formatDuration } from './event-stats.js';
+import { createBarChart, createHorizontalBarChart, createHeatmap, getChartColors } from './charts.js';
+import { LIFECYCLE_STATE_LABELS } from './agent-states.js';
+import { escapeHtml } from './html.js';
+import { getTaskValueLabel } from './notion-tasks-store.js';
+
+// Lifecycle states beyond idle/working, with the label shown on the node
+const STATUS_LABELS = LIFECYCLE_STATE_LABELS;
+
+// Label for working agents whose heartbeat stopped (see agents-store watchdog)
+const STALE_LABEL = 'Sem sinal';
+
+// How long the status alert animation runs on the node
+const STATUS_ALERT_DURATION = 1200;
 
 // Icon mappings (SVG paths for Lucide-style icons)
 const ICONS = {
@@ -52,6 +67,8 @@ const ICONS = {
 
 // State
 let focusedAgentId = null;
+let onAgentClickCallback = null;
+const alertingAgents = new Map(); // agentId -> status being alerted (survives re-render)
 let rendererInstance = null;
 let currentZoom = 0.75; // Default zoom out for better spacing
 let currentPanX = 0;
@@ -121,10 +138,11 @@ export function initRenderer() {
   console.log('🎨 Renderer initialized');
 }
 
-// Store current agents for redraw
-let currentAgentsMap = null;
-let currentOrchestrator = null;
-let currentOtherAgents = [];
+// Store current connections for redraw
+let currentEdges = [];
+
+// How long a parent→child edge stays lit after a delegation
+const DELEGATION_HIGHLIGHT_TIME = 4000;
 
 /**
  * Initialize resize handler for redrawing on window resize
@@ -164,8 +182,8 @@ function initResizeHandler() {
  * Redraw connections without re-rendering agents
  */
 function redrawConnections() {
-  if (currentOrchestrator && currentOtherAgents.length > 0) {
-    renderConnections(currentAgentsMap, currentOrchestrator, currentOtherAgents);
+  if (currentEdges.length > 0) {
+    renderConnections(currentEdges);
   }
 }
 
@@ -252,8 +270,8 @@ function initPanControls() {
 
   // Mouse down - start dragging
   canvasArea.addEventListener('mousedown', (e) => {
-    // Only start drag with left mouse button and not on agent nodes
-    if (e.button !== 0 || e.target.closest('.agent-node')) return;
+    // Only start drag with left mouse button and not on agent nodes or the activity feed
+    if (e.button !== 0 || e.target.closest('.agent-node, .activity-feed')) return;
     if (focusedAgentId) return; // Don't pan while focused on an agent
 
     isDragging = true;
@@ -435,6 +453,8 @@ function calculateAgentPositions(agentCount, container, center) {
 
 /**
  * Render all agents
+ * Without parentAgentId the Orchestrator sits in the center with the others around it;
+ * when agents declare a parent, a radial tree reflects the actual delegation
  * @param {Map} agents - Map of agents
  */
 export function renderAgents(agents) {
@@ -442,63 +462,26 @@ export function renderAgents(agents) {
 
   const agentsArray = [...agents.values()];
 
-  // Find central agent - fhinck-master-protocol é sempre o orquestrador central
-  const orchestratorIndex = agentsArray.findIndex(a =>
-    a.id === 'fhinck-master-protocol' ||
-    a.id.toLowerCase() === 'fhinck-master-protocol' ||
-    a.name?.toLowerCase() === 'fhinck-master-protocol' ||
-    a.id === 'orchestrator' ||
-    a.id.toLowerCase().includes('master-protocol') ||
-    a.name?.toLowerCase().includes('master-protocol')
-  );
-
-  let orchestrator = null;
-  let otherAgents = agentsArray;
-
-  if (orchestratorIndex !== -1) {
-    orchestrator = agentsArray[orchestratorIndex];
-    otherAgents = agentsArray.filter(a => a.id !== orchestrator.id);
-  } else if (agentsArray.length > 0) {
-    // Use first agent as central node
-    orchestrator = agentsArray[0];
-    otherAgents = agentsArray.slice(1);
-  }
-
-  // Calculate positions: Orchestrator in center, others in circle
-  const centerX = 0.5;
-  const centerY = 0.5;
+  const layout = hasHierarchy(agents)
+    ? calculateTreeLayout(agentsArray, agents)
+    : calculateHubLayout(agentsArray);
 
   // Clear existing agents and positions
   agentsContainer.innerHTML = '';
   agentPositions.clear();
 
-  // Render Orchestrator in center first
-  if (orchestrator) {
-    const position = { x: centerX, y: centerY };
-    agentPositions.set(orchestrator.id, position);
-    const element = createAgentElement(orchestrator, position);
-    agentsContainer.appendChild(element);
-  }
-
-  // Render other agents in circles around the Orchestrator
-  // Calculate dynamic positions based on container size and agent count
-  const center = { x: centerX, y: centerY };
-  const positions = calculateAgentPositions(otherAgents.length, agentsContainer, center);
-
-  otherAgents.forEach((agent, index) => {
-    const position = positions[index] || { x: centerX, y: centerY + 0.35 };
+  // Render center first so it stays below its children
+  layout.order.forEach(agent => {
+    const position = layout.positions.get(agent.id) || { x: 0.5, y: 0.85 };
     agentPositions.set(agent.id, position);
     const element = createAgentElement(agent, position);
     agentsContainer.appendChild(element);
   });
 
   // Store for redraw on resize
-  currentAgentsMap = agents;
-  currentOrchestrator = orchestrator;
-  currentOtherAgents = otherAgents;
+  currentEdges = layout.edges;
 
-  // Render connections (each agent connects only to Orchestrator)
-  renderConnections(agents, orchestrator, otherAgents);
+  renderConnections(layout.edges);
 
   // Hide loading state
   const loadingState = document.getElementById('loading-state');
@@ -511,6 +494,173 @@ export function renderAgents(agents) {
   }
 }
 
+/**
+ * Find the Orchestrator among agents
+ * fhinck-master-protocol é sempre o orquestrador central
+ * @param {Array} agentsArray - Agents
+ * @returns {Object|null} Orchestrator agent
+ */
+function findOrchestrator(agentsArray) {
+  return agentsArray.find(a =>
+    a.id === 'fhinck-master-protocol' ||
+    a.id.toLowerCase() === 'fhinck-master-protocol' ||
+    a.name?.toLowerCase() === 'fhinck-master-protocol' ||
+    a.id === 'orchestrator' ||
+    a.id.toLowerCase().includes('master-protocol') ||
+    a.name?.toLowerCase().includes('master-protocol')
+  ) || null;
+}
+
+/**
+ * Get the parent of an agent, ignoring unknown parents and self references
+ * @param {Object} agent - Agent
+ * @param {Map} agents - Map of agents
+ * @returns {string|null} Parent agent ID
+ */
+function getParentId(agent, agents) {
+  const parentId = agent.parentAgentId;
+  return parentId && parentId !== agent.id && agents.has(parentId) ? parentId : null;
+}
+
+/**
+ * Check if any agent declares a known parent
+ * @param {Map} agents - Map of agents
+ * @returns {boolean}
+ */
+function hasHierarchy(agents) {
+  return [...agents.values()].some(agent => getParentId(agent, agents));
+}
+
+/**
+ * Hub layout: Orchestrator in center, others in a spiral around it,
+ * each connected only to the Orchestrator
+ * @param {Array} agentsArray - Agents
+ * @returns {Object} Layout { order, positions, edges }
+ */
+function calculateHubLayout(agentsArray) {
+  const center = { x: 0.5, y: 0.5 };
+  const positions = new Map();
+
+  // Use first agent as central node when there's no Orchestrator
+  const orchestrator = findOrchestrator(agentsArray) || agentsArray[0] || null;
+  if (!orchestrator) {
+    return { order: [], positions, edges: [] };
+  }
+
+  const otherAgents = agentsArray.filter(a => a.id !== orchestrator.id);
+
+  // Calculate dynamic positions based on container size and agent count
+  const spiral = calculateAgentPositions(otherAgents.length, agentsContainer, center);
+
+  positions.set(orchestrator.id, center);
+  otherAgents.forEach((agent, index) => {
+    positions.set(agent.id, spiral[index] || { x: center.x, y: center.y + 0.35 });
+  });
+
+  return {
+    order: [orchestrator, ...otherAgents],
+    positions,
+    edges: otherAgents.map(agent => ({ from: orchestrator.id, to: agent.id, implicit: true }))
+  };
+}
+
+/**
+ * Radial tree layout from parentAgentId
+ * The root (Orchestrator, or the root with most descendants) sits in the center;
+ * each level is a ring and every subtree gets an angular slice proportional to its size.
+ * Agents without a parent hang from the root with an implicit edge.
+ * @param {Array} agentsArray - Agents
+ * @param {Map} agents - Map of agents
+ * @returns {Object} Layout { order, positions, edges }
+ */
+function calculateTreeLayout(agentsArray, agents) {
+  const center = { x: 0.5, y: 0.5 };
+  const positions = new Map();
+  const edges = [];
+  const children = new Map(agentsArray.map(agent => [agent.id, []]));
+
+  agentsArray.forEach(agent => {
+    const parentId = getParentId(agent, agents);
+    if (parentId) children.get(parentId).push(agent.id);
+  });
+
+  // Subtree sizes (leaves) define angular slices; visited guards against cycles
+  const weights = new Map();
+  const weigh = (agentId, visited = new Set()) => {
+    if (visited.has(agentId)) return 0;
+    visited.add(agentId);
+    const childIds = children.get(agentId);
+    const weight = childIds.length === 0
+      ? 1
+      : childIds.reduce((sum, childId) => sum + weigh(childId, visited), 0);
+    weights.set(agentId, Math.max(1, weight));
+    return weights.get(agentId);
+  };
+
+  const roots = agentsArray.filter(agent => !getParentId(agent, agents));
+  roots.forEach(root => weigh(root.id));
+
+  // Agents in a parent cycle have no root; break the cycle at the first one
+  agentsArray.forEach(agent => {
+    if (!weights.has(agent.id)) {
+      roots.push(agent);
+      weigh(agent.id);
+    }
+  });
+
+  const orchestrator = findOrchestrator(roots);
+  const root = orchestrator || [...roots].sort((a, b) => weights.get(b.id) - weights.get(a.id))[0];
+  const otherRoots = roots.filter(agent => agent.id !== root.id);
+
+  // Other roots hang from the center root without an actual delegation
+  children.set(root.id, [...children.get(root.id), ...otherRoots.map(agent => agent.id)]);
+  weights.set(root.id, children.get(root.id).reduce((sum, id) => sum + weights.get(id), 0) || 1);
+  otherRoots.forEach(agent => edges.push({ from: root.id, to: agent.id, implicit: true }));
+
+  // Ring spacing shrinks with depth so the tree fits the canvas
+  const depthOf = (agentId, visited = new Set()) => {
+    if (visited.has(agentId)) return 0;
+    visited.add(agentId);
+    const childIds = children.get(agentId);
+    return childIds.length === 0 ? 0 : 1 + Math.max(...childIds.map(id => depthOf(id, visited)));
+  };
+  const ringStep = Math.min(0.24, 0.44 / Math.max(1, depthOf(root.id)));
+
+  const order = [];
+  const placed = new Set();
+
+  const place = (agentId, depth, startAngle, endAngle) => {
+    if (placed.has(agentId)) return;
+    placed.add(agentId);
+    order.push(agents.get(agentId));
+
+    const angle = (startAngle + endAngle) / 2;
+    const radius = depth * ringStep;
+    positions.set(agentId, {
+      x: Math.max(0.05, Math.min(0.95, center.x + Math.cos(angle) * radius)),
+      y: Math.max(0.05, Math.min(0.95, center.y + Math.sin(angle) * radius))
+    });
+
+    const childIds = children.get(agentId).filter(id => !placed.has(id));
+    const total = childIds.reduce((sum, id) => sum + weights.get(id), 0);
+    let cursor = startAngle;
+
+    childIds.forEach(childId => {
+      const slice = (endAngle - startAngle) * (weights.get(childId) / total);
+      if (getParentId(agents.get(childId), agents) === agentId) {
+        edges.push({ from: agentId, to: childId, implicit: false });
+      }
+      place(childId, depth + 1, cursor, cursor + slice);
+      cursor += slice;
+    });
+  };
+
+  // Start from the top
+  place(root.id, 0, -Math.PI / 2, Math.PI * 1.5);
+
+  return { order, positions, edges };
+}
+
 /**
  * Convert hex color to RGB values
  * @param {string} hex - Hex color string (e.g., '#FF6B35')
@@ -553,6 +703,17 @@ function createAgentElement(agent, position) {
     element.classList.add('working');
   }
 
+  // Lifecycle states (error, waiting, blocked, offline) have their own styling
+  if (STATUS_LABELS[agent.status]) {
+    element.classList.add(`status-${agent.status}`);
+  }
+  if (agent.isStale) {
+    element.classList.add('stale');
+  }
+  if (alertingAgents.has(agent.id)) {
+    element.classList.add('status-alert', `alert-${alertingAgents.get(agent.id)}`);
+  }
+
   // Create circle container
   const circleDiv = document.createElement('div');
   circleDiv.className = 'agent-circle';
@@ -571,7 +732,7 @@ function createAgentElement(agent, position) {
       .join('')
       .substring(0, 2)
       .toUpperCase();
-    iconDiv.innerHTML = `<span class="agent-initials">${initials}</span>`;
+    iconDiv.innerHTML = `<span class="agent-initials">${escapeHtml(initials)}</span>`;
   }
   circleDiv.appendChild(iconDiv);
   element.appendChild(circleDiv);
@@ -588,6 +749,15 @@ function createAgentElement(agent, position) {
   typeDiv.textContent = agent.type;
   element.appendChild(typeDiv);
 
+  // Status tag (below name) for lifecycle states and stale agents
+  const statusLabel = agent.isStale ? STALE_LABEL : STATUS_LABELS[agent.status];
+  if (statusLabel) {
+    const statusTag = document.createElement('div');
+    statusTag.className = 'agent-status-tag';
+    statusTag.textContent = statusLabel;
+    element.appendChild(statusTag);
+  }
+
   // Working indicator (inside circle)
   if (agent.status === 'working') {
     const indicator = document.createElement('div');
@@ -656,53 +826,65 @@ function calculateNetworkPositions(count) {
 
 /**
  * Render connection lines between agents
- * Each agent connects only to the Orchestrator (hub-and-spoke layout)
+ * Edges go from parent to child; implicit edges link parentless agents to the center
  * Uses percentage-based coordinates (0-100) matching the SVG viewBox
- * @param {Map} agents - Map of agents
- * @param {Object} orchestrator - The Orchestrator agent (center)
- * @param {Array} otherAgents - All other agents
+ * @param {Array} edges - Edges { from, to, implicit }
  */
-export function renderConnections(agents, orchestrator, otherAgents) {
+export function renderConnections(edges) {
   if (!connectionsLayer) return;
 
   // Clear existing connections
   connectionsLayer.innerHTML = '';
 
-  // Need at least orchestrator and one other agent
-  if (!orchestrator || otherAgents.length === 0) return;
-
-  // Orchestrator position (center) - convert from 0-1 to 0-100 for viewBox
-  const centerPos = agentPositions.get(orchestrator.id) || { x: 0.5, y: 0.5 };
-  const centerX = centerPos.x * 100;
-  const centerY = centerPos.y * 100;
-
-  // Connect each agent to the Orchestrator only
-  otherAgents.forEach((agent) => {
-    const agentPos = agentPositions.get(agent.id) || { x: 0.5, y: 0.5 };
+  edges.forEach(({ from, to, implicit }) => {
     // Convert from 0-1 to 0-100 for viewBox
-    const agentX = agentPos.x * 100;
-    const agentY = agentPos.y * 100;
+    const fromPos = agentPositions.get(from) || { x: 0.5, y: 0.5 };
+    const toPos = agentPositions.get(to) || { x: 0.5, y: 0.5 };
 
     const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
-    line.setAttribute('x1', agentX);
-    line.setAttribute('y1', agentY);
-    line.setAttribute('x2', centerX);
-    line.setAttribute('y2', centerY);
+    line.setAttribute('x1', fromPos.x * 100);
+    line.setAttribute('y1', fromPos.y * 100);
+    line.setAttribute('x2', toPos.x * 100);
+    line.setAttribute('y2', toPos.y * 100);
     line.classList.add('connection-line');
-    line.dataset.from = agent.id;
-    line.dataset.to = orchestrator.id;
+    if (!implicit) line.classList.add('delegation');
+    line.dataset.from = from;
+    line.dataset.to = to;
 
     connectionsLayer.appendChild(line);
   });
 }
 
+/**
+ * Light up the edge from a parent to a child that just received work
+ * @param {string} parentId - Parent agent ID
+ * @param {string} childId - Child agent ID
+ */
+function highlightDelegation(parentId, childId) {
+  const line = connectionsLayer?.querySelector(`.connection-line[data-from="${parentId}"][data-to="${childId}"]`);
+  const parentElement = document.querySelector(`[data-agent-id="${parentId}"]`);
+
+  if (line) line.classList.add('delegating');
+  if (parentElement) parentElement.classList.add('delegating');
+
+  setTimeout(() => {
+    // Query again, agents and connections may have been re-rendered meanwhile
+    const currentLine = connectionsLayer?.querySelector(`.connection-line[data-from="${parentId}"][data-to="${childId}"]`);
+    const currentParent = document.querySelector(`[data-agent-id="${parentId}"]`);
+    if (currentLine) currentLine.classList.remove('delegating');
+    if (currentParent) currentParent.classList.remove('delegating');
+  }, DELEGATION_HIGHLIGHT_TIME);
+}
+
 /**
  * Animate focus on an agent
  * @param {string} agentId - Agent ID
  * @param {string} task - Current task description
+ * @param {Object} [options]
+ * @param {string} [options.delegatedBy] - Parent agent that handed the work over
  * @returns {Promise} Resolves when animation completes
  */
-export async function animateFocus(agentId, task) {
+export async function animateFocus(agentId, task, { delegatedBy = null } = {}) {
   // First, unfocus any currently focused agent (only one can be focused at a time)
   if (focusedAgentId && focusedAgentId !== agentId) {
     console.log(`🔄 Unfocusing previous agent: ${focusedAgentId}`);
@@ -791,6 +973,11 @@ export async function animateFocus(agentId, task) {
       }
     });
 
+    // Light up the parent→child edge when the work was delegated
+    if (delegatedBy) {
+      highlightDelegation(delegatedBy, agentId);
+    }
+
     // Info panel desabilitado - informação vai para sidebar de histórico
     // updateAgentInfo(agent, task);
 
@@ -851,6 +1038,41 @@ export async function animateUnfocus(agentId) {
   });
 }
 
+/**
+ * Animate a lifecycle state change (error, waiting, blocked, offline)
+ * Leaves focus first if the agent was focused, then plays a short alert on the node
+ * @param {string} agentId - Agent ID
+ * @param {string} status - New status
+ * @returns {Promise} Resolves when animation completes
+ */
+export async function animateStatus(agentId, status) {
+  if (focusedAgentId === agentId) {
+    await animateUnfocus(agentId);
+  }
+
+  return new Promise((resolve) => {
+    const agentElement = document.querySelector(`[data-agent-id="${agentId}"]`);
+
+    if (!agentElement) {
+      console.warn(`⚠️ Agent element not found: ${agentId}`);
+      resolve();
+      return;
+    }
+
+    agentElement.classList.remove('working');
+    agentElement.classList.add('status-alert', `alert-${status}`);
+    alertingAgents.set(agentId, status);
+
+    setTimeout(() => {
+      alertingAgents.delete(agentId);
+      // Query again, the node may have been re-rendered meanwhile
+      const current = document.querySelector(`[data-agent-id="${agentId}"]`);
+      if (current) current.classList.remove('status-alert', `alert-${status}`);
+      resolve();
+    }, STATUS_ALERT_DURATION);
+  });
+}
+
 /**
  * Update the agent info panel
  * @param {Object} agent - Agent object
@@ -862,10 +1084,10 @@ function updateAgentInfo(agent, task) {
 
   infoPanel.innerHTML = `
     <div class="current-task">
-      <div class="task-agent" style="color: ${agent?.agentColor || agent?.color || '#FF6B35'}">
-        ${agent?.name || 'Unknown Agent'}
+      <div class="task-agent" style="color: ${escapeHtml(agent?.agentColor || agent?.color || '#FF6B35')}">
+        ${escapeHtml(agent?.name || 'Unknown Agent')}
       </div>
-      <span class="task-label">${task || 'Processing...'}</span>
+      <span class="task-label">${escapeHtml(task || 'Processing...')}</span>
       <span class="task-status">Working</span>
     </div>
   `;
@@ -892,16 +1114,26 @@ function handleAgentClick(agentId) {
 
   console.log(`🖱️ Agent clicked: ${agent.name}`, agent);
 
-  // Could add custom click behavior here
-  // For now, just log the agent info
+  if (onAgentClickCallback) {
+    onAgentClickCallback(agentId);
+  }
+}
+
+/**
+ * Set callback to be called when an agent node is clicked
+ * @param {Function} callback - Function to call with the agent ID
+ */
+export function onAgentClick(callback) {
+  onAgentClickCallback = callback;
 }
 
 /**
  * Reset all visual states
  */
 function resetAllStates() {
+  alertingAgents.clear();
   document.querySelectorAll('.agent-node').forEach(node => {
-    node.classList.remove('focused', 'speaking', 'dimmed', 'working');
+    node.classList.remove('focused', 'speaking', 'dimmed', 'working', 'status-alert');
   });
 
   document.querySelectorAll('.connection-line').forEach(line => {
@@ -954,29 +1186,108 @@ export function updateStatusBadges(total, active) {
   }
 }
 
+// Header chip per connection state (see connection-status.js)
+const CONNECTION_CHIP = {
+  connected: { label: 'LIVE', title: '' },
+  reconnecting: { label: 'RECONECTANDO', title: 'Conexão com o Firestore perdida, tentando novamente' },
+  offline: { label: 'OFFLINE', title: 'Sem conexão: exibindo os últimos dados sincronizados' },
+  'permission-denied': { label: 'SEM PERMISSÃO', title: 'O Firestore recusou a leitura: verifique seu acesso ao projeto' },
+  'quota-exceeded': { label: 'COTA EXCEDIDA', title: 'Cota do Firestore excedida, tentando novamente mais tarde' }
+};
+
+/**
+ * Update the header connection chip
+ * @param {Object} status - { state, lastSyncedAt, nextRetryAt } from connection-status.js
+ */
+export function updateConnectionChip({ state, lastSyncedAt, nextRetryAt }) {
+  const indicator = document.getElementById('live-indicator');
+  const label = document.getElementById('live-indicator-label');
+  if (!indicator || !label) return;
+
+  const chip = CONNECTION_CHIP[state] || CONNECTION_CHIP.connected;
+  Object.keys(CONNECTION_CHIP).forEach(key => indicator.classList.toggle(key, key === state));
+
+  const details = [];
+  if (state !== 'connected' && lastSyncedAt) {
+    const synced = new Date(lastSyncedAt);
+    const isToday = synced.toDateString() === new Date().toDateString();
+    details.push(`sincronizado ${synced.toLocaleString('pt-BR', isToday
+      ? { hour: '2-digit', minute: '2-digit' }
+      : { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' })}`);
+  }
+
+  label.textContent = state === 'offline' && details.length > 0 ? `${chip.label} · ${details[0]}` : chip.label;
+
+  if (nextRetryAt) {
+    const seconds = Math.max(1, Math.round((nextRetryAt - Date.now()) / 1000));
+    details.push(`nova tentativa em ${seconds}s`);
+  }
+  indicator.title = [chip.title, ...details].filter(Boolean).join(' · ');
+}
+
+/**
+ * Show an error over the project canvas (e.g. project path missing or not readable)
+ * @param {string} title - Main message
+ * @param {string} detail - Secondary message
+ */
+export function showCanvasError(title, detail) {
+  const errorState = document.getElementById('canvas-error');
+  if (!errorState) return;
+
+  errorState.querySelector('p').textContent = title;
+  errorState.querySelector('span').textContent = detail;
+  errorState.classList.remove('hidden');
+
+  const loadingState = document.getElementById('loading-state');
+  const emptyState = document.getElementById('empty-state');
+  if (loadingState) loadingState.style.display = 'none';
+  if (emptyState) emptyState.style.display = 'none';
+}
+
+/**
+ * Hide the project canvas error
+ */
+export function hideCanvasError() {
+  const errorState = document.getElementById('canvas-error');
+  if (errorState) errorState.classList.add('hidden');
+}
+
 // ===================================
-// View Management (Home / Project)
+// View Management (Home / Project / Agent / Agent Pool / Analytics / Logs / Settings / Tasks)
 // ===================================
 
+// Main views, by element ID
+const VIEW_IDS = ['home-view', 'agents-canvas', 'agent-view', 'agent-pool-view', 'analytics-view', 'logs-view', 'settings-view', 'tasks-view'];
+
 /**
- * Show home view (projects list)
+ * Show a single main view and hide the others
+ * @param {string} viewId - Element ID of the view to show
+ * @param {Object} options - View options
+ * @param {string} options.sidebar - Active sidebar item
+ * @param {string} options.title - Header title
+ * @param {boolean} options.zoom - Whether zoom controls are visible
  */
-export function showHomeView() {
-  const homeView = document.getElementById('home-view');
-  const canvasArea = document.getElementById('agents-canvas');
-  const tasksView = document.getElementById('tasks-view');
-  const zoomControls = document.getElementById('zoom-controls');
+function showView(viewId, { sidebar, title, zoom = false }) {
+  VIEW_IDS.forEach(id => {
+    const view = document.getElementById(id);
+    if (view) view.classList.toggle('hidden', id !== viewId);
+  });
 
-  if (homeView) homeView.classList.remove('hidden');
-  if (canvasArea) canvasArea.classList.add('hidden');
-  if (tasksView) tasksView.classList.add('hidden');
-  if (zoomControls) zoomControls.style.display = 'none';
+  const zoomControls = document.getElementById('zoom-controls');
+  if (zoomControls) zoomControls.style.display = zoom ? 'flex' : 'none';
 
   // Update sidebar
-  updateSidebarActive('home');
+  updateSidebarActive(sidebar);
 
   // Update header title
-  updateHeaderTitle('AI Workforce Fhinck');
+  updateHeaderTitle(title || 'AI Workforce Fhinck');
+}
+
+/**
+ * Show home view (projects list)
+ */
+export function showHomeView() {
+  showView('home-view', { sidebar: 'home', title: 'AI Workforce Fhinck' });
 }
 
 /**
@@ -984,42 +1295,51 @@ export function showHomeView() {
  * @param {string} projectName - Project display name
  */
 export function showProjectView(projectName) {
-  const homeView = document.getElementById('home-view');
-  const canvasArea = document.getElementById('agents-canvas');
-  const tasksView = document.getElementById('tasks-view');
-  const zoomControls = document.getElementById('zoom-controls');
-
-  if (homeView) homeView.classList.add('hidden');
-  if (canvasArea) canvasArea.classList.remove('hidden');
-  if (tasksView) tasksView.classList.add('hidden');
-  if (zoomControls) zoomControls.style.display = 'flex';
+  hideCanvasError();
+  showView('agents-canvas', { sidebar: 'dashboard', title: projectName, zoom: true });
+}
 
-  // Update sidebar
-  updateSidebarActive('dashboard');
+/**
+ * Show agent detail view
+ * @param {string} title - Header title (agent and project name)
+ */
+export function showAgentView(title) {
+  showView('agent-view', { sidebar: 'dashboard', title });
+}
 
-  // Update header title
-  updateHeaderTitle(projectName || 'AI Workforce Fhinck');
+/**
+ * Show agent pool view (agents of every project)
+ */
+export function showAgentPoolView() {
+  showView('agent-pool-view', { sidebar: 'agent-pool', title: 'Agent Pool' });
 }
 
 /**
- * Show tasks view (Notion tasks)
+ * Show analytics view
  */
-export function showTasksView() {
-  const homeView = document.getElementById('home-view');
-  const canvasArea = document.getElementById('agents-canvas');
-  const tasksView = document.getElementById('tasks-view');
-  const zoomControls = document.getElementById('zoom-controls');
+export function showAnalyticsView() {
+  showView('analytics-view', { sidebar: 'analytics', title: 'Analytics' });
+}
 
-  if (homeView) homeView.classList.add('hidden');
-  if (canvasArea) canvasArea.classList.add('hidden');
-  if (tasksView) tasksView.classList.remove('hidden');
-  if (zoomControls) zoomControls.style.display = 'none';
+/**
+ * Show logs view (raw event log)
+ */
+export function showLogsView() {
+  showView('logs-view', { sidebar: 'logs', title: 'Logs' });
+}
 
-  // Update sidebar
-  updateSidebarActive('tasks');
+/**
+ * Show settings view (dashboard preferences)
+ */
+export function showSettingsView() {
+  showView('settings-view', { sidebar: 'settings', title: 'Configurações' });
+}
 
-  // Update header title
-  updateHeaderTitle('Tarefas');
+/**
+ * Show tasks view (Notion tasks)
+ */
+export function showTasksView() {
+  showView('tasks-view', { sidebar: 'tasks', title: 'Tarefas' });
 }
 
 /**
@@ -1046,6 +1366,91 @@ function updateHeaderTitle(title) {
   }
 }
 
+// ===================================
+// Auth (Sign-in / User Chip)
+// ===================================
+
+/**
+ * Show sign-in view
+ * @param {string} message - Optional message (e.g. link sent, error)
+ * @param {boolean} isError - Show message as error
+ */
+export function showAuthView(message = '', isError = false) {
+  const authView = document.getElementById('auth-view');
+  if (authView) authView.classList.remove('hidden');
+  showAuthMessage(message, isError);
+}
+
+/**
+ * Hide sign-in view
+ */
+export function hideAuthView() {
+  const authView = document.getElementById('auth-view');
+  if (authView) authView.classList.add('hidden');
+  showAuthMessage('');
+}
+
+/**
+ * Show a message below the sign-in form
+ * @param {string} message - Message (empty hides it)
+ * @param {boolean} isError - Show message as error
+ */
+export function showAuthMessage(message, isError = false) {
+  const element = document.getElementById('auth-message');
+  if (!element) return;
+
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+  element.classList.toggle('hidden', !message);
+}
+
+/**
+ * Render the signed-in user chip in the header
+ * @param {Object|null} user - Firebase user (null hides the chip)
+ * @param {string|null} role - Highest role of the user
+ */
+export function renderUserChip(user, role) {
+  const chip = document.getElementById('user-chip');
+  const avatar = document.getElementById('user-avatar');
+  const roleLabel = document.getElementById('user-role');
+  if (!chip) return;
+
+  if (!user) {
+    chip.classList.add('hidden');
+    return;
+  }
+
+  const name = user.displayName || user.email || '';
+  chip.title = name;
+
+  if (avatar) {
+    if (user.photoURL) {
+      avatar.style.backgroundImage = `url("${user.photoURL}")`;
+      avatar.textContent = '';
+    } else {
+      avatar.style.backgroundImage = '';
+      avatar.textContent = name.substring(0, 2).toUpperCase();
+    }
+  }
+
+  if (roleLabel) {
+    roleLabel.textContent = role || 'sem acesso';
+  }
+
+  chip.classList.remove('hidden');
+}
+
+/**
+ * Hide sidebar items the role is not allowed to open
+ * Items declare their requirement with data-min-role
+ * @param {string|null} role - Highest role of the user
+ */
+export function applyRoleVisibility(role) {
+  document.querySelectorAll('.sidebar-item[data-min-role]').forEach(item => {
+    item.classList.toggle('role-hidden', !isRoleAtLeast(role, item.dataset.minRole));
+  });
+}
+
 /**
  * Render projects list on home view
  * @param {Map} projects - Map of projects
@@ -1102,8 +1507,8 @@ function createProjectCard(project, onClick) {
 
   card.innerHTML = `
     <div class="project-card-header">
-      <div class="project-icon">${initials}</div>
-      <div class="project-name">${project.name}</div>
+      <div class="project-icon">${escapeHtml(initials)}</div>
+      <div class="project-name">${escapeHtml(project.name)}</div>
     </div>
     <div class="project-stats">
       <div class="project-stat">
@@ -1111,18 +1516,23 @@ function createProjectCard(project, onClick) {
           <circle cx="12" cy="7" r="4"/>
           <path d="M5.5 21a7.5 7.5 0 0113 0"/>
         </svg>
-        <span class="project-stat-value">${project.agentCount}</span>
-        <span>agentes</span>
+        <span class="project-stat-value" data-stat="active">${project.activeAgentCount ?? '…'}</span>
+        <span>/</span>
+        <span data-stat="total">${project.agentCount ?? '…'}</span>
+        <span>ativos</span>
       </div>
-      ${project.lastActivity ? `
-        <div class="project-stat">
-          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <circle cx="12" cy="12" r="10"/>
-            <polyline points="12,6 12,12 16,14"/>
-          </svg>
-          <span>${formatRelativeTime(project.lastActivity)}</span>
-        </div>
-      ` : ''}
+      <div class="project-stat ${project.lastActivity ? '' : 'hidden'}" data-stat="last-activity">
+        <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <circle cx="12" cy="12" r="10"/>
+          <polyline points="12,6 12,12 16,14"/>
+        </svg>
+        <span>${formatRelativeTime(project.lastActivity)}</span>
+      </div>
+    </div>
+    <div class="project-card-task hidden">
+      <span class="project-card-task-dot"></span>
+      <span class="project-card-task-agent"></span>
+      <span class="project-card-task-text"></span>
     </div>
   `;
 
@@ -1133,6 +1543,50 @@ function createProjectCard(project, onClick) {
   return card;
 }
 
+/**
+ * Update a project card with live agent activity
+ * @param {string} projectId - Project ID
+ * @param {Object} summary - { total, active, running: { agentName, agentColor, task } | null, lastActivityAt }
+ * @param {boolean} pulse - Whether something just started (plays the pulse animation)
+ */
+export function updateProjectCardActivity(projectId, summary, pulse = false) {
+  const card = document.querySelector(`.project-card[data-project-id="${CSS.escape(projectId)}"]`);
+  if (!card) return;
+
+  card.querySelector('[data-stat="active"]').textContent = summary.active;
+  card.querySelector('[data-stat="total"]').textContent = summary.total;
+  card.classList.toggle('is-active', summary.active > 0);
+
+  if (summary.lastActivityAt) {
+    const lastActivity = card.querySelector('[data-stat="last-activity"]');
+    lastActivity.classList.remove('hidden');
+    lastActivity.querySelector('span').textContent = formatRelativeTime(summary.lastActivityAt);
+  }
+
+  const taskRow = card.querySelector('.project-card-task');
+  taskRow.classList.toggle('hidden', !summary.running);
+  if (summary.running) {
+    taskRow.querySelector('.project-card-task-dot').style.background = summary.running.agentColor || '#FF6B35';
+    taskRow.querySelector('.project-card-task-agent').textContent = summary.running.agentName;
+    taskRow.querySelector('.project-card-task-text').textContent = summary.running.task || 'Trabalhando...';
+  }
+
+  if (pulse) {
+    // Restart the animation if the card is already pulsing
+    card.classList.remove('pulse');
+    void card.offsetWidth;
+    card.classList.add('pulse');
+
+    // Child elements have their own animations; only the card's own ends the pulse
+    const handleAnimationEnd = (e) => {
+      if (e.target !== card) return;
+      card.classList.remove('pulse');
+      card.removeEventListener('animationend', handleAnimationEnd);
+    };
+    card.addEventListener('animationend', handleAnimationEnd);
+  }
+}
+
 /**
  * Format relative time
  * @param {Date} date - Date to format
@@ -1166,6 +1620,458 @@ export function showHomeLoading() {
   if (container) container.innerHTML = '';
 }
 
+// ===================================
+// Agent Detail View
+// ===================================
+
+// Timeline label and icon class for each event type
+const TIMELINE_EVENTS = {
+  start: 'Iniciou tarefa',
+  tool_use: 'Usou ferramenta',
+  end: 'Concluiu tarefa',
+  error: 'Erro',
+  waiting: 'Aguardando aprovação',
+  blocked: 'Bloqueado',
+  offline: 'Ficou offline'
+};
+
+/**
+ * Show agent detail loading state
+ */
+export function showAgentLoading() {
+  const loading = document.getElementById('agent-loading');
+  const content = document.getElementById('agent-content');
+  const empty = document.getElementById('agent-empty');
+
+  if (loading) loading.classList.remove('hidden');
+  if (content) content.classList.add('hidden');
+  if (empty) empty.classList.add('hidden');
+}
+
+/**
+ * Show agent detail empty/error state
+ * @param {string} message - Message to display
+ */
+export function showAgentEmpty(message) {
+  const loading = document.getElementById('agent-loading');
+  const content = document.getElementById('agent-content');
+  const empty = document.getElementById('agent-empty');
+  const emptyMessage = document.getElementById('agent-empty-message');
+
+  if (loading) loading.classList.add('hidden');
+  if (content) content.classList.add('hidden');
+  if (empty) empty.classList.remove('hidden');
+  if (emptyMessage) emptyMessage.textContent = message;
+}
+
+/**
+ * Render agent detail: profile, stats and event timeline
+ * @param {Object} agent - Agent object
+ * @param {Array} events - Agent events (oldest first)
+ * @param {Object} stats - Stats from computeAgentStats
+ * @param {Function} onBack - Back button handler
+ */
+export function renderAgentDetail(agent, events, stats, onBack) {
+  const loading = document.getElementById('agent-loading');
+  const content = document.getElementById('agent-content');
+  const empty = document.getElementById('agent-empty');
+
+  if (!content) return;
+
+  if (loading) loading.classList.add('hidden');
+  if (empty) empty.classList.add('hidden');
+  content.classList.remove('hidden');
+
+  const color = agent.agentColor || agent.color || '#FF6B35';
+  const statusLabel = agent.isStale ? STALE_LABEL : (STATUS_LABELS[agent.status] || (agent.status === 'working' ? 'Trabalhando' : 'Ocioso'));
+  const profileFields = [
+    ['Tipo', agent.type],
+    ['Modelo', agent.model],
+    ['Branch', agent.branch],
+    ['Cor', color],
+    ['Delegado por', agent.parentAgentId]
+  ].filter(([, value]) => value);
+
+  content.innerHTML = `
+    <div class="agent-detail-header">
+      <button type="button" class="agent-detail-back" id="agent-detail-back" title="Voltar ao projeto">
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <polyline points="15 18 9 12 15 6"/>
+        </svg>
+      </button>
+      <div class="agent-detail-avatar" style="background: ${escapeHtml(color)}">${escapeHtml(getAgentInitials(agent.name))}</div>
+      <div class="agent-detail-title">
+        <h2>${escapeHtml(agent.name)}</h2>
+        <span class="agent-detail-status status-${escapeHtml(agent.status || 'idle')}">${escapeHtml(statusLabel)}</span>
+      </div>
+    </div>
+
+    <dl class="agent-detail-profile">
+      ${profileFields.map(([label, value]) => `
+        <div class="agent-detail-field">
+          <dt>${label}</dt>
+          <dd>${label === 'Cor' ? `<span class="agent-detail-swatch" style="background: ${escapeHtml(value)}"></span>` : ''}${escapeHtml(value)}</dd>
+        </div>
+      `).join('')}
+    </dl>
+
+    <div class="agent-detail-stats">
+      <div class="agent-detail-stat">
+        <span class="stat-value">${stats.tasksStarted}</span>
+        <span class="stat-label">Tarefas</span>
+      </div>
+      <div class="agent-detail-stat success">
+        <span class="stat-value">${stats.successCount}</span>
+        <span class="stat-label">Concluídas</span>
+      </div>
+      <div class="agent-detail-stat error">
+        <span class="stat-value">${stats.errorCount}</span>
+        <span class="stat-label">Erros</span>
+      </div>
+      <div class="agent-detail-stat">
+        <span class="stat-value">${formatDuration(stats.averageDuration)}</span>
+        <span class="stat-label">Duração média</span>
+      </div>
+    </div>
+
+    <h3 class="agent-detail-section-title">Linha do tempo <span>${events.length} eventos</span></h3>
+    <ol class="agent-timeline">
+      ${events.length === 0 ? '<li class="agent-timeline-empty">Nenhum evento registrado para este agente</li>' : ''}
+      ${[...events].reverse().map(event => createTimelineItem(event)).join('')}
+    </ol>
+  `;
+
+  const backBtn = document.getElementById('agent-detail-back');
+  if (backBtn && onBack) {
+    backBtn.addEventListener('click', onBack);
+  }
+}
+
+/**
+ * Create the HTML of a timeline entry
+ * @param {Object} event - Event object
+ * @returns {string} HTML
+ */
+function createTimelineItem(event) {
+  const label = TIMELINE_EVENTS[event.event] || event.event;
+  const tool = event.toolData?.tool;
+  const detail = event.actionDetail || event.toolData?.input || event.task || '';
+  const time = event.timestamp
+    ? new Date(event.timestamp).toLocaleString('pt-BR', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' })
+    : '';
+
+  return `
+    <li class="agent-timeline-item event-${escapeHtml(event.event || '')}">
+      <span class="agent-timeline-dot"></span>
+      <div class="agent-timeline-body">
+        <div class="agent-timeline-head">
+          <span class="agent-timeline-label">${escapeHtml(event.action || label)}${tool ? ` · ${escapeHtml(tool)}` : ''}</span>
+          <time>${time}</time>
+        </div>
+        ${detail ? `<div class="agent-timeline-detail">${escapeHtml(detail)}</div>` : ''}
+      </div>
+    </li>
+  `;
+}
+
+/**
+ * Get initials from an agent name
+ * @param {string} name - Agent name
+ * @returns {string} Up to two uppercase letters
+ */
+function getAgentInitials(name) {
+  return (name || 'AG')
+    .split(/[-_\s]/)
+    .filter(Boolean)
+    .map(w => w.charAt(0))
+    .join('')
+    .substring(0, 2)
+    .toUpperCase();
+}
+
+// ===================================
+// Analytics View
+// ===================================
+
+/**
+ * Show analytics loading state
+ */
+export function showAnalyticsLoading() {
+  toggleAnalyticsState('analytics-loading');
+}
+
+/**
+ * Show analytics empty/error state
+ * @param {string} message - Message to display
+ */
+export function showAnalyticsEmpty(message) {
+  toggleAnalyticsState('analytics-empty');
+  const emptyMessage = document.getElementById('analytics-empty-message');
+  if (emptyMessage) emptyMessage.textContent = message;
+}
+
+/**
+ * Show one of the analytics states (loading, empty, content)
+ * @param {string} visibleId - Element ID to show
+ */
+function toggleAnalyticsState(visibleId) {
+  ['analytics-loading', 'analytics-empty', 'analytics-content'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.classList.toggle('hidden', id !== visibleId);
+  });
+}
+
+/**
+ * Fill the analytics project and period selectors
+ * @param {Array} projects - Projects array
+ * @param {string} projectId - Selected project ID
+ * @param {string} range - Selected period ('24h' | '7d' | '30d')
+ */
+export function renderAnalyticsFilters(projects, projectId, range) {
+  const projectSelect = document.getElementById('analytics-project');
+  const rangeSelect = document.getElementById('analytics-range');
+
+  if (projectSelect) {
+    projectSelect.innerHTML = projects
+      .map(project => `<option value="${escapeHtml(project.id)}">${escapeHtml(project.name || project.id)}</option>`)
+      .join('');
+    projectSelect.value = projectId || '';
+  }
+  if (rangeSelect) {
+    rangeSelect.value = range;
+  }
+}
+
+/**
+ * Render analytics: summary, throughput, durations, busiest agents and heatmap
+ * @param {Object} analytics - Result of computeProjectAnalytics
+ * @param {string} bucket - Throughput bucket ('hour' | 'day')
+ */
+export function renderAnalytics(analytics, bucket) {
+  const content = document.getElementById('analytics-content');
+  if (!content) return;
+
+  toggleAnalyticsState('analytics-content');
+
+  const colors = getChartColors();
+  const { throughput, durations, busiest, heatmap, totals } = analytics;
+  const successRate = totals.started > 0 ? Math.round((totals.completed / totals.started) * 100) : 0;
+
+  content.innerHTML = `
+    <div class="agent-detail-stats analytics-summary">
+      <div class="agent-detail-stat">
+        <span class="stat-value">${totals.started}</span>
+        <span class="stat-label">Tarefas iniciadas</span>
+      </div>
+      <div class="agent-detail-stat success">
+        <span class="stat-value">${totals.completed}</span>
+        <span class="stat-label">Concluídas (${successRate}%)</span>
+      </div>
+      <div class="agent-detail-stat error">
+        <span class="stat-value">${totals.errors}</span>
+        <span class="stat-label">Erros</span>
+      </div>
+      <div class="agent-detail-stat">
+        <span class="stat-value">${totals.events}</span>
+        <span class="stat-label">Eventos</span>
+      </div>
+    </div>
+
+    <section class="analytics-card analytics-card-wide">
+      <h3>Vazão por ${bucket === 'day' ? 'dia' : 'hora'}</h3>
+      <div class="analytics-legend">
+        <span><i style="background: ${colors.primary}"></i>Iniciadas</span>
+        <span><i style="background: ${colors.success}"></i>Concluídas</span>
+      </div>
+      <div class="analytics-chart" id="analytics-throughput"></div>
+    </section>
+
+    <section class="analytics-card">
+      <h3>Duração por agente <span>mediana · marcador p95</span></h3>
+      <div class="analytics-chart" id="analytics-durations"></div>
+    </section>
+
+    <section class="analytics-card">
+      <h3>Agentes mais ocupados <span>tempo trabalhando</span></h3>
+      <div class="analytics-chart" id="analytics-busiest"></div>
+    </section>
+
+    <section class="analytics-card analytics-card-wide">
+      <h3>Utilização <span>minutos trabalhados por hora do dia</span></h3>
+      <div class="analytics-chart" id="analytics-heatmap"></div>
+    </section>
+  `;
+
+  const formatBucket = (date) => bucket === 'day'
+    ? date.toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' })
+    : `${String(date.getHours()).padStart(2, '0')}h`;
+
+  document.getElementById('analytics-throughput').appendChild(createBarChart({
+    labels: throughput.map(b => formatBucket(b.start)),
+    series: [
+      { name: 'Iniciadas', color: colors.primary, values: throughput.map(b => b.started) },
+      { name: 'Concluídas', color: colors.success, values: throughput.map(b => b.completed) }
+    ]
+  }));
+
+  appendChartOrEmpty('analytics-durations', durations, () => createHorizontalBarChart({
+    rows: durations.map(d => ({
+      label: d.agentName,
+      color: d.agentColor,
+      value: d.median,
+      marker: d.p95,
+      valueLabel: `${formatDuration(d.median)} · ${formatDuration(d.p95)}`,
+      tooltip: `${d.agentName}: mediana ${formatDuration(d.median)}, p95 ${formatDuration(d.p95)} (${d.count} tarefas)`
+    }))
+  }), 'Nenhuma tarefa concluída no período');
+
+  appendChartOrEmpty('analytics-busiest', busiest, () => createHorizontalBarChart({
+    rows: busiest.slice(0, 10).map(b => ({
+      label: b.agentName,
+      color: b.agentColor,
+      value: b.busyMs,
+      valueLabel: `${formatDuration(b.busyMs)} · ${b.tasks} tarefas`,
+      tooltip: `${b.agentName}: ${b.tasks} tarefas, ${b.errors} com erro`
+    }))
+  }), 'Nenhuma tarefa no período');
+
+  appendChartOrEmpty('analytics-heatmap', heatmap, () => createHeatmap({
+    rows: heatmap.map(row => ({ label: row.agentName, color: row.agentColor, values: row.minutes })),
+    columns: Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}h`),
+    formatValue: (minutes) => `${Math.round(minutes)} min`
+  }), 'Nenhuma tarefa no período');
+}
+
+/**
+ * Append a chart to its container, or an empty message when there is no data
+ * @param {string} containerId - Container element ID
+ * @param {Array} data - Chart data
+ * @param {Function} createChart - Returns the chart element
+ * @param {string} emptyMessage - Message when data is empty
+ */
+function appendChartOrEmpty(containerId, data, createChart, emptyMessage) {
+  const container = document.getElementById(containerId);
+  if (!container) return;
+
+  if (data.length === 0) {
+    container.innerHTML = `<p class="analytics-chart-empty">${emptyMessage}</p>`;
+    return;
+  }
+  container.appendChild(createChart());
+}
+
+// ===================================
+// Agent Pool View
+// ===================================
+
+// Agent pool columns: key, header label and sort value
+const AGENT_POOL_COLUMNS = [
+  { key: 'name', label: 'Agente', value: agent => agent.name.toLowerCase() },
+  { key: 'project', label: 'Projeto', value: agent => agent.projectName.toLowerCase() },
+  { key: 'status', label: 'Status', value: agent => AGENT_POOL_STATUS_ORDER.indexOf(agent.isStale ? 'stale' : (agent.status || 'idle')) },
+  { key: 'task', label: 'Tarefa atual', value: agent => (agent.currentTask || '').toLowerCase() },
+  { key: 'lastActivity', label: 'Última atividade', value: agent => agent.lastActivityAt || 0 },
+  { key: 'tasksToday', label: 'Tarefas hoje', value: agent => agent.tasksToday ?? -1 }
+];
+
+// Status sort order (most urgent first)
+const AGENT_POOL_STATUS_ORDER = ['error', 'blocked', 'waiting', 'stale', 'working', 'offline', 'idle'];
+
+/**
+ * Show agent pool loading state
+ */
+export function showAgentPoolLoading() {
+  toggleAgentPoolState('agent-pool-loading');
+}
+
+/**
+ * Show agent pool empty/error state
+ * @param {string} message - Message shown under the title
+ */
+export function showAgentPoolEmpty(message) {
+  toggleAgentPoolState('agent-pool-empty');
+  const emptyMessage = document.getElementById('agent-pool-empty-message');
+  if (emptyMessage) emptyMessage.textContent = message;
+}
+
+/**
+ * Show one of the agent pool states (loading, empty, content)
+ * @param {string} visibleId - Element ID to show
+ */
+function toggleAgentPoolState(visibleId) {
+  ['agent-pool-loading', 'agent-pool-empty', 'agent-pool-content'].forEach(id => {
+    const element = document.getElementById(id);
+    if (element) element.classList.toggle('hidden', id !== visibleId);
+  });
+}
+
+/**
+ * Render the agent pool table
+ * @param {Array} agents - Agents with projectName, lastActivityAt and tasksToday
+ * @param {Object} sort - { key, direction: 'asc' | 'desc' }
+ * @param {Function} onSort - Called with the column key when a header is clicked
+ * @param {Function} onSelect - Called with the agent when a row is clicked
+ */
+export function renderAgentPool(agents, sort, onSort, onSelect) {
+  const content = document.getElementById('agent-pool-content');
+  if (!content) return;
+
+  toggleAgentPoolState('agent-pool-content');
+
+  const column = AGENT_POOL_COLUMNS.find(c => c.key === sort.key) || AGENT_POOL_COLUMNS[0];
+  const factor = sort.direction === 'asc' ? 1 : -1;
+  const sorted = [...agents].sort((a, b) => {
+    const valueA = column.value(a);
+    const valueB = column.value(b);
+    if (valueA === valueB) return a.name.localeCompare(b.name);
+    return (valueA > valueB ? 1 : -1) * factor;
+  });
+
+  content.innerHTML = `
+    <table class="agent-pool-table">
+      <thead>
+        <tr>
+          ${AGENT_POOL_COLUMNS.map(c => `
+            <th scope="col" data-sort="${c.key}" class="${c.key === column.key ? `sorted ${sort.direction}` : ''}"
+              aria-sort="${c.key === column.key ? (sort.direction === 'asc' ? 'ascending' : 'descending') : 'none'}">
+              ${c.label}
+            </th>
+          `).join('')}
+        </tr>
+      </thead>
+      <tbody>
+        ${sorted.map((agent, index) => {
+          const color = agent.agentColor || agent.color || '#FF6B35';
+          const statusLabel = agent.isStale ? STALE_LABEL : (STATUS_LABELS[agent.status] || (agent.status === 'working' ? 'Trabalhando' : 'Ocioso'));
+          return `
+            <tr data-index="${index}" title="Abrir ${escapeHtml(agent.projectName)}">
+              <td>
+                <span class="agent-pool-name">
+                  <span class="agent-pool-dot" style="background: ${escapeHtml(color)}"></span>
+                  ${escapeHtml(agent.name)}
+                </span>
+              </td>
+              <td>${escapeHtml(agent.projectName)}</td>
+              <td><span class="agent-detail-status status-${escapeHtml(agent.status || 'idle')}">${escapeHtml(statusLabel)}</span></td>
+              <td class="agent-pool-task">${escapeHtml(agent.currentTask || '—')}</td>
+              <td>${agent.lastActivityAt ? formatRelativeTime(agent.lastActivityAt) : '—'}</td>
+              <td class="agent-pool-number">${agent.tasksToday ?? '…'}</td>
+            </tr>
+          `;
+        }).join('')}
+      </tbody>
+    </table>
+  `;
+
+  content.querySelectorAll('th[data-sort]').forEach(th => {
+    th.addEventListener('click', () => onSort(th.dataset.sort));
+  });
+
+  content.querySelectorAll('tbody tr').forEach(row => {
+    row.addEventListener('click', () => onSelect(sorted[Number(row.dataset.index)]));
+  });
+}
+
 // ===================================
 // Tasks View (Notion)
 // ===================================
@@ -1185,12 +2091,34 @@ export function showTasksLoading() {
   if (container) container.innerHTML = '';
 }
 
+/**
+ * Set the explanation shown under the tasks empty state
+ * @param {string} message - Hint (no active tasks, or no task matching the filters)
+ */
+export function setTasksEmptyHint(message) {
+  const hint = document.getElementById('tasks-empty-hint');
+  if (hint) hint.textContent = message;
+}
+
+/**
+ * Clear the tasks list and its loading, empty and error states (board layout)
+ */
+export function clearTasksList() {
+  ['tasks-loading', 'tasks-empty', 'tasks-error'].forEach(id => {
+    document.getElementById(id)?.classList.add('hidden');
+  });
+
+  const container = document.getElementById('tasks-container');
+  if (container) container.innerHTML = '';
+}
+
 /**
  * Render tasks list
  * @param {Array} tasks - Array of tasks
  * @param {Function} onTaskClick - Click handler
+ * @param {Object|null} editor - { options, agents, onChange(task, changes) } to edit tasks from the cards
  */
-export function renderTasksList(tasks, onTaskClick) {
+export function renderTasksList(tasks, onTaskClick, editor = null) {
   const container = document.getElementById('tasks-container');
   const loading = document.getElementById('tasks-loading');
   const empty = document.getElementById('tasks-empty');
@@ -1217,7 +2145,7 @@ export function renderTasksList(tasks, onTaskClick) {
 
   // Render task cards
   tasks.forEach(task => {
-    const card = createTaskCard(task, onTaskClick);
+    const card = createTaskCard(task, onTaskClick, editor);
     container.appendChild(card);
   });
 }
@@ -1226,12 +2154,14 @@ export function renderTasksList(tasks, onTaskClick) {
  * Create a task card element
  * @param {Object} task - Task data
  * @param {Function} onClick - Click handler
+ * @param {Object|null} editor - Edit controls config (null: read-only card)
  * @returns {HTMLElement} Task card element
  */
-function createTaskCard(task, onClick) {
+export function createTaskCard(task, onClick, editor = null) {
   const card = document.createElement('div');
   card.className = 'task-card';
   card.dataset.taskId = task.id;
+  card.classList.toggle('saving', Boolean(task.pending));
 
   // Get priority color
   const priorityColor = getPriorityColorLocal(task.priority);
@@ -1243,25 +2173,25 @@ function createTaskCard(task, onClick) {
   // Build stakeholders display
   const stakeholdersHtml = task.stakeholders && task.stakeholders.length > 0
     ? `<div class="task-stakeholders">
-        ${task.stakeholders.map(s => `<span class="task-stakeholder">${s}</span>`).join('')}
+        ${task.stakeholders.map(s => `<span class="task-stakeholder">${escapeHtml(getTaskValueLabel(s))}</span>`).join('')}
        </div>`
     : '';
 
   // Build type badges
   const typeHtml = task.type && task.type.length > 0
     ? `<div class="task-types">
-        ${task.type.map(t => `<span class="task-type-badge">${t}</span>`).join('')}
+        ${task.type.map(t => `<span class="task-type-badge">${escapeHtml(t)}</span>`).join('')}
        </div>`
     : '';
 
   card.innerHTML = `
     <div class="task-card-header">
-      <div class="task-name">${task.name}</div>
-      ${task.priority ? `<span class="task-priority" style="background-color: ${priorityColor}">${task.priority}</span>` : ''}
+      <div class="task-name">${escapeHtml(task.name)}</div>
+      ${task.priority ? `<span class="task-priority" style="background-color: ${priorityColor}">${escapeHtml(task.priority)}</span>` : ''}
     </div>
     <div class="task-card-body">
       <div class="task-meta">
-        ${task.status ? `<span class="task-status" style="background-color: ${statusColor}">${task.status}</span>` : ''}
+        ${task.status ? `<span class="task-status" style="background-color: ${statusColor}">${escapeHtml(task.status)}</span>` : ''}
         ${typeHtml}
       </div>
       ${stakeholdersHtml}
@@ -1279,6 +2209,10 @@ function createTaskCard(task, onClick) {
     </div>
   `;
 
+  if (editor) {
+    card.querySelector('.task-card-body').appendChild(createTaskEditor(task, editor));
+  }
+
   if (onClick) {
     card.addEventListener('click', () => onClick(task));
     card.classList.add('clickable');
@@ -1287,6 +2221,80 @@ function createTaskCard(task, onClick) {
   return card;
 }
 
+/**
+ * Create the edit controls of a task card (status, priority, due date and agent)
+ * @param {Object} task - Task object
+ * @param {Object} editor - { options, agents, onChange(task, changes) }
+ * @returns {HTMLElement} Controls row
+ */
+function createTaskEditor(task, { options, agents, onChange }) {
+  const row = document.createElement('div');
+  row.className = 'task-edit';
+
+  // Controls live inside the clickable card, which opens the task in Notion
+  row.addEventListener('click', (e) => e.stopPropagation());
+
+  const addField = (label, control, field, toValue = value => value || null) => {
+    const wrapper = document.createElement('label');
+    wrapper.className = 'task-edit-field';
+    wrapper.innerHTML = `<span>${label}</span>`;
+    control.disabled = Boolean(task.pending);
+    control.addEventListener('change', () => onChange(task, { [field]: toValue(control.value) }));
+    wrapper.appendChild(control);
+    row.appendChild(wrapper);
+  };
+
+  if (options.status) {
+    addField('Status', createTaskSelect(task.status, options.status), 'status');
+  }
+  if (options.priority) {
+    addField('Prioridade', createTaskSelect(task.priority, options.priority, 'Sem prioridade'), 'priority');
+  }
+
+  const dueDate = document.createElement('input');
+  dueDate.type = 'date';
+  dueDate.value = task.dueDate ? task.dueDate.slice(0, 10) : '';
+  addField('Prazo', dueDate, 'dueDate');
+
+  // Agents: choices of the Notion property when it is a select, otherwise the dashboard agents
+  addField('Agente', createTaskSelect(task.agent, options.agent || agents, 'Sem agente'), 'agent');
+
+  return row;
+}
+
+/**
+ * Create a select for a task field
+ * @param {string|null} value - Current value (kept as a choice even if not in the list)
+ * @param {Array} choices - Option names
+ * @param {string} [emptyLabel] - Label of the empty option (omitted: the field cannot be cleared)
+ * @returns {HTMLSelectElement}
+ */
+function createTaskSelect(value, choices = [], emptyLabel = null) {
+  const select = document.createElement('select');
+  const names = value && !choices.includes(value) ? [value, ...choices] : choices;
+
+  if (emptyLabel !== null || !value) {
+    select.appendChild(new Option(emptyLabel || '—', ''));
+  }
+  names.forEach(name => select.appendChild(new Option(name, name)));
+  select.value = value || '';
+
+  return select;
+}
+
+/**
+ * Show a message in the tasks header (result of a task edit)
+ * @param {string} message - Message (empty clears it)
+ * @param {boolean} isError - Whether the message is an error
+ */
+export function showTasksStatus(message, isError = false) {
+  const status = document.getElementById('tasks-status');
+  if (!status) return;
+
+  status.textContent = message;
+  status.classList.toggle('error', isError);
+}
+
 /**
  * Format task date
  * @param {string} dateStr - ISO date string
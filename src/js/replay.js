@@ -0,0 +1,415 @@
+/**
+ * Replay Mode
+ * Time-travel over a project's event log: rebuilds agent state from events and
+ * drives the canvas (renderer) and the animation queue at 1x–16x, without live listeners
+ */
+
+import { fetchProjectEventsRange, fetchLastAgentEvents } from './events-store.js';
+import { fetchProjectAgents } from './agents-store.js';
+import { renderAgents } from './renderer.js';
+import { queueAnimation, clearQueue, forceStopAnimations, updateConfig, getConfig } from './animation-queue.js';
+import { formatToolAction } from './task-manager.js';
+import { EVENT_STATUS, isLifecycleState } from './agent-states.js';
+import { escapeHtml } from './html.js';
+
+// Time windows that can be loaded (ms back from now)
+const REPLAY_WINDOWS = {
+  '1h': 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '24h': 24 * 60 * 60 * 1000
+};
+
+const SPEEDS = [1, 2, 4, 8, 16];
+const TICK_MS = 100;
+
+// State
+let currentProjectId = null;
+let windowKey = '1h';
+let speed = 1;
+let events = [];          // Oldest first
+let profiles = new Map(); // agentId -> agent document (name, color, parent...)
+let initialEvents = new Map(); // agentId -> last event before the window (state at its start)
+let isTruncated = false;  // The window has more events than could be loaded
+let agents = new Map();   // Replayed agent state
+let windowStart = 0;
+let windowEnd = 0;
+let replayTime = 0;
+let nextEventIndex = 0;
+let tickInterval = null;
+let isOpen = false;
+let loadRequestId = 0;
+let savedAnimationConfig = null;
+let onUpdateCallback = null;
+
+// DOM references
+let replayBar = null;
+let playButton = null;
+let scrubber = null;
+let timeLabel = null;
+let speedSelect = null;
+let windowSelect = null;
+let jumpSelect = null;
+let statusLabel = null;
+
+/**
+ * Initialize replay controls (DOM references and listeners)
+ */
+export function initReplay() {
+  replayBar = document.getElementById('replay-bar');
+  playButton = document.getElementById('replay-play');
+  scrubber = document.getElementById('replay-scrubber');
+  timeLabel = document.getElementById('replay-time');
+  speedSelect = document.getElementById('replay-speed');
+  windowSelect = document.getElementById('replay-window');
+  jumpSelect = document.getElementById('replay-jump');
+  statusLabel = document.getElementById('replay-status');
+
+  if (!replayBar) return;
+
+  speedSelect.innerHTML = SPEEDS.map(value => `<option value="${value}">${value}x</option>`).join('');
+
+  playButton.addEventListener('click', () => {
+    if (tickInterval) {
+      pause();
+    } else {
+      play();
+    }
+  });
+
+  // Dragging the scrubber pauses and seeks
+  scrubber.addEventListener('input', () => {
+    pause();
+    seek(Number(scrubber.value));
+  });
+
+  speedSelect.addEventListener('change', () => {
+    speed = Number(speedSelect.value);
+    applyAnimationSpeed();
+  });
+
+  windowSelect.addEventListener('change', () => {
+    windowKey = windowSelect.value;
+    loadWindow();
+  });
+
+  jumpSelect.addEventListener('change', () => {
+    const index = Number(jumpSelect.value);
+    jumpSelect.value = '';
+    if (Number.isNaN(index) || !events[index]) return;
+
+    pause();
+    seek(toMillis(events[index].timestamp));
+  });
+
+  console.log('⏪ Replay initialized');
+}
+
+/**
+ * Open replay for a project (loads the selected time window)
+ * @param {string} projectId - Project ID
+ */
+export async function openReplay(projectId) {
+  currentProjectId = projectId;
+  isOpen = true;
+
+  // Animation timings are scaled by the replay speed while replay is open
+  if (!savedAnimationConfig) savedAnimationConfig = getConfig();
+
+  if (replayBar) replayBar.classList.remove('hidden');
+  if (windowSelect) windowSelect.value = windowKey;
+  if (speedSelect) speedSelect.value = String(speed);
+
+  await loadWindow();
+}
+
+/**
+ * Close replay: stops playback, clears animations and restores animation timings
+ */
+export function closeReplay() {
+  if (!isOpen) return;
+
+  isOpen = false;
+  loadRequestId++;
+  pause();
+  clearQueue();
+  forceStopAnimations();
+
+  if (savedAnimationConfig) {
+    updateConfig(savedAnimationConfig);
+    savedAnimationConfig = null;
+  }
+
+  if (replayBar) replayBar.classList.add('hidden');
+  events = [];
+  initialEvents = new Map();
+  agents = new Map();
+  console.log('⏹️ Replay closed');
+}
+
+/**
+ * Set callback called with the replayed agents after each change
+ * @param {Function} callback - Function to call with the agents map
+ */
+export function onReplayUpdate(callback) {
+  onUpdateCallback = callback;
+}
+
+/**
+ * Load the selected time window and seek to its start
+ */
+async function loadWindow() {
+  const requestId = ++loadRequestId;
+  pause();
+
+  windowEnd = Date.now();
+  windowStart = windowEnd - REPLAY_WINDOWS[windowKey];
+  setStatus('Carregando eventos...');
+
+  try {
+    const [projectAgents, range] = await Promise.all([
+      fetchProjectAgents(currentProjectId),
+      fetchProjectEventsRange(currentProjectId, new Date(windowStart), new Date(windowEnd))
+    ]);
+    if (requestId !== loadRequestId) return;
+
+    // Agents start the window in the state their last earlier event left them
+    const lastEvents = await fetchLastAgentEvents(currentProjectId, projectAgents.map(agent => agent.id), new Date(windowStart));
+    if (requestId !== loadRequestId) return;
+
+    profiles = new Map(projectAgents.map(agent => [agent.id, agent]));
+    initialEvents = lastEvents;
+    events = range.events;
+    isTruncated = range.truncated;
+  } catch (error) {
+    if (requestId !== loadRequestId) return;
+    console.error('❌ Error loading replay events:', error);
+    setStatus('Erro ao carregar eventos');
+    return;
+  }
+
+  if (scrubber) {
+    scrubber.min = windowStart;
+    scrubber.max = windowEnd;
+  }
+  renderJumpOptions();
+  applyAnimationSpeed();
+
+  if (events.length === 0) {
+    setStatus('Nenhum evento neste período');
+  } else if (isTruncated) {
+    // Events are loaded oldest first: what is missing is the end of the window
+    const lastLoaded = formatClock(toMillis(events[events.length - 1].timestamp));
+    setStatus(`${events.length} eventos (limite atingido: eventos após ${lastLoaded} não carregados)`);
+  } else {
+    setStatus(`${events.length} eventos`);
+  }
+  seek(windowStart);
+
+  console.log(`⏪ Replay loaded: ${events.length} events for ${currentProjectId}`);
+}
+
+/**
+ * Start playback (from the start if the end was reached)
+ */
+function play() {
+  if (!isOpen || tickInterval) return;
+  if (replayTime >= windowEnd) seek(windowStart);
+
+  tickInterval = setInterval(tick, TICK_MS);
+  updatePlayButton();
+}
+
+/**
+ * Pause playback
+ */
+function pause() {
+  if (tickInterval) {
+    clearInterval(tickInterval);
+    tickInterval = null;
+  }
+  updatePlayButton();
+}
+
+/**
+ * Advance the replay clock and apply the events it passed, with animations
+ */
+function tick() {
+  replayTime = Math.min(windowEnd, replayTime + TICK_MS * speed);
+
+  let changed = false;
+  while (nextEventIndex < events.length && toMillis(events[nextEventIndex].timestamp) <= replayTime) {
+    applyEvent(events[nextEventIndex], true);
+    nextEventIndex++;
+    changed = true;
+  }
+
+  if (changed) renderReplayAgents();
+  updateTimeDisplay();
+
+  if (replayTime >= windowEnd) pause();
+}
+
+/**
+ * Jump to a point in time: rebuilds agent state from the start of the window
+ * (as left by the events before it), without animations
+ * @param {number} time - Target time (ms)
+ */
+function seek(time) {
+  clearQueue();
+  forceStopAnimations();
+
+  replayTime = Math.max(windowStart, Math.min(windowEnd, time));
+  agents = new Map();
+  profiles.forEach(profile => agents.set(profile.id, createAgentState(profile)));
+
+  nextEventIndex = 0;
+  while (nextEventIndex < events.length && toMillis(events[nextEventIndex].timestamp) <= replayTime) {
+    applyEvent(events[nextEventIndex], false);
+    nextEventIndex++;
+  }
+
+  renderReplayAgents();
+  updateTimeDisplay();
+}
+
+/**
+ * Create the replayed state of an agent at the start of the window
+ * Status and task come from the agent's last event before the window (idle without one)
+ * @param {Object} profile - Agent document or first event of the agent
+ * @returns {Object} Agent
+ */
+function createAgentState(profile) {
+  const id = profile.id || profile.agentId;
+  const lastEvent = initialEvents.get(id);
+
+  return {
+    id,
+    name: profile.name || profile.agentName || profile.agentId,
+    agentColor: profile.agentColor || profile.color,
+    icon: profile.icon,
+    type: profile.type,
+    parentAgentId: profile.parentAgentId || null,
+    status: lastEvent ? (lastEvent.status || EVENT_STATUS[lastEvent.event] || 'idle') : 'idle',
+    currentTask: lastEvent && lastEvent.event !== 'end' ? (lastEvent.task || '') : ''
+  };
+}
+
+/**
+ * Apply an event to the replayed state
+ * @param {Object} event - Event
+ * @param {boolean} animate - Queue the same animations as the live canvas
+ */
+function applyEvent(event, animate) {
+  const previous = agents.get(event.agentId) || createAgentState(event);
+  const status = event.status || EVENT_STATUS[event.event] || previous.status;
+
+  const agent = {
+    ...previous,
+    name: event.agentName || previous.name,
+    agentColor: event.agentColor || previous.agentColor,
+    parentAgentId: event.parentAgentId || previous.parentAgentId,
+    status,
+    currentTask: event.event === 'end' ? '' : (event.task || previous.currentTask)
+  };
+  agents.set(agent.id, agent);
+
+  if (animate && previous.status !== status) {
+    queueStatusAnimation(agent, previous.status);
+  }
+}
+
+/**
+ * Queue the animation for a status change (mirrors agents-store)
+ * @param {Object} agent - Agent after the event
+ * @param {string} previousStatus - Status before the event
+ */
+function queueStatusAnimation(agent, previousStatus) {
+  if (agent.status === 'working') {
+    queueAnimation({ type: 'focus', agentId: agent.id, task: agent.currentTask, parentAgentId: agent.parentAgentId });
+  } else if (agent.status === 'idle' && previousStatus === 'working') {
+    queueAnimation({ type: 'unfocus', agentId: agent.id });
+  } else if (isLifecycleState(agent.status)) {
+    queueAnimation({ type: agent.status, agentId: agent.id, task: agent.currentTask });
+  }
+}
+
+/**
+ * Render the replayed agents on the canvas
+ */
+function renderReplayAgents() {
+  renderAgents(agents);
+  if (onUpdateCallback) onUpdateCallback(agents);
+}
+
+/**
+ * Scale animation timings by the replay speed
+ */
+function applyAnimationSpeed() {
+  if (!savedAnimationConfig) return;
+
+  updateConfig({
+    ANIMATION_DURATION: savedAnimationConfig.ANIMATION_DURATION / speed,
+    FOCUS_DISPLAY_TIME: savedAnimationConfig.FOCUS_DISPLAY_TIME / speed,
+    STATUS_DISPLAY_TIME: savedAnimationConfig.STATUS_DISPLAY_TIME / speed,
+    TRANSITION_DELAY: savedAnimationConfig.TRANSITION_DELAY / speed
+  });
+}
+
+/**
+ * Fill the jump-to-event selector
+ */
+function renderJumpOptions() {
+  if (!jumpSelect) return;
+
+  jumpSelect.innerHTML = `<option value="">Ir para evento (${events.length})</option>` +
+    events.map((event, index) => {
+      const label = event.toolData?.tool ? formatToolAction(event.toolData.tool) : (event.task || event.event);
+      return `<option value="${index}">${formatClock(toMillis(event.timestamp))} · ${escapeHtml(event.agentName || event.agentId)} · ${escapeHtml(event.event)} · ${escapeHtml(String(label).slice(0, 60))}</option>`;
+    }).join('');
+}
+
+/**
+ * Update scrubber position and clock
+ */
+function updateTimeDisplay() {
+  if (scrubber) scrubber.value = replayTime;
+  if (timeLabel) timeLabel.textContent = formatClock(replayTime);
+}
+
+/**
+ * Update the play/pause button
+ */
+function updatePlayButton() {
+  if (!playButton) return;
+  const isPlaying = Boolean(tickInterval);
+  playButton.classList.toggle('playing', isPlaying);
+  playButton.title = isPlaying ? 'Pausar' : 'Reproduzir';
+  playButton.setAttribute('aria-label', playButton.title);
+}
+
+/**
+ * Show a status message in the replay bar
+ * @param {string} message - Message
+ */
+function setStatus(message) {
+  if (statusLabel) statusLabel.textContent = message;
+}
+
+/**
+ * Format a time as HH:MM:SS
+ * @param {number} time - Time (ms)
+ * @returns {string}
+ */
+function formatClock(time) {
+  return new Date(time).toLocaleTimeString('pt-BR', { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * Convert an event timestamp to milliseconds
+ * @param {Date|string|number} timestamp - Timestamp
+ * @returns {number}
+ */
+function toMillis(timestamp) {
+  return timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+}
+
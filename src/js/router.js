@@ -7,13 +7,28 @@
 const ROUTES = {
   HOME: '',
   PROJECT: 'projeto',
+  AGENT: 'agente',
+  REPLAY: 'replay',
+  AGENT_POOL: 'agent-pool',
+  ANALYTICS: 'analytics',
+  LOGS: 'logs',
+  SETTINGS: 'settings',
   TASKS: 'tasks'
 };
 
+// Whether the hashchange listener is attached
+let isInitialized = false;
+
 // Registered route handlers
 let routeHandlers = {
   home: null,
   project: null,
+  agent: null,
+  replay: null,
+  agentPool: null,
+  analytics: null,
+  logs: null,
+  settings: null,
   tasks: null,
   notFound: null
 };
@@ -29,6 +44,27 @@ export function parseRoute() {
     return { route: 'home', params: {} };
   }
 
+  // Parse /projeto/{projectId}/agente/{agentId}
+  const agentMatch = hash.match(/^\/?projeto\/([^/]+)\/agente\/(.+)$/);
+  if (agentMatch) {
+    return {
+      route: 'agent',
+      params: {
+        projectId: decodeURIComponent(agentMatch[1]),
+        agentId: decodeURIComponent(agentMatch[2])
+      }
+    };
+  }
+
+  // Parse /projeto/{projectId}/replay
+  const replayMatch = hash.match(/^\/?projeto\/([^/]+)\/replay$/);
+  if (replayMatch) {
+    return {
+      route: 'replay',
+      params: { projectId: decodeURIComponent(replayMatch[1]) }
+    };
+  }
+
   // Parse /projeto/{projectId}
   const projectMatch = hash.match(/^\/?projeto\/(.+)$/);
   if (projectMatch) {
@@ -38,10 +74,40 @@ export function parseRoute() {
     };
   }
 
-  // Parse /tasks
-  const tasksMatch = hash.match(/^\/?tasks$/);
+  // Parse /agent-pool
+  const agentPoolMatch = hash.match(/^\/?agent-pool$/);
+  if (agentPoolMatch) {
+    return { route: 'agentPool', params: {} };
+  }
+
+  // Parse /analytics and /analytics/{projectId}
+  const analyticsMatch = hash.match(/^\/?analytics(?:\/(.+))?$/);
+  if (analyticsMatch) {
+    return {
+      route: 'analytics',
+      params: { projectId: analyticsMatch[1] ? decodeURIComponent(analyticsMatch[1]) : null }
+    };
+  }
+
+  // Parse /logs and /logs/{projectId}
+  const logsMatch = hash.match(/^\/?logs(?:\/(.+))?$/);
+  if (logsMatch) {
+    return {
+      route: 'logs',
+      params: { projectId: logsMatch[1] ? decodeURIComponent(logsMatch[1]) : null }
+    };
+  }
+
+  // Parse /settings
+  const settingsMatch = hash.match(/^\/?settings$/);
+  if (settingsMatch) {
+    return { route: 'settings', params: {} };
+  }
+
+  // Parse /tasks and /tasks?{filters}
+  const tasksMatch = hash.match(/^\/?tasks(?:\?(.*))?$/);
   if (tasksMatch) {
-    return { route: 'tasks', params: {} };
+    return { route: 'tasks', params: { query: new URLSearchParams(tasksMatch[1] || '') } };
   }
 
   // Unknown route
@@ -71,16 +137,83 @@ export function navigateToProject(projectId) {
   window.location.hash = `/projeto/${encodeURIComponent(projectId)}`;
 }
 
+/**
+ * Navigate to an agent detail page
+ * @param {string} projectId - Project ID
+ * @param {string} agentId - Agent ID
+ */
+export function navigateToAgent(projectId, agentId) {
+  window.location.hash = `/projeto/${encodeURIComponent(projectId)}/agente/${encodeURIComponent(agentId)}`;
+}
+
+/**
+ * Navigate to the replay of a project
+ * @param {string} projectId - Project ID
+ */
+export function navigateToReplay(projectId) {
+  window.location.hash = `/projeto/${encodeURIComponent(projectId)}/replay`;
+}
+
+/**
+ * Navigate to the agent pool (agents of every project)
+ */
+export function navigateToAgentPool() {
+  window.location.hash = '/agent-pool';
+}
+
+/**
+ * Navigate to analytics
+ * @param {string} [projectId] - Project to aggregate (default: first project)
+ */
+export function navigateToAnalytics(projectId = null) {
+  window.location.hash = projectId ? `/analytics/${encodeURIComponent(projectId)}` : '/analytics';
+}
+
+/**
+ * Navigate to the event logs
+ * @param {string} [projectId] - Project to inspect (default: first project)
+ */
+export function navigateToLogs(projectId = null) {
+  window.location.hash = projectId ? `/logs/${encodeURIComponent(projectId)}` : '/logs';
+}
+
+/**
+ * Navigate to settings
+ */
+export function navigateToSettings() {
+  window.location.hash = '/settings';
+}
+
 /**
  * Navigate to tasks
+ * @param {URLSearchParams} [query] - Filters of the tasks view
  */
-export function navigateToTasks() {
-  window.location.hash = '/tasks';
+export function navigateToTasks(query = null) {
+  window.location.hash = buildTasksHash(query);
+}
+
+/**
+ * Update the filters in the tasks URL without handling the route again
+ * (replaces the history entry, so typing a search does not add back steps)
+ * @param {URLSearchParams} query - Filters of the tasks view
+ */
+export function replaceTasksQuery(query) {
+  history.replaceState(history.state, '', `#${buildTasksHash(query)}`);
+}
+
+/**
+ * Build the tasks route path
+ * @param {URLSearchParams|null} query - Filters
+ * @returns {string} Path (without #)
+ */
+function buildTasksHash(query) {
+  const search = query ? query.toString() : '';
+  return search ? `/tasks?${search}` : '/tasks';
 }
 
 /**
  * Register route handlers
- * @param {Object} handlers - { home: fn, project: fn, notFound: fn }
+ * @param {Object} handlers - { home: fn, project: fn, agent: fn, replay: fn, agentPool: fn, analytics: fn, logs: fn, settings: fn, tasks: fn, notFound: fn }
  */
 export function registerRoutes(handlers) {
   routeHandlers = { ...routeHandlers, ...handlers };
@@ -101,6 +234,24 @@ function handleRouteChange() {
     case 'project':
       if (routeHandlers.project) routeHandlers.project(params);
       break;
+    case 'agent':
+      if (routeHandlers.agent) routeHandlers.agent(params);
+      break;
+    case 'replay':
+      if (routeHandlers.replay) routeHandlers.replay(params);
+      break;
+    case 'agentPool':
+      if (routeHandlers.agentPool) routeHandlers.agentPool(params);
+      break;
+    case 'analytics':
+      if (routeHandlers.analytics) routeHandlers.analytics(params);
+      break;
+    case 'logs':
+      if (routeHandlers.logs) routeHandlers.logs(params);
+      break;
+    case 'settings':
+      if (routeHandlers.settings) routeHandlers.settings(params);
+      break;
     case 'tasks':
       if (routeHandlers.tasks) routeHandlers.tasks(params);
       break;
@@ -117,10 +268,17 @@ function handleRouteChange() {
 /**
  * Initialize router
  * Listens for hash changes and handles initial route
+ * Calling it again (e.g. after signing in again) only re-handles the current route
  */
 export function initRouter() {
+  if (isInitialized) {
+    handleRouteChange();
+    return;
+  }
+
   // Listen for hash changes
   window.addEventListener('hashchange', handleRouteChange);
+  isInitialized = true;
 
   // Handle initial route
   handleRouteChange();
@@ -153,10 +311,10 @@ export function isProjectPage() {
 }
 
 /**
- * Get current project ID (if on project page)
+ * Get current project ID (if on a project or agent page)
  * @returns {string|null}
  */
 export function getCurrentProjectId() {
   const { route, params } = parseRoute();
-  return route === 'project' ? params.projectId : null;
+  return route === 'project' || route === 'agent' ? params.projectId : null;
 }
@@ -0,0 +1,242 @@
+/**
+ * Settings Store
+ * Dashboard preferences, applied through each module's config API and
+ * persisted per browser (localStorage) and optionally per user (Firestore)
+ */
+
+import { db } from './firebase-config.js';
+import { doc, getDoc, setDoc, serverTimestamp } from 'firebase/firestore';
+import { updateConfig as updateAnimationConfig, getConfig as getAnimationConfig } from './animation-queue.js';
+import { setRotationInterval, getRotationInterval } from './auto-rotation.js';
+import { updateParticlesConfig, getParticlesConfig } from './particles.js';
+import { setDefaultTTL, getDefaultTTL } from './cache-manager.js';
+import { setMaxItems, getMaxItems } from './activity-feed.js';
+import { setAlertRules, getAlertRules, ALERT_EVENTS, DEFAULT_RULE_KEY } from './notifications.js';
+import { setTasksLayout, getTasksLayout, TASK_LAYOUTS, TASK_SWIMLANES } from './tasks-board.js';
+
+// Kept in localStorage, apart from the cache, so clearAllCache() on sign-out keeps it
+const STORAGE_KEY = 'aiworkforce-settings';
+
+// Per-user settings: userSettings/{uid}
+const USER_SETTINGS_COLLECTION = 'userSettings';
+
+// State
+let defaultSettings = null;
+let settings = null;
+let currentUid = null;
+
+/**
+ * Initialize settings: capture module defaults, then apply the browser's saved settings
+ */
+export function initSettings() {
+  defaultSettings = captureModuleConfig();
+  settings = mergeSettings(defaultSettings, readLocalSettings());
+  applySettings(settings);
+  console.log('⚙️ Settings loaded');
+}
+
+/**
+ * Load the signed-in user's settings from Firestore (when synced to the account)
+ * @param {string|null} uid - User ID (null on sign-out)
+ */
+export async function loadUserSettings(uid) {
+  currentUid = uid;
+  if (!uid) return;
+
+  try {
+    const snapshot = await getDoc(doc(db, USER_SETTINGS_COLLECTION, uid));
+    if (!snapshot.exists() || !snapshot.data().syncToAccount) return;
+
+    settings = mergeSettings(defaultSettings, snapshot.data());
+    applySettings(settings);
+    writeLocalSettings(settings);
+    console.log('☁️ Account settings loaded');
+  } catch (error) {
+    console.warn('⚠️ Could not load account settings:', error);
+  }
+}
+
+/**
+ * Get current settings
+ * @returns {Object} Settings
+ */
+export function getSettings() {
+  return cloneSettings(settings);
+}
+
+/**
+ * Get the modules' built-in settings
+ * @returns {Object} Settings
+ */
+export function getDefaultSettings() {
+  return cloneSettings(defaultSettings);
+}
+
+/**
+ * Apply and persist settings
+ * @param {Object} newSettings - Settings (missing values keep their defaults)
+ */
+export async function saveSettings(newSettings) {
+  settings = mergeSettings(defaultSettings, newSettings);
+  applySettings(settings);
+  writeLocalSettings(settings);
+
+  if (!currentUid) return;
+
+  // The account copy is kept (with the flag off) so turning sync off is remembered too
+  await setDoc(doc(db, USER_SETTINGS_COLLECTION, currentUid), {
+    ...settings,
+    updatedAt: serverTimestamp()
+  });
+  console.log(`☁️ Settings ${settings.syncToAccount ? 'synced to' : 'detached from'} account`);
+}
+
+/**
+ * Restore the built-in settings (keeps the account sync choice)
+ */
+export async function resetSettings() {
+  await saveSettings({ ...defaultSettings, syncToAccount: settings.syncToAccount });
+}
+
+/**
+ * Read the current configuration of each module
+ * @returns {Object} Settings
+ */
+function captureModuleConfig() {
+  const animation = getAnimationConfig();
+  const particles = getParticlesConfig();
+
+  return {
+    animation: {
+      FOCUS_DISPLAY_TIME: animation.FOCUS_DISPLAY_TIME,
+      STATUS_DISPLAY_TIME: animation.STATUS_DISPLAY_TIME,
+      TRANSITION_DELAY: animation.TRANSITION_DELAY,
+      MAX_QUEUE_SIZE: animation.MAX_QUEUE_SIZE
+    },
+    rotation: { intervalMs: getRotationInterval() },
+    particles: {
+      particleCount: particles.particleCount,
+      connectionDistance: particles.connectionDistance
+    },
+    cache: getDefaultTTL(),
+    activityFeed: { maxItems: getMaxItems() },
+    alerts: getAlertRules(),
+    tasks: getTasksLayout(),
+    syncToAccount: false
+  };
+}
+
+/**
+ * Push settings to each module
+ * @param {Object} newSettings - Settings
+ */
+function applySettings(newSettings) {
+  updateAnimationConfig(newSettings.animation);
+  setRotationInterval(newSettings.rotation.intervalMs);
+  updateParticlesConfig(newSettings.particles);
+  setDefaultTTL(newSettings.cache);
+  setMaxItems(newSettings.activityFeed.maxItems);
+  setAlertRules(newSettings.alerts);
+  setTasksLayout(newSettings.tasks);
+}
+
+/**
+ * Merge saved values over a base, keeping only known keys with valid values
+ * @param {Object} base - Base settings
+ * @param {Object} overrides - Saved settings (may be partial or outdated)
+ * @returns {Object} Settings
+ */
+function mergeSettings(base, overrides = {}) {
+  const merged = cloneSettings(base);
+
+  Object.keys(merged).forEach(group => {
+    if (group === 'syncToAccount' || group === 'alerts' || group === 'tasks') return;
+
+    Object.keys(merged[group]).forEach(key => {
+      const value = overrides?.[group]?.[key];
+      if (Number.isFinite(value) && value >= 0) {
+        merged[group][key] = value;
+      }
+    });
+  });
+
+  if (typeof overrides?.syncToAccount === 'boolean') {
+    merged.syncToAccount = overrides.syncToAccount;
+  }
+
+  merged.alerts = mergeAlerts(merged.alerts, overrides?.alerts);
+
+  if (TASK_LAYOUTS.includes(overrides?.tasks?.mode)) merged.tasks.mode = overrides.tasks.mode;
+  if (TASK_SWIMLANES.includes(overrides?.tasks?.swimlanes)) merged.tasks.swimlanes = overrides.tasks.swimlanes;
+
+  return merged;
+}
+
+/**
+ * Merge saved alert rules over a base, keeping only valid values
+ * @param {Object} base - Base alert rules
+ * @param {Object} overrides - Saved alert rules (may be partial or outdated)
+ * @returns {Object} Alert rules
+ */
+function mergeAlerts(base, overrides = {}) {
+  const merged = cloneSettings(base);
+  if (!overrides || typeof overrides !== 'object') return merged;
+
+  ['desktop', 'sound'].forEach(key => {
+    if (typeof overrides[key] === 'boolean') merged[key] = overrides[key];
+  });
+
+  const dnd = overrides.doNotDisturb || {};
+  if (typeof dnd.enabled === 'boolean') merged.doNotDisturb.enabled = dnd.enabled;
+  ['start', 'end'].forEach(key => {
+    if (/^([01]\d|2[0-3]):[0-5]\d$/.test(dnd[key])) merged.doNotDisturb[key] = dnd[key];
+  });
+
+  Object.entries(overrides.rules || {}).forEach(([projectId, rule]) => {
+    if (!rule || !Array.isArray(rule.events)) return;
+    merged.rules[projectId] = {
+      events: rule.events.filter(event => ALERT_EVENTS.includes(event)),
+      agents: Array.isArray(rule.agents) ? rule.agents.filter(id => typeof id === 'string' && id) : [],
+      onlyWhenHidden: rule.onlyWhenHidden === true
+    };
+  });
+
+  // The default rule always exists
+  merged.rules[DEFAULT_RULE_KEY] = merged.rules[DEFAULT_RULE_KEY] || cloneSettings(base.rules[DEFAULT_RULE_KEY]);
+
+  return merged;
+}
+
+/**
+ * Deep copy settings
+ * @param {Object} value - Settings
+ * @returns {Object} Copy
+ */
+function cloneSettings(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Read settings saved in this browser
+ * @returns {Object} Saved settings (empty if none)
+ */
+function readLocalSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {
+    console.warn('⚠️ Invalid saved settings, using defaults:', error);
+    return {};
+  }
+}
+
+/**
+ * Save settings in this browser
+ * @param {Object} newSettings - Settings
+ */
+function writeLocalSettings(newSettings) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(newSettings));
+  } catch (error) {
+    console.warn('⚠️ Could not save settings:', error);
+  }
+}
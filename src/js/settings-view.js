@@ -0,0 +1,326 @@
+/**
+ * Settings View
+ * Form over the dashboard preferences kept by settings-store.js
+ */
+
+import { getSettings, getDefaultSettings, saveSettings, resetSettings } from './settings-store.js';
+import { ALERT_EVENTS, DEFAULT_RULE_KEY, requestDesktopPermission, getDesktopPermission, testAlert } from './notifications.js';
+import { escapeHtml } from './html.js';
+
+// Form sections, in display order
+const SECTIONS = {
+  animation: 'Animações',
+  rotation: 'Rotação automática (TV)',
+  particles: 'Partículas de fundo',
+  cache: 'Cache local',
+  activityFeed: 'Feed de atividade'
+};
+
+// Editable fields (scale converts the displayed unit to the stored value)
+const FIELDS = [
+  { group: 'animation', key: 'FOCUS_DISPLAY_TIME', label: 'Tempo mínimo em foco', unit: 's', scale: 1000, min: 1, max: 60, step: 0.5 },
+  { group: 'animation', key: 'STATUS_DISPLAY_TIME', label: 'Duração dos alertas de status', unit: 's', scale: 1000, min: 0.5, max: 30, step: 0.5 },
+  { group: 'animation', key: 'TRANSITION_DELAY', label: 'Intervalo entre animações', unit: 'ms', scale: 1, min: 0, max: 5000, step: 100 },
+  { group: 'animation', key: 'MAX_QUEUE_SIZE', label: 'Tamanho máximo da fila', unit: '', scale: 1, min: 1, max: 500, step: 1 },
+  { group: 'rotation', key: 'intervalMs', label: 'Tempo por projeto', unit: 's', scale: 1000, min: 5, max: 600, step: 5 },
+  { group: 'particles', key: 'particleCount', label: 'Quantidade de partículas', unit: '', scale: 1, min: 0, max: 200, step: 10 },
+  { group: 'particles', key: 'connectionDistance', label: 'Distância das conexões', unit: 'px', scale: 1, min: 0, max: 400, step: 10 },
+  { group: 'cache', key: 'projects', label: 'Validade do cache de projetos', unit: 'min', scale: 60000, min: 1, max: 60, step: 1 },
+  { group: 'cache', key: 'agents', label: 'Validade do cache de agentes', unit: 'min', scale: 60000, min: 1, max: 60, step: 1 },
+  { group: 'activityFeed', key: 'maxItems', label: 'Itens no feed', unit: '', scale: 1, min: 1, max: 100, step: 1 }
+];
+
+// Alert event columns
+const ALERT_EVENT_LABELS = {
+  start: 'Início',
+  end: 'Fim',
+  error: 'Erro',
+  waiting: 'Aguardando',
+  blocked: 'Bloqueado',
+  offline: 'Offline'
+};
+
+const PERMISSION_LABELS = {
+  granted: 'permitidas neste navegador',
+  denied: 'bloqueadas pelo navegador',
+  default: 'o navegador pedirá permissão ao salvar',
+  unsupported: 'não suportadas neste navegador'
+};
+
+// Projects listed in the alert rules
+let projects = [];
+
+// DOM references
+let form = null;
+let fieldsContainer = null;
+let syncCheckbox = null;
+let resetButton = null;
+let statusLabel = null;
+
+/**
+ * Initialize the settings view (DOM references and form listeners)
+ */
+export function initSettingsView() {
+  form = document.getElementById('settings-form');
+  fieldsContainer = document.getElementById('settings-fields');
+  syncCheckbox = document.getElementById('settings-sync');
+  resetButton = document.getElementById('settings-reset');
+  statusLabel = document.getElementById('settings-status');
+
+  if (!form) return;
+
+  form.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    const newSettings = readForm();
+
+    // The permission prompt needs a user action: ask while saving
+    let permission = getDesktopPermission();
+    if (newSettings.alerts.desktop && permission === 'default') {
+      permission = await requestDesktopPermission();
+    }
+
+    const warning = newSettings.alerts.desktop && permission !== 'granted'
+      ? 'Preferências salvas, mas o navegador não permite notificações'
+      : null;
+    await persist(() => saveSettings(newSettings), warning || 'Preferências salvas', Boolean(warning));
+  });
+
+  // Project rules can follow the default rule (their inputs are disabled)
+  fieldsContainer.addEventListener('change', (e) => {
+    if (!e.target.matches('.settings-rule-custom')) return;
+    const row = e.target.closest('tr');
+    row.querySelectorAll('[data-field]').forEach(input => { input.disabled = !e.target.checked; });
+  });
+
+  fieldsContainer.addEventListener('click', (e) => {
+    if (e.target.closest('#alerts-test')) testAlert();
+  });
+
+  resetButton?.addEventListener('click', async () => {
+    await persist(resetSettings, 'Padrões restaurados');
+  });
+
+  console.log('⚙️ Settings view initialized');
+}
+
+/**
+ * Render the form with the current settings
+ * @param {Array} [projectList] - Projects of the user (for per-project alert rules)
+ */
+export function openSettings(projectList = projects) {
+  if (!fieldsContainer) return;
+  projects = projectList;
+
+  const settings = getSettings();
+  const defaults = getDefaultSettings();
+
+  fieldsContainer.innerHTML = Object.entries(SECTIONS).map(([group, title]) => `
+    <fieldset class="settings-section">
+      <legend>${title}</legend>
+      ${FIELDS.filter(field => field.group === group).map(field => createFieldRow(field, settings, defaults)).join('')}
+    </fieldset>
+  `).join('') + createAlertsSection(settings.alerts);
+
+  if (syncCheckbox) syncCheckbox.checked = settings.syncToAccount;
+  setStatus('');
+}
+
+/**
+ * Create the HTML of a field row
+ * @param {Object} field - Field definition
+ * @param {Object} settings - Current settings
+ * @param {Object} defaults - Built-in settings
+ * @returns {string} HTML
+ */
+function createFieldRow(field, settings, defaults) {
+  const id = `setting-${field.group}-${field.key}`;
+  const value = settings[field.group][field.key] / field.scale;
+  const defaultValue = defaults[field.group][field.key] / field.scale;
+
+  return `
+    <label class="settings-field" for="${id}">
+      <span class="settings-field-label">${field.label}</span>
+      <span class="settings-field-input">
+        <input type="number" id="${id}" data-group="${field.group}" data-key="${field.key}"
+          value="${value}" min="${field.min}" max="${field.max}" step="${field.step}">
+        <span class="settings-field-unit">${field.unit}</span>
+      </span>
+      <span class="settings-field-default">Padrão: ${defaultValue}${field.unit ? ` ${field.unit}` : ''}</span>
+    </label>
+  `;
+}
+
+/**
+ * Read the form into a settings object (out-of-range values are clamped)
+ * @returns {Object} Settings
+ */
+function readForm() {
+  const settings = getSettings();
+
+  FIELDS.forEach(field => {
+    const input = document.getElementById(`setting-${field.group}-${field.key}`);
+    const value = parseFloat(input?.value);
+    if (!Number.isFinite(value)) return;
+
+    const clamped = Math.min(field.max, Math.max(field.min, value));
+    settings[field.group][field.key] = Math.round(clamped * field.scale);
+  });
+
+  settings.alerts = readAlerts(settings.alerts);
+  settings.syncToAccount = Boolean(syncCheckbox?.checked);
+  return settings;
+}
+
+/**
+ * Create the HTML of the alerts section (desktop, sound, do-not-disturb and rules)
+ * @param {Object} alerts - Current alert rules
+ * @returns {string} HTML
+ */
+function createAlertsSection(alerts) {
+  const scopes = [
+    { id: DEFAULT_RULE_KEY, name: 'Todos os projetos (padrão)' },
+    ...projects.map(project => ({ id: project.id, name: project.name }))
+  ];
+
+  return `
+    <fieldset class="settings-section settings-alerts">
+      <legend>Alertas</legend>
+      <label class="settings-toggle">
+        <input type="checkbox" id="alerts-desktop" ${alerts.desktop ? 'checked' : ''}>
+        <span>Notificações na área de trabalho <small>(${PERMISSION_LABELS[getDesktopPermission()]})</small></span>
+      </label>
+      <label class="settings-toggle">
+        <input type="checkbox" id="alerts-sound" ${alerts.sound ? 'checked' : ''}>
+        <span>Sinais sonoros</span>
+      </label>
+      <div class="settings-toggle">
+        <input type="checkbox" id="alerts-dnd" ${alerts.doNotDisturb.enabled ? 'checked' : ''}>
+        <label for="alerts-dnd">Não perturbe das</label>
+        <input type="time" id="alerts-dnd-start" value="${alerts.doNotDisturb.start}">
+        <span>às</span>
+        <input type="time" id="alerts-dnd-end" value="${alerts.doNotDisturb.end}">
+      </div>
+      <p class="settings-alerts-hint">
+        Os avisos na tela seguem as regras abaixo; notificações e sons também respeitam o "não perturbe".
+        Em "Agentes", informe IDs separados por vírgula (vazio = todos).
+      </p>
+      <div class="settings-rules-wrapper">
+        <table class="settings-rules">
+          <thead>
+            <tr>
+              <th>Projeto</th>
+              <th>Regra própria</th>
+              ${ALERT_EVENTS.map(event => `<th>${ALERT_EVENT_LABELS[event]}</th>`).join('')}
+              <th>Agentes</th>
+              <th>Só com a aba oculta</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${scopes.map(scope => createRuleRow(scope, alerts.rules)).join('')}
+          </tbody>
+        </table>
+      </div>
+      <button type="button" class="settings-reset" id="alerts-test">Testar alerta</button>
+    </fieldset>
+  `;
+}
+
+/**
+ * Create the HTML of an alert rule row
+ * @param {Object} scope - { id, name } (project or the default rule)
+ * @param {Object} rules - Rules by project ID
+ * @returns {string} HTML
+ */
+function createRuleRow(scope, rules) {
+  const isDefault = scope.id === DEFAULT_RULE_KEY;
+  const isCustom = isDefault || Boolean(rules[scope.id]);
+  const rule = rules[scope.id] || rules[DEFAULT_RULE_KEY];
+  const disabled = isCustom ? '' : 'disabled';
+
+  return `
+    <tr data-rule="${escapeHtml(scope.id)}">
+      <td>${escapeHtml(scope.name)}</td>
+      <td>
+        <input type="checkbox" class="settings-rule-custom" ${isCustom ? 'checked' : ''} ${isDefault ? 'disabled' : ''}
+          aria-label="Regra própria para ${escapeHtml(scope.name)}">
+      </td>
+      ${ALERT_EVENTS.map(event => `
+        <td>
+          <input type="checkbox" data-field="event" value="${event}" ${rule.events.includes(event) ? 'checked' : ''} ${disabled}
+            aria-label="${ALERT_EVENT_LABELS[event]}">
+        </td>
+      `).join('')}
+      <td>
+        <input type="text" data-field="agents" value="${escapeHtml(rule.agents.join(', '))}" placeholder="todos" ${disabled}>
+      </td>
+      <td>
+        <input type="checkbox" data-field="onlyWhenHidden" ${rule.onlyWhenHidden ? 'checked' : ''} ${disabled}
+          aria-label="Só com a aba oculta">
+      </td>
+    </tr>
+  `;
+}
+
+/**
+ * Read the alerts section
+ * @param {Object} alerts - Current alert rules
+ * @returns {Object} Alert rules
+ */
+function readAlerts(alerts) {
+  const rules = {};
+
+  fieldsContainer.querySelectorAll('.settings-rules tr[data-rule]').forEach(row => {
+    const custom = row.querySelector('.settings-rule-custom');
+    if (!custom?.checked) return;
+
+    rules[row.dataset.rule] = {
+      events: [...row.querySelectorAll('[data-field="event"]:checked')].map(input => input.value),
+      agents: row.querySelector('[data-field="agents"]').value
+        .split(',')
+        .map(id => id.trim())
+        .filter(Boolean),
+      onlyWhenHidden: row.querySelector('[data-field="onlyWhenHidden"]').checked
+    };
+  });
+
+  return {
+    desktop: document.getElementById('alerts-desktop')?.checked ?? alerts.desktop,
+    sound: document.getElementById('alerts-sound')?.checked ?? alerts.sound,
+    doNotDisturb: {
+      enabled: document.getElementById('alerts-dnd')?.checked ?? alerts.doNotDisturb.enabled,
+      start: document.getElementById('alerts-dnd-start')?.value || alerts.doNotDisturb.start,
+      end: document.getElementById('alerts-dnd-end')?.value || alerts.doNotDisturb.end
+    },
+    rules
+  };
+}
+
+/**
+ * Run a save action and report the result
+ * @param {Function} action - Async save action
+ * @param {string} successMessage - Message shown on success
+ * @param {boolean} [isWarning] - Show the success message as a warning
+ */
+async function persist(action, successMessage, isWarning = false) {
+  try {
+    await action();
+    openSettings();
+    setStatus(successMessage, isWarning);
+  } catch (error) {
+    // Browser settings are already applied; only the account copy failed
+    console.error('❌ Error saving settings to account:', error);
+    setStatus('Salvo neste navegador, mas não na sua conta', true);
+  }
+}
+
+/**
+ * Show a status message next to the form buttons
+ * @param {string} message - Message
+ * @param {boolean} isError - Whether it is an error
+ */
+function setStatus(message, isError = false) {
+  if (!statusLabel) return;
+  statusLabel.textContent = message;
+  statusLabel.classList.toggle('error', isError);
+}
+
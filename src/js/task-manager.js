@@ -3,10 +3,17 @@
  * Gerencia a barra de tarefa principal e o histórico de atividades dos agentes
  */
 
+import { formatDuration } from './event-stats.js';
+import { EVENT_STATUS, LIFECYCLE_STATE_LABELS } from './agent-states.js';
+import { escapeHtml } from './html.js';
+
 // Estado do módulo
 let mainTask = null;
 let taskProgress = 0;
-let agentHistories = new Map(); // Map<agentId, Array<HistoryItem>>
+const sessions = new Map(); // Map<sessionId, Session> (uma sessão = um prompt do time)
+let currentSessionId = null;
+const expandedSessions = new Set(); // Sessões abertas/fechadas manualmente pelo usuário
+const collapsedSessions = new Set();
 let isInitialized = false;
 
 // DOM References
@@ -14,6 +21,9 @@ let taskBar = null;
 let mainTaskText = null;
 let progressLabel = null;
 let progressBarFill = null;
+let progressSteps = null;
+let taskChecklist = null;
+let taskChecklistItems = null;
 let historySidebar = null;
 let historyContent = null;
 let historyEmpty = null;
@@ -29,7 +39,36 @@ let taskDetailAction = null;
 let taskDetailText = null;
 
 // Configuração
-const MAX_HISTORY_ITEMS_PER_AGENT = 10;
+const MAX_HISTORY_ITEMS_PER_SESSION = 30;
+const MAX_SESSIONS = 20;
+
+// Eventos sem sessionId (produtores legados) ficam agrupados aqui
+const NO_SESSION_ID = 'sem-sessao';
+
+// Rótulos do status de cada agente participante ("Aguardando" já é o rótulo de idle aqui)
+const STATUS_LABELS = {
+  working: 'Trabalhando',
+  idle: 'Aguardando',
+  ...LIFECYCLE_STATE_LABELS,
+  waiting: 'Aguardando aprovação'
+};
+
+// Resultado da sessão
+const OUTCOME_LABELS = {
+  running: 'Em andamento',
+  done: 'Concluída',
+  error: 'Com erro',
+  blocked: 'Bloqueada',
+  offline: 'Interrompida'
+};
+
+// Ação registrada no histórico para cada evento de ciclo de vida
+const LIFECYCLE_ACTIONS = {
+  error: 'Erro',
+  waiting: 'Aguardando aprovação',
+  blocked: 'Bloqueado',
+  offline: 'Ficou offline'
+};
 
 /**
  * Inicializa o módulo de gerenciamento de tarefas
@@ -40,6 +79,9 @@ export function initTaskManager() {
   mainTaskText = document.getElementById('main-task-text');
   progressLabel = document.getElementById('progress-label');
   progressBarFill = document.getElementById('progress-bar-fill');
+  progressSteps = document.getElementById('progress-steps');
+  taskChecklist = document.getElementById('task-checklist');
+  taskChecklistItems = document.getElementById('task-checklist-items');
   historySidebar = document.getElementById('history-sidebar');
   historyContent = document.getElementById('history-content');
   historyEmpty = document.getElementById('history-empty');
@@ -152,212 +194,353 @@ function extractTaskSummary(task) {
 }
 
 /**
- * Adiciona um item ao histórico de um agente
+ * Adiciona um item ao histórico da sessão
  * @param {Object} params - Parâmetros do histórico
+ * @param {string} params.sessionId - ID da sessão (padrão: sem sessão)
  * @param {string} params.agentId - ID do agente
  * @param {string} params.agentName - Nome do agente
  * @param {string} params.agentColor - Cor do agente
  * @param {string} params.action - Ação realizada (read, write, execute, call, etc)
  * @param {string} params.detail - Detalhe da ação (nome do arquivo, comando, etc)
  * @param {string} params.fullPrompt - Prompt/descrição completa da tarefa
- * @param {string} params.status - Status do agente (working, idle)
- */
-export function addHistoryItem({ agentId, agentName, agentColor, action, detail, fullPrompt, status = 'working' }) {
-  if (!agentHistories.has(agentId)) {
-    agentHistories.set(agentId, {
-      name: agentName,
-      color: agentColor || '#FF6B35',
-      status: status,
-      items: []
-    });
+ * @param {string} params.prompt - Prompt principal do time (define o título da sessão)
+ * @param {string} params.status - Status do agente (working, idle, error, waiting, blocked, offline)
+ * @param {Object} params.reported - Progresso informado pelo produtor (ver normalizeReportedProgress)
+ * @param {Date} params.timestamp - Momento do evento (padrão: agora)
+ */
+export function addHistoryItem({ sessionId, agentId, agentName, agentColor, action, detail, fullPrompt, prompt, status = 'working', reported = null, timestamp = new Date() }) {
+  const session = getOrCreateSession(sessionId || NO_SESSION_ID, timestamp);
+
+  // Título da sessão: primeiro prompt recebido
+  if (prompt && !session.prompt) {
+    session.prompt = prompt;
   }
 
-  const agentData = agentHistories.get(agentId);
-  agentData.status = status;
-  agentData.name = agentName || agentData.name;
-  agentData.color = agentColor || agentData.color;
+  // Último progresso informado na sessão substitui a estimativa
+  if (reported) {
+    session.reported = reported;
+  }
+
+  const agent = session.agents.get(agentId) || { name: agentName, color: agentColor || '#FF6B35' };
+  agent.status = status;
+  agent.name = agentName || agent.name;
+  agent.color = agentColor || agent.color;
+  session.agents.set(agentId, agent);
+
+  const time = new Date(timestamp);
+  if (time < session.startedAt) session.startedAt = time;
+  if (time > session.lastAt) session.lastAt = time;
 
   // Adiciona o novo item no início
-  agentData.items.unshift({
+  session.items.unshift({
     id: Date.now() + Math.random(), // ID único para o item
+    agentId,
     action,
     detail,
     fullPrompt: fullPrompt || detail, // Guarda prompt completo
-    timestamp: new Date()
+    timestamp: time
   });
 
   // Limita o número de itens
-  if (agentData.items.length > MAX_HISTORY_ITEMS_PER_AGENT) {
-    agentData.items = agentData.items.slice(0, MAX_HISTORY_ITEMS_PER_AGENT);
+  if (session.items.length > MAX_HISTORY_ITEMS_PER_SESSION) {
+    session.items = session.items.slice(0, MAX_HISTORY_ITEMS_PER_SESSION);
   }
 
+  pruneSessions();
+  updateCurrentSession();
+
   // Re-renderiza o histórico
   renderHistory();
 }
 
 /**
- * Atualiza o status de um agente no histórico
+ * Obtém uma sessão, criando se necessário
+ * @param {string} sessionId - ID da sessão
+ * @param {Date} timestamp - Momento do primeiro evento
+ * @returns {Object} - Sessão
+ */
+function getOrCreateSession(sessionId, timestamp) {
+  if (!sessions.has(sessionId)) {
+    const time = new Date(timestamp);
+    sessions.set(sessionId, {
+      id: sessionId,
+      prompt: '',
+      reported: null,    // Progresso informado pelos produtores
+      agents: new Map(), // Map<agentId, { name, color, status }>
+      items: [],
+      startedAt: time,
+      lastAt: time
+    });
+  }
+  return sessions.get(sessionId);
+}
+
+/**
+ * Remove as sessões mais antigas além do limite
+ */
+function pruneSessions() {
+  if (sessions.size <= MAX_SESSIONS) return;
+
+  const oldest = [...sessions.values()]
+    .sort((a, b) => a.lastAt - b.lastAt)
+    .slice(0, sessions.size - MAX_SESSIONS);
+
+  oldest.forEach(session => sessions.delete(session.id));
+}
+
+/**
+ * Calcula o resultado da sessão a partir do status dos agentes participantes
+ * @param {Object} session - Sessão
+ * @returns {string} - running | done | error | blocked | offline
+ */
+function getSessionOutcome(session) {
+  const statuses = [...session.agents.values()].map(agent => agent.status);
+
+  if (statuses.some(status => status === 'working' || status === 'waiting')) return 'running';
+  if (statuses.includes('error')) return 'error';
+  if (statuses.includes('blocked')) return 'blocked';
+  if (statuses.includes('offline')) return 'offline';
+  return 'done';
+}
+
+/**
+ * Define a sessão atual: a mais recente em andamento, ou a última com atividade
+ * A barra de tarefa principal acompanha o prompt desta sessão
+ */
+function updateCurrentSession() {
+  const all = [...sessions.values()];
+  const running = all
+    .filter(session => getSessionOutcome(session) === 'running')
+    .sort((a, b) => b.startedAt - a.startedAt);
+  const current = running[0] || all.sort((a, b) => b.lastAt - a.lastAt)[0] || null;
+
+  currentSessionId = current ? current.id : null;
+
+  if (current) {
+    setMainTask(current.prompt || getFirstTask(current) || mainTask, calculateSessionProgress(current));
+  }
+  renderProgressDetails(current ? current.reported : null);
+}
+
+/**
+ * Obtém a primeira tarefa da sessão (fallback quando não há prompt)
+ * @param {Object} session - Sessão
+ * @returns {string}
+ */
+function getFirstTask(session) {
+  const firstStart = [...session.items].reverse().find(item => item.action && item.fullPrompt);
+  return firstStart ? firstStart.fullPrompt : '';
+}
+
+/**
+ * Atualiza o status de um agente nas sessões em que participa
  * @param {string} agentId - ID do agente
- * @param {string} status - Novo status (working, idle)
+ * @param {string} status - Novo status (working, idle, error, waiting, blocked, offline)
  */
 export function updateAgentStatus(agentId, status) {
-  if (agentHistories.has(agentId)) {
-    agentHistories.get(agentId).status = status;
+  let changed = false;
+  sessions.forEach(session => {
+    if (session.agents.has(agentId)) {
+      session.agents.get(agentId).status = status;
+      changed = true;
+    }
+  });
+
+  if (changed) {
+    updateCurrentSession();
     renderHistory();
   }
 }
 
 /**
- * Limpa o histórico de todos os agentes
+ * Limpa o histórico de todas as sessões
  */
 export function clearHistory() {
-  agentHistories.clear();
+  sessions.clear();
+  currentSessionId = null;
+  renderProgressDetails(null);
+  expandedSessions.clear();
+  collapsedSessions.clear();
   renderHistory();
 }
 
 /**
- * Limpa o histórico de um agente específico
- * @param {string} agentId - ID do agente
+ * Limpa o histórico de uma sessão específica
+ * @param {string} sessionId - ID da sessão
  */
-export function clearAgentHistory(agentId) {
-  agentHistories.delete(agentId);
+export function clearSessionHistory(sessionId) {
+  sessions.delete(sessionId);
+  updateCurrentSession();
   renderHistory();
 }
 
 /**
- * Renderiza o histórico completo
+ * Renderiza o histórico completo (um bloco por sessão, mais recente primeiro)
  */
 function renderHistory() {
   if (!historyContent) return;
 
   // Se não há histórico, mostra estado vazio
-  if (agentHistories.size === 0) {
+  if (sessions.size === 0) {
     if (historyEmpty) historyEmpty.classList.remove('hidden');
-    // Remove grupos existentes
-    const groups = historyContent.querySelectorAll('.history-agent-group');
-    groups.forEach(g => g.remove());
+    // Remove blocos existentes
+    historyContent.querySelectorAll('.history-session-group').forEach(g => g.remove());
     return;
   }
 
   // Esconde estado vazio
   if (historyEmpty) historyEmpty.classList.add('hidden');
 
-  // Ordena agentes: working primeiro, depois por última atividade
-  const sortedAgents = [...agentHistories.entries()].sort((a, b) => {
-    // Working primeiro
-    if (a[1].status === 'working' && b[1].status !== 'working') return -1;
-    if (b[1].status === 'working' && a[1].status !== 'working') return 1;
+  // Ordena sessões: atual primeiro, depois por última atividade
+  const sortedSessions = [...sessions.values()].sort((a, b) => {
+    if (a.id === currentSessionId) return -1;
+    if (b.id === currentSessionId) return 1;
+    return b.lastAt - a.lastAt;
+  });
 
-    // Depois por última atividade
-    const aTime = a[1].items[0]?.timestamp || 0;
-    const bTime = b[1].items[0]?.timestamp || 0;
-    return bTime - aTime;
+  // Remove blocos de sessões que não existem mais
+  historyContent.querySelectorAll('.history-session-group').forEach(group => {
+    if (!sessions.has(group.dataset.sessionId)) {
+      group.remove();
+    }
   });
 
-  // Atualiza ou cria grupos de agentes
-  sortedAgents.forEach(([agentId, agentData]) => {
-    let group = historyContent.querySelector(`[data-agent-id="${agentId}"]`);
+  // Atualiza ou cria blocos, já na ordem
+  sortedSessions.forEach(session => {
+    let group = historyContent.querySelector(`.history-session-group[data-session-id="${CSS.escape(session.id)}"]`);
 
     if (!group) {
-      group = createAgentGroup(agentId, agentData);
-      historyContent.appendChild(group);
-    } else {
-      updateAgentGroup(group, agentData);
+      group = document.createElement('div');
+      group.className = 'history-session-group';
+      group.dataset.sessionId = session.id;
     }
-  });
 
-  // Remove grupos de agentes que não existem mais
-  const existingGroups = historyContent.querySelectorAll('.history-agent-group');
-  existingGroups.forEach(group => {
-    const agentId = group.dataset.agentId;
-    if (!agentHistories.has(agentId)) {
-      group.remove();
-    }
+    renderSessionGroup(group, session);
+    historyContent.appendChild(group);
   });
+}
 
-  // Reordena os grupos
-  sortedAgents.forEach(([agentId]) => {
-    const group = historyContent.querySelector(`[data-agent-id="${agentId}"]`);
-    if (group) {
-      historyContent.appendChild(group);
-    }
-  });
+/**
+ * Verifica se o bloco da sessão está recolhido
+ * Sessão atual abre por padrão, as demais ficam recolhidas
+ * @param {string} sessionId - ID da sessão
+ * @returns {boolean}
+ */
+function isSessionCollapsed(sessionId) {
+  if (expandedSessions.has(sessionId)) return false;
+  if (collapsedSessions.has(sessionId)) return true;
+  return sessionId !== currentSessionId;
 }
 
 /**
- * Cria um grupo de histórico para um agente
- * @param {string} agentId - ID do agente
- * @param {Object} agentData - Dados do agente
- * @returns {HTMLElement} - Elemento do grupo
+ * Abre/fecha o bloco de uma sessão
+ * @param {string} sessionId - ID da sessão
  */
-function createAgentGroup(agentId, agentData) {
-  const group = document.createElement('div');
-  group.className = 'history-agent-group';
-  group.dataset.agentId = agentId;
+function toggleSession(sessionId) {
+  const collapse = !isSessionCollapsed(sessionId);
+  expandedSessions.delete(sessionId);
+  collapsedSessions.delete(sessionId);
+  (collapse ? collapsedSessions : expandedSessions).add(sessionId);
+  renderHistory();
+}
 
-  // Iniciais do agente
-  const initials = (agentData.name || 'AG')
-    .split(/[-\s]/)
-    .map(w => w.charAt(0))
-    .join('')
-    .substring(0, 2)
-    .toUpperCase();
+/**
+ * Renderiza o bloco de uma sessão
+ * Cabeçalho: prompt, agentes participantes, duração e resultado
+ * @param {HTMLElement} group - Elemento do bloco
+ * @param {Object} session - Sessão
+ */
+function renderSessionGroup(group, session) {
+  const outcome = getSessionOutcome(session);
+  const collapsed = isSessionCollapsed(session.id);
+  const title = session.id === NO_SESSION_ID
+    ? 'Atividade sem sessão'
+    : extractTaskSummary(session.prompt || getFirstTask(session));
+
+  group.classList.toggle('collapsed', collapsed);
+  group.classList.toggle('current', session.id === currentSessionId);
+
+  const agentsHtml = [...session.agents.entries()].map(([agentId, agent]) => `
+    <div class="history-session-agent ${agent.status || ''}"
+         style="background: ${escapeHtml(agent.color)}"
+         title="${escapeHtml(formatAgentName(agent.name || agentId))} · ${getStatusLabel(agent.status)}">
+      ${escapeHtml(getInitials(agent.name || agentId))}
+    </div>
+  `).join('');
 
   group.innerHTML = `
-    <div class="history-agent-header">
-      <div class="history-agent-avatar" style="background: ${agentData.color}">${initials}</div>
-      <div class="history-agent-info">
-        <div class="history-agent-name">${formatAgentName(agentData.name)}</div>
-        <div class="history-agent-status ${agentData.status === 'working' ? 'working' : ''}">
-          <span class="status-dot"></span>
-          <span>${agentData.status === 'working' ? 'Trabalhando' : 'Aguardando'}</span>
+    <div class="history-session-header" role="button" tabindex="0" aria-expanded="${!collapsed}">
+      <div class="history-session-info">
+        <div class="history-session-title" title="${escapeHtml(session.prompt || '')}">${escapeHtml(title)}</div>
+        <div class="history-session-meta">
+          <span class="history-session-outcome ${outcome}">
+            <span class="status-dot"></span>
+            <span>${OUTCOME_LABELS[outcome]}</span>
+          </span>
+          <span>${formatDuration(session.lastAt - session.startedAt)}</span>
+          <span>${formatTime(session.startedAt)}</span>
         </div>
+        <div class="history-session-agents">${agentsHtml}</div>
       </div>
+      <svg class="history-session-chevron" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <polyline points="6 9 12 15 18 9"/>
+      </svg>
     </div>
     <div class="history-items"></div>
   `;
 
-  // Renderiza os itens
-  const itemsContainer = group.querySelector('.history-items');
-  renderHistoryItems(itemsContainer, agentData.items, agentData);
+  const header = group.querySelector('.history-session-header');
+  header.addEventListener('click', () => toggleSession(session.id));
+  header.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ' ') {
+      e.preventDefault();
+      toggleSession(session.id);
+    }
+  });
 
-  return group;
+  if (!collapsed) {
+    renderHistoryItems(group.querySelector('.history-items'), session.items, session);
+  }
 }
 
 /**
- * Atualiza um grupo de agente existente
- * @param {HTMLElement} group - Elemento do grupo
- * @param {Object} agentData - Dados atualizados do agente
+ * Obtém as iniciais de um nome de agente
+ * @param {string} name - Nome do agente
+ * @returns {string}
  */
-function updateAgentGroup(group, agentData) {
-  // Atualiza status
-  const statusEl = group.querySelector('.history-agent-status');
-  if (statusEl) {
-    statusEl.className = `history-agent-status ${agentData.status === 'working' ? 'working' : ''}`;
-    statusEl.querySelector('span:last-child').textContent =
-      agentData.status === 'working' ? 'Trabalhando' : 'Aguardando';
-  }
+function getInitials(name) {
+  return (name || 'AG')
+    .split(/[-\s]/)
+    .map(w => w.charAt(0))
+    .join('')
+    .substring(0, 2)
+    .toUpperCase();
+}
 
-  // Atualiza itens
-  const itemsContainer = group.querySelector('.history-items');
-  if (itemsContainer) {
-    renderHistoryItems(itemsContainer, agentData.items, agentData);
-  }
+/**
+ * Obtém o rótulo de um status de agente
+ * @param {string} status - Status do agente
+ * @returns {string} - Rótulo em português
+ */
+function getStatusLabel(status) {
+  return STATUS_LABELS[status] || STATUS_LABELS.idle;
 }
 
 /**
  * Renderiza os itens de histórico
  * @param {HTMLElement} container - Container dos itens
  * @param {Array} items - Array de itens
- * @param {Object} agentData - Dados do agente (nome, cor)
+ * @param {Object} session - Sessão (agentes participantes)
  */
-function renderHistoryItems(container, items, agentData) {
-  container.innerHTML = items.map(item => `
+function renderHistoryItems(container, items, session) {
+  container.innerHTML = items.map(item => {
+    const agent = session.agents.get(item.agentId) || {};
+    return `
     <div class="history-item ${item.fullPrompt ? 'clickable' : ''}"
          data-item-id="${item.id}"
-         data-agent-name="${agentData?.name || 'Agente'}"
-         data-agent-color="${agentData?.color || '#FF6B35'}"
-         data-action="${item.action || ''}"
+         data-agent-name="${escapeHtml(agent.name || 'Agente')}"
+         data-agent-color="${escapeHtml(agent.color || '#FF6B35')}"
+         data-action="${escapeHtml(item.action || '')}"
          data-detail="${escapeHtml(item.detail || '')}"
          data-full-prompt="${escapeHtml(item.fullPrompt || item.detail || '')}"
          data-timestamp="${item.timestamp ? new Date(item.timestamp).toISOString() : ''}">
@@ -365,12 +548,14 @@ function renderHistoryItems(container, items, agentData) {
         ${getActionIcon(item.action)}
       </div>
       <div class="history-item-content">
-        <div class="history-item-action">${formatAction(item.action)}</div>
-        <div class="history-item-detail">${item.detail || ''}</div>
+        <div class="history-item-agent" style="color: ${escapeHtml(agent.color || '#FF6B35')}">${escapeHtml(formatAgentName(agent.name))}</div>
+        <div class="history-item-action">${escapeHtml(formatAction(item.action))}</div>
+        <div class="history-item-detail">${escapeHtml(item.detail || '')}</div>
       </div>
       <div class="history-item-time">${formatTime(item.timestamp)}</div>
     </div>
-  `).join('');
+  `;
+  }).join('');
 
   // Add click handlers for items with full prompt
   container.querySelectorAll('.history-item.clickable').forEach(el => {
@@ -386,19 +571,6 @@ function renderHistoryItems(container, items, agentData) {
   });
 }
 
-/**
- * Escapa HTML para evitar XSS
- */
-function escapeHtml(str) {
-  if (!str) return '';
-  return str
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#039;');
-}
-
 /**
  * Abre o modal de detalhe da tarefa
  */
@@ -492,6 +664,14 @@ function formatPromptForDisplay(prompt) {
 function getActionType(action) {
   const actionLower = (action || '').toLowerCase();
 
+  // Eventos de ciclo de vida
+  const lifecycleType = Object.keys(LIFECYCLE_ACTIONS).find(
+    type => LIFECYCLE_ACTIONS[type].toLowerCase() === actionLower
+  );
+  if (lifecycleType) {
+    return lifecycleType;
+  }
+
   if (actionLower.includes('read') || actionLower.includes('lendo') || actionLower.includes('analis')) {
     return 'read';
   }
@@ -529,6 +709,23 @@ function getActionIcon(action) {
       <polyline points="4 17 10 11 4 5"/>
       <line x1="12" y1="19" x2="20" y2="19"/>
     </svg>`,
+    error: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="12" cy="12" r="10"/>
+      <line x1="15" y1="9" x2="9" y2="15"/>
+      <line x1="9" y1="9" x2="15" y2="15"/>
+    </svg>`,
+    waiting: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="12" cy="12" r="10"/>
+      <polyline points="12 6 12 12 16 14"/>
+    </svg>`,
+    blocked: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <circle cx="12" cy="12" r="10"/>
+      <line x1="4.93" y1="4.93" x2="19.07" y2="19.07"/>
+    </svg>`,
+    offline: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+      <line x1="1" y1="1" x2="23" y2="23"/>
+      <path d="M16.72 11.06A10.94 10.94 0 0119 12.55M5 12.55a10.94 10.94 0 015.17-2.39M10.71 5.05A16 16 0 0122.58 9M1.42 9a15.91 15.91 0 014.7-2.88M8.53 16.11a6 6 0 016.95 0M12 20h.01"/>
+    </svg>`,
     call: `<svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
       <path d="M22 16.92v3a2 2 0 01-2.18 2 19.79 19.79 0 01-8.63-3.07 19.5 19.5 0 01-6-6 19.79 19.79 0 01-3.07-8.67A2 2 0 014.11 2h3a2 2 0 012 1.72 12.84 12.84 0 00.7 2.81 2 2 0 01-.45 2.11L8.09 9.91a16 16 0 006 6l1.27-1.27a2 2 0 012.11-.45 12.84 12.84 0 002.81.7A2 2 0 0122 16.92z"/>
     </svg>`
@@ -593,18 +790,24 @@ function formatTime(timestamp) {
 /**
  * Processa um evento de agente e adiciona ao histórico
  * @param {Object} params - Dados do evento
+ * @param {string} params.sessionId - ID da sessão (agrupa os eventos de um mesmo prompt)
  * @param {string} params.agentId - ID do agente
  * @param {string} params.agentName - Nome do agente
  * @param {string} params.agentColor - Cor do agente
- * @param {string} params.event - Tipo de evento (start, end, tool_use, etc)
+ * @param {string} params.event - Tipo de evento (start, end, tool_use, error, waiting, blocked, offline, etc)
  * @param {string} params.task - Descrição da tarefa (legacy)
  * @param {string} params.prompt - Prompt/tarefa principal (barra roxa)
  * @param {string} params.action - Ação atual sendo feita
  * @param {string} params.actionDetail - Detalhe da ação
  * @param {Object} params.toolData - Dados da ferramenta usada (opcional)
+ * @param {number} params.progress - Progresso informado (0-100, opcional)
+ * @param {number} params.stepsTotal - Total de etapas (opcional)
+ * @param {number} params.stepsDone - Etapas concluídas (opcional)
+ * @param {Array} params.checklist - Subtarefas [{ label, done }] (opcional)
+ * @param {Date} params.timestamp - Momento do evento (eventos do log persistido)
  */
-export function processAgentEvent({ agentId, agentName, agentColor, event, task, prompt, action: agentAction, actionDetail, toolData }) {
-  const status = event === 'start' ? 'working' : (event === 'end' ? 'idle' : 'working');
+export function processAgentEvent({ sessionId, agentId, agentName, agentColor, event, task, prompt, action: agentAction, actionDetail, toolData, progress, stepsTotal, stepsDone, checklist, timestamp }) {
+  const status = EVENT_STATUS[event] || 'working';
 
   let action = '';
   let detail = '';
@@ -617,14 +820,8 @@ export function processAgentEvent({ agentId, agentName, agentColor, event, task,
       detail = actionDetail || extractTaskSummary(task);
 
       // Guarda o prompt/task completo para o modal de detalhe
+      // A barra roxa acompanha o prompt da sessão atual (ver updateCurrentSession)
       fullPrompt = prompt || task || actionDetail || '';
-
-      // Atualiza a barra roxa com o campo 'prompt' (tarefa principal do time)
-      // Fallback: usa 'task' ou 'actionDetail' se 'prompt' não existir
-      const mainTaskContent = prompt || task || actionDetail;
-      if (mainTaskContent) {
-        setMainTask(mainTaskContent, 10);
-      }
       break;
 
     case 'end':
@@ -633,6 +830,16 @@ export function processAgentEvent({ agentId, agentName, agentColor, event, task,
       fullPrompt = '';
       break;
 
+    case 'error':
+    case 'waiting':
+    case 'blocked':
+    case 'offline':
+      // task/actionDetail trazem o motivo (mensagem de erro, aprovação pendente...)
+      action = LIFECYCLE_ACTIONS[event];
+      detail = actionDetail || (task ? extractTaskSummary(task) : '');
+      fullPrompt = task || actionDetail || '';
+      break;
+
     case 'tool_use':
       if (toolData) {
         action = formatToolAction(toolData.tool);
@@ -652,25 +859,113 @@ export function processAgentEvent({ agentId, agentName, agentColor, event, task,
   }
 
   addHistoryItem({
+    sessionId,
     agentId,
     agentName,
     agentColor,
     action,
     detail,
     fullPrompt,
-    status
+    prompt,
+    status,
+    reported: normalizeReportedProgress({ progress, stepsTotal, stepsDone, checklist }),
+    timestamp: timestamp || new Date()
   });
+}
+
+/**
+ * Normaliza o progresso informado pelo produtor
+ * Checklist tem prioridade sobre etapas, que têm prioridade sobre a porcentagem
+ * @param {Object} params - Campos do evento
+ * @param {number} params.progress - Progresso (0-100)
+ * @param {number} params.stepsTotal - Total de etapas
+ * @param {number} params.stepsDone - Etapas concluídas
+ * @param {Array} params.checklist - Subtarefas [{ label, done }]
+ * @returns {Object|null} - { percent, stepsTotal, stepsDone, checklist } ou null se nada foi informado
+ */
+function normalizeReportedProgress({ progress, stepsTotal, stepsDone, checklist }) {
+  if (Array.isArray(checklist) && checklist.length > 0) {
+    const items = checklist
+      .filter(item => item && typeof item.label === 'string')
+      .map(item => ({ label: item.label, done: item.done === true }));
+    const done = items.filter(item => item.done).length;
+
+    if (items.length > 0) {
+      return {
+        percent: Math.round((done / items.length) * 100),
+        stepsTotal: items.length,
+        stepsDone: done,
+        checklist: items
+      };
+    }
+  }
+
+  if (typeof stepsTotal === 'number' && stepsTotal > 0) {
+    const doneSteps = Math.max(0, Math.min(stepsTotal, stepsDone || 0));
+    return {
+      percent: Math.round((doneSteps / stepsTotal) * 100),
+      stepsTotal,
+      stepsDone: doneSteps,
+      checklist: null
+    };
+  }
+
+  if (typeof progress === 'number' && !Number.isNaN(progress)) {
+    return {
+      percent: Math.max(0, Math.min(100, progress)),
+      stepsTotal: null,
+      stepsDone: null,
+      checklist: null
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Renderiza as etapas e a checklist da barra de tarefa (checklist aparece no hover)
+ * @param {Object|null} reported - Progresso informado da sessão atual
+ */
+function renderProgressDetails(reported) {
+  if (progressSteps) {
+    progressSteps.textContent = reported && reported.stepsTotal
+      ? `${reported.stepsDone}/${reported.stepsTotal} etapas`
+      : '';
+  }
 
-  // Atualiza progresso baseado na atividade dos agentes
-  updateProgressFromAgentActivity();
+  if (!taskChecklist || !taskChecklistItems) return;
+
+  const checklist = reported ? reported.checklist : null;
+  taskChecklist.classList.toggle('has-items', Boolean(checklist));
+  taskChecklistItems.innerHTML = checklist
+    ? checklist.map(item => `
+      <li class="task-checklist-item ${item.done ? 'done' : ''}">
+        <span class="task-checklist-check">${item.done ? '✓' : ''}</span>
+        <span>${escapeHtml(item.label)}</span>
+      </li>
+    `).join('')
+    : '';
 }
 
 /**
- * Atualiza o progresso baseado na atividade dos agentes
- * Calcula progresso baseado em quantos agentes completaram tarefas
+ * Calcula o progresso de uma sessão
+ * Usa o progresso informado pelos produtores; sem ele, estima pela atividade
+ * @param {Object} session - Sessão
+ * @returns {number} - Progresso (0-100)
  */
-function updateProgressFromAgentActivity() {
-  if (agentHistories.size === 0) return;
+function calculateSessionProgress(session) {
+  if (session.reported) return session.reported.percent;
+  return estimateSessionProgress(session);
+}
+
+/**
+ * Estima o progresso de uma sessão baseado na atividade dos agentes
+ * Proporção de tarefas concluídas, ou de agentes inativos quando não há tarefas
+ * @param {Object} session - Sessão
+ * @returns {number} - Progresso (0-100)
+ */
+function estimateSessionProgress(session) {
+  if (session.agents.size === 0) return 0;
 
   // Conta agentes trabalhando e inativos
   let workingCount = 0;
@@ -678,28 +973,25 @@ function updateProgressFromAgentActivity() {
   let totalTasks = 0;
   let completedTasks = 0;
 
-  agentHistories.forEach((agentData) => {
-    if (agentData.status === 'working') {
+  session.agents.forEach((agent) => {
+    if (agent.status === 'working') {
       workingCount++;
     } else {
       idleCount++;
     }
+  });
 
-    // Conta tarefas iniciadas e concluídas
-    agentData.items.forEach(item => {
-      if (item.action === 'Iniciando tarefa') totalTasks++;
-      if (item.action === 'Tarefa concluída') completedTasks++;
-    });
+  // Conta tarefas iniciadas e concluídas
+  session.items.forEach(item => {
+    if (item.action === 'Iniciando tarefa') totalTasks++;
+    if (item.action === 'Tarefa concluída') completedTasks++;
   });
 
-  // Calcula progresso
-  // Se há tarefas, usa proporção de concluídas
-  // Caso contrário, usa proporção de agentes inativos
   let progress = 0;
   if (totalTasks > 0) {
     progress = Math.round((completedTasks / totalTasks) * 100);
-  } else if (agentHistories.size > 0) {
-    progress = Math.round((idleCount / agentHistories.size) * 100);
+  } else {
+    progress = Math.round((idleCount / session.agents.size) * 100);
   }
 
   // Se todos os agentes estão inativos e houve atividade, considera 100%
@@ -712,15 +1004,15 @@ function updateProgressFromAgentActivity() {
     progress = 90;
   }
 
-  updateProgress(progress);
+  return progress;
 }
 
 /**
- * Formata a ação de uma ferramenta
+ * Formata a ação de uma ferramenta (também usado na tela de logs)
  * @param {string} tool - Nome da ferramenta
  * @returns {string} - Ação formatada
  */
-function formatToolAction(tool) {
+export function formatToolAction(tool) {
   const toolActions = {
     'Read': 'Lendo arquivo',
     'Write': 'Escrevendo arquivo',
@@ -743,7 +1035,29 @@ export function getTaskManagerState() {
   return {
     mainTask,
     taskProgress,
-    agentHistories: Object.fromEntries(agentHistories),
+    currentSessionId,
+    sessions: getSessions(),
     isInitialized
   };
 }
+
+/**
+ * Retorna as sessões (mais recente primeiro) com resultado e duração
+ * @returns {Array}
+ */
+export function getSessions() {
+  return [...sessions.values()]
+    .sort((a, b) => b.lastAt - a.lastAt)
+    .map(session => ({
+      id: session.id,
+      prompt: session.prompt,
+      agents: Object.fromEntries(session.agents),
+      startedAt: session.startedAt,
+      lastAt: session.lastAt,
+      duration: session.lastAt - session.startedAt,
+      outcome: getSessionOutcome(session),
+      progress: calculateSessionProgress(session),
+      reported: session.reported,
+      itemsCount: session.items.length
+    }));
+}
@@ -0,0 +1,279 @@
+/**
+ * Tasks Board
+ * Kanban layout of the Notion tasks: one column per status, optional swimlanes
+ * by priority or stakeholder, and drag-and-drop between columns (saved to Notion).
+ * The list/board choice is a setting (settings-store.js)
+ */
+
+import { createTaskCard } from './renderer.js';
+import { getTaskValueLabel } from './notion-tasks-store.js';
+
+export const TASK_LAYOUTS = ['list', 'board'];
+export const TASK_SWIMLANES = ['none', 'priority', 'stakeholders'];
+
+// Label of the tasks without a value in the grouped field
+const EMPTY_LABELS = {
+  status: 'Sem status',
+  priority: 'Sem prioridade',
+  stakeholders: 'Sem stakeholder'
+};
+
+// State
+let layout = { mode: 'list', swimlanes: 'none' };
+let onLayoutChangeCallback = null;
+let draggedTaskId = null;
+
+// DOM references
+let board = null;
+let layoutButtons = [];
+let swimlanesSelect = null;
+
+/**
+ * Initialize the board (DOM references and the layout controls of the tasks header)
+ */
+export function initTasksBoard() {
+  board = document.getElementById('tasks-board');
+  layoutButtons = [...document.querySelectorAll('.tasks-layout-btn')];
+  swimlanesSelect = document.getElementById('tasks-swimlanes');
+
+  layoutButtons.forEach(button => {
+    button.addEventListener('click', () => changeLayout({ mode: button.dataset.layout }));
+  });
+
+  swimlanesSelect?.addEventListener('change', () => changeLayout({ swimlanes: swimlanesSelect.value }));
+
+  updateLayoutControls();
+  console.log('🗂️ Tasks board initialized');
+}
+
+/**
+ * Get the tasks layout
+ * @returns {Object} { mode: 'list' | 'board', swimlanes: 'none' | 'priority' | 'stakeholders' }
+ */
+export function getTasksLayout() {
+  return { ...layout };
+}
+
+/**
+ * Set the tasks layout (applied by the settings store)
+ * @param {Object} newLayout - { mode, swimlanes }
+ */
+export function setTasksLayout(newLayout) {
+  layout = { ...layout, ...newLayout };
+  updateLayoutControls();
+}
+
+/**
+ * Set callback called when the layout is changed from the tasks header
+ * @param {Function} callback - Function to call with the new layout
+ */
+export function onTasksLayoutChange(callback) {
+  onLayoutChangeCallback = callback;
+}
+
+/**
+ * Render the tasks as a board
+ * @param {Array} tasks - Tasks (in list order)
+ * @param {Object} config - { onTaskClick, editor, onMove(task, changes), isCompletedStatus(status) }
+ *   Without editor (read-only tasks) columns come from the tasks and cards cannot be dragged
+ */
+export function renderTasksBoard(tasks, { onTaskClick, editor, onMove, isCompletedStatus }) {
+  if (!board) return;
+
+  const canMove = Boolean(editor && onMove);
+  const columns = getColumns(tasks, editor?.options?.status);
+  const lanes = getLanes(tasks, layout.swimlanes, editor?.options?.priority);
+
+  board.classList.remove('hidden');
+  board.style.setProperty('--board-columns', columns.length);
+  board.innerHTML = '';
+
+  // Column headers with the number of tasks in each status (work in progress)
+  columns.forEach(status => {
+    const count = tasks.filter(task => (task.status || '') === status).length;
+    const header = document.createElement('div');
+    header.className = 'board-column-header';
+    header.classList.toggle('completed', Boolean(status && isCompletedStatus(status)));
+    header.innerHTML = `
+      <span class="board-column-title"></span>
+      <span class="board-column-count">${count}</span>
+    `;
+    header.querySelector('.board-column-title').textContent = status || EMPTY_LABELS.status;
+    board.appendChild(header);
+  });
+
+  lanes.forEach(lane => {
+    if (layout.swimlanes !== 'none') {
+      const laneHeader = document.createElement('div');
+      laneHeader.className = 'board-lane-header';
+      laneHeader.textContent = lane.key ? getTaskValueLabel(lane.key) : EMPTY_LABELS[layout.swimlanes];
+      board.appendChild(laneHeader);
+    }
+
+    columns.forEach(status => {
+      const cell = document.createElement('div');
+      cell.className = 'board-cell';
+
+      tasks
+        .filter(task => (task.status || '') === status && lane.matches(task))
+        .forEach(task => {
+          const card = createTaskCard(task, onTaskClick, editor);
+          if (canMove && !task.pending) makeDraggable(card, task);
+          cell.appendChild(card);
+        });
+
+      // Tasks cannot be moved to "no status"; completed statuses take tasks out of the list
+      if (canMove && status) {
+        makeDropTarget(cell, tasks, { status, lane }, onMove);
+        if (isCompletedStatus(status)) {
+          cell.classList.add('completed');
+          cell.dataset.hint = 'Solte para concluir';
+        }
+      }
+
+      board.appendChild(cell);
+    });
+  });
+}
+
+/**
+ * Hide the board (list layout, loading or error states)
+ */
+export function hideTasksBoard() {
+  if (!board) return;
+  board.classList.add('hidden');
+  board.innerHTML = '';
+}
+
+/**
+ * Get the status columns: the Notion choices (in database order) plus statuses only seen on tasks
+ * @param {Array} tasks - Tasks
+ * @param {Array} [choices] - Status choices of the database
+ * @returns {Array} Status names ('' for tasks without status)
+ */
+function getColumns(tasks, choices = []) {
+  const columns = [...choices];
+  tasks.forEach(task => {
+    const status = task.status || '';
+    if (!columns.includes(status)) columns.push(status);
+  });
+
+  // Tasks without status go last
+  return [...columns.filter(Boolean), ...(columns.includes('') ? [''] : [])];
+}
+
+/**
+ * Get the swimlanes of the board
+ * @param {Array} tasks - Tasks
+ * @param {string} swimlanes - 'none' | 'priority' | 'stakeholders'
+ * @param {Array} [priorityChoices] - Priority choices of the database (lane order)
+ * @returns {Array} Lanes: { key, matches(task) } (a task with several stakeholders is in each of their lanes)
+ */
+function getLanes(tasks, swimlanes, priorityChoices = []) {
+  if (swimlanes === 'priority') {
+    const keys = [...priorityChoices];
+    tasks.forEach(task => {
+      if (task.priority && !keys.includes(task.priority)) keys.push(task.priority);
+    });
+    keys.push('');
+    return keys.map(key => ({ key, matches: task => (task.priority || '') === key }));
+  }
+
+  if (swimlanes === 'stakeholders') {
+    // Relation stakeholders are page IDs: lanes are sorted by their titles
+    const keys = [...new Set(tasks.flatMap(task => task.stakeholders || []))]
+      .sort((a, b) => String(getTaskValueLabel(a)).localeCompare(String(getTaskValueLabel(b)), 'pt-BR'));
+    keys.push('');
+    return keys.map(key => ({
+      key,
+      matches: task => key ? (task.stakeholders || []).includes(key) : !task.stakeholders?.length
+    }));
+  }
+
+  return [{ key: null, matches: () => true }];
+}
+
+/**
+ * Let a card be dragged to another column
+ * @param {HTMLElement} card - Task card
+ * @param {Object} task - Task
+ */
+function makeDraggable(card, task) {
+  card.draggable = true;
+
+  card.addEventListener('dragstart', (e) => {
+    draggedTaskId = task.id;
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', task.id);
+    card.classList.add('dragging');
+  });
+
+  card.addEventListener('dragend', () => {
+    draggedTaskId = null;
+    card.classList.remove('dragging');
+  });
+}
+
+/**
+ * Accept dropped cards in a board cell
+ * Dropping in another priority lane also changes the priority (stakeholder lanes are read-only)
+ * @param {HTMLElement} cell - Board cell
+ * @param {Array} tasks - Tasks
+ * @param {Object} target - { status, lane }
+ * @param {Function} onMove - Called with (task, changes)
+ */
+function makeDropTarget(cell, tasks, { status, lane }, onMove) {
+  cell.addEventListener('dragover', (e) => {
+    if (!draggedTaskId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    cell.classList.add('drop-target');
+  });
+
+  cell.addEventListener('dragleave', (e) => {
+    if (!cell.contains(e.relatedTarget)) cell.classList.remove('drop-target');
+  });
+
+  cell.addEventListener('drop', (e) => {
+    e.preventDefault();
+    cell.classList.remove('drop-target');
+
+    const task = tasks.find(candidate => candidate.id === draggedTaskId);
+    if (!task) return;
+
+    const changes = {};
+    if (task.status !== status) changes.status = status;
+    if (layout.swimlanes === 'priority' && (task.priority || '') !== lane.key) {
+      changes.priority = lane.key || null;
+    }
+
+    if (Object.keys(changes).length > 0) onMove(task, changes);
+  });
+}
+
+/**
+ * Apply a layout change made in the tasks header
+ * @param {Object} change - { mode } or { swimlanes }
+ */
+function changeLayout(change) {
+  setTasksLayout(change);
+  if (onLayoutChangeCallback) {
+    onLayoutChangeCallback(getTasksLayout());
+  }
+}
+
+/**
+ * Reflect the layout on the header controls
+ */
+function updateLayoutControls() {
+  layoutButtons.forEach(button => {
+    const isActive = button.dataset.layout === layout.mode;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+
+  if (swimlanesSelect) {
+    swimlanesSelect.value = layout.swimlanes;
+    swimlanesSelect.classList.toggle('hidden', layout.mode !== 'board');
+  }
+}
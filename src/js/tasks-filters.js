@@ -0,0 +1,368 @@
+/**
+ * Tasks Filters
+ * Toolbar of the tasks view: free-text search, multi-select filters (type, priority,
+ * stakeholder, deal), due date quick filters and sorting.
+ * Filters are kept in the hash query (#/tasks?q=...&priority=Alta) so filtered views can be shared
+ */
+
+import { escapeHtml } from './html.js';
+import { getTaskValueLabel } from './notion-tasks-store.js';
+
+// Multi-select filters: query key -> task field and label
+const FACETS = {
+  type: { field: 'type', label: 'Tipo' },
+  priority: { field: 'priority', label: 'Prioridade' },
+  stakeholder: { field: 'stakeholders', label: 'Stakeholder' },
+  deal: { field: 'deal', label: 'Deal' }
+};
+
+// Due date quick filters
+const DUE_FILTERS = ['overdue', 'week', 'deadline'];
+
+// Sort options (start keeps the Notion order: start date, newest first)
+const SORTS = ['start', 'due', 'priority', 'name', 'edited'];
+const DEFAULT_SORT = 'start';
+
+// State
+let filters = createEmptyFilters();
+let facetValuesKey = null; // Facet options rendered (re-render only when they change)
+let onChangeCallback = null;
+
+// DOM references
+let searchInput = null;
+let facetsContainer = null;
+let dueButtons = [];
+let sortSelect = null;
+let countLabel = null;
+let clearButton = null;
+
+/**
+ * Initialize the toolbar (DOM references and listeners)
+ */
+export function initTasksFilters() {
+  searchInput = document.getElementById('tasks-search');
+  facetsContainer = document.getElementById('tasks-facets');
+  dueButtons = [...document.querySelectorAll('.tasks-due-btn')];
+  sortSelect = document.getElementById('tasks-sort');
+  countLabel = document.getElementById('tasks-count');
+  clearButton = document.getElementById('tasks-clear');
+
+  searchInput?.addEventListener('input', () => {
+    filters.q = searchInput.value;
+    notifyChange();
+  });
+
+  facetsContainer?.addEventListener('change', (e) => {
+    const checkbox = e.target.closest('input[type="checkbox"]');
+    if (!checkbox) return;
+
+    const { facet } = checkbox.dataset;
+    filters[facet] = checkbox.checked
+      ? [...filters[facet], checkbox.value]
+      : filters[facet].filter(value => value !== checkbox.value);
+    updateFacetCounts();
+    notifyChange();
+  });
+
+  dueButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      filters.due = filters.due === button.dataset.due ? '' : button.dataset.due;
+      updateControls();
+      notifyChange();
+    });
+  });
+
+  sortSelect?.addEventListener('change', () => {
+    filters.sort = sortSelect.value;
+    notifyChange();
+  });
+
+  clearButton?.addEventListener('click', () => {
+    filters = createEmptyFilters();
+    updateControls();
+    notifyChange();
+  });
+
+  console.log('🔎 Tasks filters initialized');
+}
+
+/**
+ * Set the filters from the hash query (unknown values are ignored)
+ * @param {URLSearchParams} [query] - Query of the tasks route
+ */
+export function setTasksFilters(query = new URLSearchParams()) {
+  filters = createEmptyFilters();
+  filters.q = query.get('q') || '';
+
+  Object.keys(FACETS).forEach(facet => {
+    filters[facet] = query.getAll(facet).filter(Boolean);
+  });
+
+  if (DUE_FILTERS.includes(query.get('due'))) filters.due = query.get('due');
+  if (SORTS.includes(query.get('sort'))) filters.sort = query.get('sort');
+
+  updateControls();
+}
+
+/**
+ * Get the hash query of the current filters (defaults are left out)
+ * @returns {URLSearchParams}
+ */
+export function getTasksFiltersQuery() {
+  const query = new URLSearchParams();
+  if (filters.q.trim()) query.set('q', filters.q.trim());
+  Object.keys(FACETS).forEach(facet => {
+    filters[facet].forEach(value => query.append(facet, value));
+  });
+  if (filters.due) query.set('due', filters.due);
+  if (filters.sort !== DEFAULT_SORT) query.set('sort', filters.sort);
+  return query;
+}
+
+/**
+ * Set callback called when a filter changes
+ * @param {Function} callback - Function to call with the hash query of the filters
+ */
+export function onTasksFiltersChange(callback) {
+  onChangeCallback = callback;
+}
+
+/**
+ * Filter and sort the tasks, and refresh the toolbar (filter options and count)
+ * @param {Array} tasks - Tasks (Notion order)
+ * @param {Object|null} options - Choices of the database ({ priority } gives the priority order)
+ * @returns {Array} Visible tasks
+ */
+export function applyTasksFilters(tasks, options = null) {
+  renderFacets(tasks, options);
+
+  const search = normalizeText(filters.q.trim());
+  const visible = tasks.filter(task =>
+    matchesSearch(task, search) &&
+    Object.entries(FACETS).every(([facet, { field }]) => matchesFacet(task[field], filters[facet])) &&
+    matchesDue(task, filters.due)
+  );
+
+  sortTasks(visible, filters.sort, options?.priority);
+
+  if (countLabel) {
+    countLabel.textContent = visible.length === tasks.length
+      ? `${tasks.length} tarefas`
+      : `${visible.length} de ${tasks.length} tarefas`;
+  }
+  clearButton?.classList.toggle('hidden', getTasksFiltersQuery().toString() === '');
+
+  return visible;
+}
+
+/**
+ * Create the filters with nothing selected
+ * @returns {Object} Filters
+ */
+function createEmptyFilters() {
+  return { q: '', type: [], priority: [], stakeholder: [], deal: [], due: '', sort: DEFAULT_SORT };
+}
+
+/**
+ * Lowercase and remove accents (search ignores both)
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function normalizeText(text) {
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Check if a task matches the search text (name, status, type, stakeholders, deal and agent)
+ * @param {Object} task - Task
+ * @param {string} search - Normalized search text
+ * @returns {boolean}
+ */
+function matchesSearch(task, search) {
+  if (!search) return true;
+
+  const relations = [...(task.stakeholders || []), ...(task.deal || [])].map(getTaskValueLabel);
+  const text = [task.name, task.status, task.priority, task.agent, ...(task.type || []), ...relations]
+    .map(normalizeText)
+    .join(' ');
+  return text.includes(search);
+}
+
+/**
+ * Check if a task field has one of the selected values
+ * @param {string|Array|null} value - Task field
+ * @param {Array} selected - Selected values (empty: no filter)
+ * @returns {boolean}
+ */
+function matchesFacet(value, selected) {
+  if (selected.length === 0) return true;
+  const values = Array.isArray(value) ? value : [value];
+  return values.some(item => selected.includes(item));
+}
+
+/**
+ * Check a task against the due date quick filter
+ * @param {Object} task - Task
+ * @param {string} due - 'overdue' | 'week' | 'deadline' | ''
+ * @returns {boolean}
+ */
+function matchesDue(task, due) {
+  if (!due) return true;
+  if (due === 'deadline') return task.hasDeadline;
+
+  const dueDay = toDay(task.dueDate);
+  if (!dueDay) return false;
+
+  const today = toDay(new Date());
+  if (due === 'overdue') return dueDay < today;
+
+  // Today until Sunday
+  const endOfWeek = new Date(today);
+  endOfWeek.setDate(today.getDate() + ((7 - today.getDay()) % 7));
+  return dueDay >= today && dueDay <= endOfWeek;
+}
+
+/**
+ * Get the local day of a date (Notion dates without time are local days, not UTC)
+ * @param {string|Date|null} value - ISO date or Date
+ * @returns {Date|null} Midnight of the day
+ */
+function toDay(value) {
+  if (!value) return null;
+  const date = typeof value === 'string' && value.length === 10 ? new Date(`${value}T00:00:00`) : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  date.setHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * Sort tasks in place
+ * @param {Array} tasks - Tasks
+ * @param {string} sort - Sort option
+ * @param {Array} [priorityOrder] - Priority choices of the database (highest first)
+ */
+function sortTasks(tasks, sort, priorityOrder = []) {
+  // Missing values always go last
+  const compareMissing = (a, b) => (a == null) - (b == null);
+
+  switch (sort) {
+    case 'due':
+      tasks.sort((a, b) => compareMissing(a.dueDate, b.dueDate) || String(a.dueDate).localeCompare(String(b.dueDate)));
+      break;
+    case 'priority': {
+      const rank = task => {
+        const index = priorityOrder.indexOf(task.priority);
+        return index === -1 ? null : index;
+      };
+      tasks.sort((a, b) => compareMissing(rank(a), rank(b)) || rank(a) - rank(b) ||
+        String(a.priority || '').localeCompare(String(b.priority || ''), 'pt-BR'));
+      break;
+    }
+    case 'name':
+      tasks.sort((a, b) => a.name.localeCompare(b.name, 'pt-BR'));
+      break;
+    case 'edited':
+      tasks.sort((a, b) => String(b.lastEditedTime || '').localeCompare(String(a.lastEditedTime || '')));
+      break;
+    default:
+      // Notion order
+      break;
+  }
+}
+
+/**
+ * Render the multi-select filters with the values found in the tasks
+ * (selected values from a shared link are kept even if no task has them)
+ * @param {Array} tasks - Tasks
+ * @param {Object|null} options - Choices of the database
+ */
+function renderFacets(tasks, options) {
+  if (!facetsContainer) return;
+
+  const values = {};
+  Object.entries(FACETS).forEach(([facet, { field }]) => {
+    const found = new Set(filters[facet]);
+    tasks.forEach(task => {
+      const value = task[field];
+      (Array.isArray(value) ? value : [value]).forEach(item => item && found.add(item));
+    });
+
+    // Priorities follow the database order
+    const order = facet === 'priority' ? options?.priority || [] : [];
+    values[facet] = [...found].sort((a, b) => {
+      const rankA = order.indexOf(a);
+      const rankB = order.indexOf(b);
+      if (rankA !== rankB) return (rankA === -1) - (rankB === -1) || rankA - rankB;
+      return String(getTaskValueLabel(a)).localeCompare(String(getTaskValueLabel(b)), 'pt-BR');
+    });
+  });
+
+  // Labels are part of the key: relation titles may arrive after their IDs
+  const key = JSON.stringify(Object.values(values).map(list => list.map(value => [value, getTaskValueLabel(value)])));
+  if (key === facetValuesKey) {
+    updateFacetCounts();
+    return;
+  }
+  facetValuesKey = key;
+
+  // Re-rendering keeps open dropdowns open
+  const openFacets = [...facetsContainer.querySelectorAll('details[open]')].map(details => details.dataset.facet);
+
+  facetsContainer.innerHTML = Object.entries(FACETS).map(([facet, { label }]) => `
+    <details class="tasks-facet" data-facet="${facet}" ${openFacets.includes(facet) ? 'open' : ''}>
+      <summary>${label} <span class="tasks-facet-count"></span></summary>
+      <div class="tasks-facet-options">
+        ${values[facet].length === 0 ? '<span class="tasks-facet-empty">Nenhum valor</span>' : ''}
+        ${values[facet].map(value => `
+          <label class="tasks-facet-option" title="${escapeHtml(value)}">
+            <input type="checkbox" data-facet="${facet}" value="${escapeHtml(value)}"
+              ${filters[facet].includes(value) ? 'checked' : ''}>
+            <span>${escapeHtml(getTaskValueLabel(value))}</span>
+          </label>
+        `).join('')}
+      </div>
+    </details>
+  `).join('');
+
+  updateFacetCounts();
+}
+
+/**
+ * Show the number of selected values on each filter
+ */
+function updateFacetCounts() {
+  facetsContainer?.querySelectorAll('.tasks-facet').forEach(details => {
+    const count = filters[details.dataset.facet].length;
+    details.classList.toggle('active', count > 0);
+    details.querySelector('.tasks-facet-count').textContent = count > 0 ? count : '';
+  });
+}
+
+/**
+ * Reflect the filters on the toolbar controls
+ */
+function updateControls() {
+  if (searchInput) searchInput.value = filters.q;
+  if (sortSelect) sortSelect.value = filters.sort;
+
+  dueButtons.forEach(button => {
+    const isActive = button.dataset.due === filters.due;
+    button.classList.toggle('active', isActive);
+    button.setAttribute('aria-pressed', String(isActive));
+  });
+
+  facetsContainer?.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.checked = filters[checkbox.dataset.facet].includes(checkbox.value);
+  });
+  updateFacetCounts();
+}
+
+/**
+ * Notify the filters changed
+ */
+function notifyChange() {
+  if (onChangeCallback) {
+    onChangeCallback(getTasksFiltersQuery());
+  }
+}
+
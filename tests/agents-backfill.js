@@ -0,0 +1,63 @@
+/**
+ * Backfill do projectId nos agentes
+ * O pool de agentes (#/agent-pool) consulta a collection group `agents` filtrando por
+ * projectId, e as regras checam a participação no projeto por esse campo.
+ * Agentes gravados antes do campo existir não aparecem; este script o preenche
+ * a partir do caminho project/{projectId}/agents/{agentId}
+ *
+ * Uso:
+ *   node tests/agents-backfill.js               # Todos os projetos
+ *   node tests/agents-backfill.js <projectId>   # Um projeto
+ */
+
+import { db } from './firebase-config.js';
+
+const [projectId] = process.argv.slice(2);
+
+// Limite de escritas por batch do Firestore
+const BATCH_SIZE = 500;
+
+/**
+ * Lista os projetos a processar (um ou todos)
+ */
+async function getProjectDocs(id) {
+  if (id) {
+    const doc = await db.collection('project').doc(id).get();
+    if (!doc.exists) {
+      throw new Error(`Projeto não encontrado: ${id}`);
+    }
+    return [doc];
+  }
+
+  const snapshot = await db.collection('project').get();
+  return snapshot.docs;
+}
+
+async function backfillProject(projectDoc) {
+  const agentsSnapshot = await projectDoc.ref.collection('agents').get();
+  const missing = agentsSnapshot.docs.filter(doc => doc.get('projectId') !== projectDoc.id);
+
+  for (let i = 0; i < missing.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    missing.slice(i, i + BATCH_SIZE).forEach(doc => batch.update(doc.ref, { projectId: projectDoc.id }));
+    await batch.commit();
+  }
+
+  console.log(`   ✅ ${projectDoc.id}: ${missing.length} de ${agentsSnapshot.size} agentes atualizados`);
+}
+
+async function main() {
+  const projectDocs = await getProjectDocs(projectId);
+
+  console.log(`\n🔧 Preenchendo projectId dos agentes de ${projectDocs.length} projeto(s)...`);
+  for (const projectDoc of projectDocs) {
+    await backfillProject(projectDoc);
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('❌ Erro:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,145 @@
+/**
+ * Gerenciamento de chaves de ingestão por projeto
+ * As chaves autorizam produtores (agentes, n8n) a enviar eventos para /api/events
+ *
+ * Apenas o hash SHA-256 da chave é salvo em apiKeys/{hash};
+ * a chave em texto puro é exibida uma única vez, na criação.
+ *
+ * Uso:
+ *   node tests/api-keys.js create <projectId> [label]   # Cria chave
+ *   node tests/api-keys.js list [projectId]             # Lista chaves
+ *   node tests/api-keys.js rotate <keyId>               # Cria nova chave e revoga a antiga
+ *   node tests/api-keys.js revoke <keyId>               # Revoga chave
+ */
+
+import { db } from './firebase-config.js';
+import { Timestamp } from 'firebase-admin/firestore';
+import { createHash, randomBytes } from 'crypto';
+
+const KEY_PREFIX = 'fhk_';
+
+const [command, ...params] = process.argv.slice(2);
+
+/**
+ * Gera uma nova chave em texto puro
+ */
+function generateApiKey() {
+  return KEY_PREFIX + randomBytes(24).toString('base64url');
+}
+
+/**
+ * Hash usado como ID do documento (mesmo algoritmo da Cloud Function)
+ */
+function hashApiKey(apiKey) {
+  return createHash('sha256').update(apiKey).digest('hex');
+}
+
+/**
+ * Busca uma chave pelo keyId exibido no list
+ */
+async function findKey(keyId) {
+  const snapshot = await db.collection('apiKeys').where('keyId', '==', keyId).limit(1).get();
+  if (snapshot.empty) {
+    throw new Error(`Chave não encontrada: ${keyId}`);
+  }
+  return snapshot.docs[0];
+}
+
+async function createKey(projectId, label = 'default') {
+  if (!projectId) {
+    throw new Error('Informe o projectId: node tests/api-keys.js create <projectId> [label]');
+  }
+
+  const apiKey = generateApiKey();
+  const hash = hashApiKey(apiKey);
+  const keyId = hash.substring(0, 10);
+
+  await db.collection('apiKeys').doc(hash).set({
+    keyId,
+    projectId,
+    label,
+    createdAt: Timestamp.now(),
+    revokedAt: null,
+    lastUsedAt: null
+  });
+
+  console.log(`\n🔑 Chave criada para o projeto ${projectId} (${label})`);
+  console.log(`   keyId: ${keyId}`);
+  console.log(`   chave: ${apiKey}`);
+  console.log('\n⚠️  Guarde a chave agora, ela não será exibida novamente.');
+  console.log('   Envie no header: Authorization: Bearer <chave>\n');
+
+  return { keyId, apiKey };
+}
+
+async function listKeys(projectId) {
+  let query = db.collection('apiKeys');
+  if (projectId) {
+    query = query.where('projectId', '==', projectId);
+  }
+
+  const snapshot = await query.get();
+
+  if (snapshot.empty) {
+    console.log('\n📭 Nenhuma chave encontrada');
+    return;
+  }
+
+  console.log('\n🔑 Chaves:');
+  snapshot.docs.forEach(doc => {
+    const key = doc.data();
+    const status = key.revokedAt ? '🔴 revogada' : '🟢 ativa';
+    const lastUsed = key.lastUsedAt ? key.lastUsedAt.toDate().toISOString() : 'nunca';
+    console.log(`   ${status}  ${key.keyId}  ${key.projectId}  "${key.label}"  último uso: ${lastUsed}`);
+  });
+}
+
+async function revokeKey(keyId) {
+  if (!keyId) {
+    throw new Error('Informe o keyId: node tests/api-keys.js revoke <keyId>');
+  }
+
+  const doc = await findKey(keyId);
+  await doc.ref.update({ revokedAt: Timestamp.now() });
+  console.log(`\n🔴 Chave ${keyId} revogada (${doc.get('projectId')})`);
+}
+
+async function rotateKey(keyId) {
+  if (!keyId) {
+    throw new Error('Informe o keyId: node tests/api-keys.js rotate <keyId>');
+  }
+
+  const doc = await findKey(keyId);
+  const { projectId, label } = doc.data();
+
+  await createKey(projectId, label);
+  await doc.ref.update({ revokedAt: Timestamp.now() });
+  console.log(`🔴 Chave anterior ${keyId} revogada`);
+}
+
+async function main() {
+  switch (command) {
+    case 'create':
+      await createKey(params[0], params[1]);
+      break;
+    case 'list':
+      await listKeys(params[0]);
+      break;
+    case 'rotate':
+      await rotateKey(params[0]);
+      break;
+    case 'revoke':
+      await revokeKey(params[0]);
+      break;
+    default:
+      console.log('Uso: node tests/api-keys.js <create|list|rotate|revoke> [args]');
+      process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('❌ Erro:', err.message);
+  process.exit(1);
+});
@@ -21,6 +21,26 @@ const AGENTS = {
   '6': { id: 'security-auditor', name: 'Security Auditor', color: '#EF4444' }
 };
 
+// Status do agente por evento (mesmo mapeamento da Cloud Function)
+const EVENT_STATUS = {
+  start: 'working',
+  end: 'idle',
+  error: 'error',
+  waiting: 'waiting',
+  blocked: 'blocked',
+  offline: 'offline'
+};
+
+// Letra do comando → evento
+const COMMAND_EVENTS = {
+  s: 'start',
+  e: 'end',
+  x: 'error',
+  w: 'waiting',
+  b: 'blocked',
+  o: 'offline'
+};
+
 // Interface de linha de comando
 const rl = readline.createInterface({
   input: process.stdin,
@@ -31,6 +51,9 @@ function question(prompt) {
   return new Promise(resolve => rl.question(prompt, resolve));
 }
 
+// Sessão atual: eventos enviados até o próximo comando "n" formam um bloco no histórico
+let currentSessionId = null;
+
 function generateSessionId() {
   return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
     const r = Math.random() * 16 | 0;
@@ -40,16 +63,19 @@ function generateSessionId() {
 }
 
 async function sendEvent(agentId, agentName, agentColor, event, task = '', progress = null) {
-  // Estrutura: project/{projectId}/agents/{agentId}
-  const docRef = db.collection('project').doc(PROJECT_ID).collection('agents').doc(agentId);
+  // Estrutura: project/{projectId}/agents/{agentId} + log em project/{projectId}/events
+  const projectRef = db.collection('project').doc(PROJECT_ID);
+  const docRef = projectRef.collection('agents').doc(agentId);
+  const eventRef = projectRef.collection('events').doc();
 
   // Mapeia event para status (como o agents-store espera)
-  const status = event === 'start' ? 'working' : 'idle';
+  const status = EVENT_STATUS[event];
 
   const data = {
     agentId,
     agentName,
     agentColor,
+    projectId: PROJECT_ID,    // Filtro do pool de agentes (collection group)
     projectName: PROJECT_ID,
     // Campos que o agents-store.js espera
     status,
@@ -59,7 +85,8 @@ async function sendEvent(agentId, agentName, agentColor, event, task = '', progr
     event,
     task,
     timestamp: Timestamp.now(),
-    sessionId: generateSessionId(),
+    lastSeenAt: Timestamp.now(),   // Heartbeat usado pelo watchdog
+    sessionId: currentSessionId,
     model: 'claude-3-opus',
     branch: 'feature/test'
   };
@@ -68,7 +95,20 @@ async function sendEvent(agentId, agentName, agentColor, event, task = '', progr
     data.progress = progress;
   }
 
-  await docRef.set(data);
+  const batch = db.batch();
+  batch.set(docRef, data);
+  batch.set(eventRef, {
+    agentId,
+    agentName,
+    agentColor,
+    event,
+    status,
+    task,
+    sessionId: data.sessionId,
+    timestamp: data.timestamp,
+    ...(progress !== null && { progress })
+  });
+  await batch.commit();
   console.log(`\n✅ Evento enviado: ${agentName} -> ${event}`);
 }
 
@@ -109,8 +149,13 @@ function showMenu() {
   console.log('\nAções:');
   console.log('  s - START (iniciar agente)');
   console.log('  e - END (finalizar agente)');
+  console.log('  x - ERROR (agente falhou)');
+  console.log('  w - WAITING (aguardando aprovação)');
+  console.log('  b - BLOCKED (bloqueado)');
+  console.log('  o - OFFLINE');
   console.log('  t - Definir TASK (tarefa)');
   console.log('  p - Definir PROGRESS (0-100)');
+  console.log('  n - NOVA sessão');
   console.log('  l - LISTAR agentes ativos');
   console.log('  c - CLEAR (limpar todos)');
   console.log('  q - QUIT (sair)');
@@ -124,11 +169,13 @@ async function main() {
 
   let currentTask = 'Implementando nova funcionalidade';
   let currentProgress = 0;
+  currentSessionId = generateSessionId();
+  console.log('🧵 Sessão:', currentSessionId);
 
   showMenu();
 
   while (true) {
-    const input = await question('\n> Comando (ex: 1s, 2e, t, p, l, c, q): ');
+    const input = await question('\n> Comando (ex: 1s, 2e, t, p, n, l, c, q): ');
     const cmd = input.trim().toLowerCase();
 
     if (cmd === 'q' || cmd === 'quit' || cmd === 'exit') {
@@ -159,13 +206,19 @@ async function main() {
       continue;
     }
 
+    if (cmd === 'n' || cmd === 'new') {
+      currentSessionId = generateSessionId();
+      console.log(`   🧵 Nova sessão: ${currentSessionId}`);
+      continue;
+    }
+
     if (cmd === 'h' || cmd === 'help' || cmd === '?') {
       showMenu();
       continue;
     }
 
-    // Parse comando de agente (ex: 1s, 2e)
-    const match = cmd.match(/^(\d)([se])$/);
+    // Parse comando de agente (ex: 1s, 2e, 3x)
+    const match = cmd.match(/^(\d)([sexwbo])$/);
     if (match) {
       const agentKey = match[1];
       const action = match[2];
@@ -176,8 +229,8 @@ async function main() {
         continue;
       }
 
-      const event = action === 's' ? 'start' : 'end';
-      const task = event === 'start' ? currentTask : '';
+      const event = COMMAND_EVENTS[action];
+      const task = event === 'start' ? currentTask : (event === 'error' ? 'Falha ao executar a tarefa' : '');
       const progress = event === 'start' ? currentProgress : null;
 
       try {
@@ -0,0 +1,137 @@
+/**
+ * Mapeamento do banco de tarefas do Notion
+ * A view de tarefas lê config/notionTasks: o banco usado (databaseId) e, por banco,
+ * os nomes das propriedades e os status concluídos. As regras bloqueiam escritas
+ * do navegador em config, por isso o mapeamento é editado por este script
+ *
+ * Uso:
+ *   node tests/notion-config.js show                             # Mostra a configuração atual
+ *   node tests/notion-config.js use <databaseId>                 # Aponta a view de tarefas para o banco
+ *   node tests/notion-config.js map <databaseId> <mapping.json>  # Define o mapeamento do banco
+ *   node tests/notion-config.js unmap <databaseId>               # Remove o mapeamento (volta ao padrão)
+ *
+ * O mapeamento segue o formato de functions/notion-mapping.json (o padrão);
+ * campos omitidos mantêm os valores padrão
+ */
+
+import { db } from './firebase-config.js';
+import { FieldValue } from 'firebase-admin/firestore';
+import { readFileSync } from 'fs';
+
+const [command, databaseId, mappingFile] = process.argv.slice(2);
+
+const configRef = db.collection('config').doc('notionTasks');
+
+const MAPPING_FIELDS = ['name', 'priority', 'status', 'type', 'deal', 'stakeholders', 'startDate', 'dueDate', 'hasDeadline', 'agent'];
+const STATUS_TYPES = ['status', 'select'];
+
+/**
+ * IDs do Notion aparecem com ou sem hífens; o mapeamento usa a forma sem hífens
+ */
+function normalizeDatabaseId(id) {
+  if (!id) {
+    throw new Error('Informe o databaseId');
+  }
+  return id.replace(/-/g, '');
+}
+
+/**
+ * Lê e valida um arquivo de mapeamento
+ */
+function readMapping(file) {
+  if (!file) {
+    throw new Error('Informe o arquivo JSON do mapeamento');
+  }
+
+  const mapping = JSON.parse(readFileSync(file, 'utf8'));
+  const properties = mapping.properties || {};
+
+  Object.entries(properties).forEach(([field, names]) => {
+    if (!MAPPING_FIELDS.includes(field)) {
+      throw new Error(`Campo desconhecido: ${field} (use ${MAPPING_FIELDS.join(', ')})`);
+    }
+    const list = Array.isArray(names) ? names : [names];
+    if (list.length === 0 || list.some(name => typeof name !== 'string' || !name)) {
+      throw new Error(`Nomes de propriedade inválidos para ${field}`);
+    }
+    properties[field] = list;
+  });
+
+  if (mapping.statusType && !STATUS_TYPES.includes(mapping.statusType)) {
+    throw new Error(`statusType deve ser ${STATUS_TYPES.join(' ou ')}`);
+  }
+  if (mapping.excludedStatuses && !Array.isArray(mapping.excludedStatuses)) {
+    throw new Error('excludedStatuses deve ser uma lista');
+  }
+
+  return {
+    properties,
+    ...(mapping.statusType && { statusType: mapping.statusType }),
+    ...(mapping.excludedStatuses && { excludedStatuses: mapping.excludedStatuses.map(String) }),
+    ...(mapping.sortProperty && { sortProperty: mapping.sortProperty })
+  };
+}
+
+async function show() {
+  const doc = await configRef.get();
+  if (!doc.exists) {
+    console.log('\n📋 config/notionTasks não existe: a view usa NOTION_DATABASE_ID e o mapeamento padrão');
+    return;
+  }
+
+  const { databaseId: activeId, databases = {} } = doc.data();
+  console.log(`\n📋 Banco em uso: ${activeId || '(NOTION_DATABASE_ID)'}`);
+  Object.entries(databases).forEach(([id, mapping]) => {
+    console.log(`\n   ${id}`);
+    console.log(JSON.stringify(mapping, null, 2).replace(/^/gm, '     '));
+  });
+}
+
+async function use(id) {
+  const normalizedId = normalizeDatabaseId(id);
+  await configRef.set({ databaseId: normalizedId }, { merge: true });
+  console.log(`\n✅ View de tarefas apontada para ${normalizedId}`);
+}
+
+async function map(id, file) {
+  const normalizedId = normalizeDatabaseId(id);
+  const mapping = readMapping(file);
+
+  // set com merge mesclaria os mapas; o update substitui o mapeamento do banco inteiro
+  await configRef.set({}, { merge: true });
+  await configRef.update({ [`databases.${normalizedId}`]: mapping });
+  console.log(`\n✅ Mapeamento de ${normalizedId} salvo`);
+}
+
+async function unmap(id) {
+  const normalizedId = normalizeDatabaseId(id);
+  await configRef.update({ [`databases.${normalizedId}`]: FieldValue.delete() });
+  console.log(`\n🗑️  Mapeamento de ${normalizedId} removido`);
+}
+
+async function main() {
+  switch (command) {
+    case 'show':
+      await show();
+      break;
+    case 'use':
+      await use(databaseId);
+      break;
+    case 'map':
+      await map(databaseId, mappingFile);
+      break;
+    case 'unmap':
+      await unmap(databaseId);
+      break;
+    default:
+      console.log('Uso: node tests/notion-config.js <show|use|map|unmap> [databaseId] [mapping.json]');
+      process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('❌ Erro:', err.message);
+  process.exit(1);
+});
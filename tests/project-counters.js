@@ -0,0 +1,102 @@
+/**
+ * Recontagem dos contadores dos projetos
+ * A função updateProjectCounters mantém agentCount e activeAgentCount (e o endpoint,
+ * lastActivityAt) no documento do projeto; este script os recalcula a partir da
+ * subcoleção de agentes (projetos criados antes da função)
+ *
+ * Uso:
+ *   node tests/project-counters.js recount               # Recalcula todos os projetos
+ *   node tests/project-counters.js recount <projectId>   # Recalcula um projeto
+ *   node tests/project-counters.js list                  # Lista os contadores atuais
+ */
+
+import { db } from './firebase-config.js';
+
+const [command, projectId] = process.argv.slice(2);
+
+/**
+ * Converte Timestamp/Date/string em milissegundos
+ */
+function toMillis(value) {
+  if (!value) return 0;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? 0 : time;
+}
+
+/**
+ * Lista os projetos a processar (um ou todos)
+ */
+async function getProjectDocs(id) {
+  if (id) {
+    const doc = await db.collection('project').doc(id).get();
+    if (!doc.exists) {
+      throw new Error(`Projeto não encontrado: ${id}`);
+    }
+    return [doc];
+  }
+
+  const snapshot = await db.collection('project').get();
+  return snapshot.docs;
+}
+
+async function recountProject(projectDoc) {
+  const agentsSnapshot = await projectDoc.ref.collection('agents').get();
+
+  const agentCount = agentsSnapshot.size;
+  const activeAgentCount = agentsSnapshot.docs.filter(doc => doc.get('status') === 'working').length;
+
+  // Última atividade: o updatedAt mais recente entre os agentes
+  const lastActivity = agentsSnapshot.docs.reduce((latest, doc) => {
+    const updatedAt = doc.get('updatedAt');
+    return toMillis(updatedAt) > toMillis(latest) ? updatedAt : latest;
+  }, null);
+
+  await projectDoc.ref.set({
+    agentCount,
+    activeAgentCount,
+    ...(lastActivity && { lastActivityAt: lastActivity })
+  }, { merge: true });
+
+  console.log(`   ✅ ${projectDoc.id}: ${activeAgentCount}/${agentCount} agentes ativos`);
+}
+
+async function recount(id) {
+  const projectDocs = await getProjectDocs(id);
+
+  console.log(`\n🔢 Recontando ${projectDocs.length} projeto(s)...`);
+  for (const projectDoc of projectDocs) {
+    await recountProject(projectDoc);
+  }
+}
+
+async function list() {
+  const projectDocs = await getProjectDocs();
+
+  console.log('\n📊 Contadores dos projetos:');
+  for (const doc of projectDocs) {
+    const lastActivity = doc.get('lastActivityAt')?.toDate?.()?.toLocaleString('pt-BR') || '-';
+    console.log(`   ${doc.id.padEnd(30)} ${String(doc.get('activeAgentCount') ?? '?').padStart(3)}/${String(doc.get('agentCount') ?? '?').padEnd(3)}  ${lastActivity}`);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'recount':
+      await recount(projectId);
+      break;
+    case 'list':
+      await list();
+      break;
+    default:
+      console.log('Uso: node tests/project-counters.js <recount|list> [projectId]');
+      process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('❌ Erro:', err.message);
+  process.exit(1);
+});
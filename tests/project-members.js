@@ -0,0 +1,126 @@
+/**
+ * Gerenciamento de membros dos projetos
+ * O dashboard só lista projetos em que o usuário está no mapa `members`
+ *
+ * Papéis:
+ *   viewer  - vê projetos e agentes
+ *   editor  - também acessa as tarefas do Notion
+ *   admin   - acesso total
+ *
+ * Uso:
+ *   node tests/project-members.js add <projectId> <email|uid> [role]   # Adiciona/atualiza membro (padrão: viewer)
+ *   node tests/project-members.js remove <projectId> <email|uid>       # Remove membro
+ *   node tests/project-members.js list <projectId>                     # Lista membros
+ */
+
+import { db } from './firebase-config.js';
+import { getAuth } from 'firebase-admin/auth';
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+
+const ROLES = ['viewer', 'editor', 'admin'];
+
+const [command, ...params] = process.argv.slice(2);
+
+/**
+ * Resolve email ou uid para o usuário do Firebase Auth
+ * O usuário precisa ter entrado no dashboard ao menos uma vez
+ */
+async function resolveUser(emailOrUid) {
+  if (!emailOrUid) {
+    throw new Error('Informe o email ou uid do usuário');
+  }
+
+  const auth = getAuth();
+  try {
+    return emailOrUid.includes('@')
+      ? await auth.getUserByEmail(emailOrUid)
+      : await auth.getUser(emailOrUid);
+  } catch {
+    throw new Error(`Usuário não encontrado: ${emailOrUid} (ele já entrou no dashboard?)`);
+  }
+}
+
+/**
+ * Busca o documento do projeto
+ */
+async function getProjectRef(projectId) {
+  if (!projectId) {
+    throw new Error('Informe o projectId');
+  }
+
+  const projectRef = db.collection('project').doc(projectId);
+  const doc = await projectRef.get();
+  if (!doc.exists) {
+    throw new Error(`Projeto não encontrado: ${projectId}`);
+  }
+  return projectRef;
+}
+
+async function addMember(projectId, emailOrUid, role = 'viewer') {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Papel inválido: ${role} (use ${ROLES.join(', ')})`);
+  }
+
+  const projectRef = await getProjectRef(projectId);
+  const user = await resolveUser(emailOrUid);
+
+  await projectRef.update({
+    [`members.${user.uid}`]: role,
+    updatedAt: Timestamp.now()
+  });
+
+  console.log(`\n✅ ${user.email || user.uid} agora é ${role} em ${projectId}`);
+}
+
+async function removeMember(projectId, emailOrUid) {
+  const projectRef = await getProjectRef(projectId);
+  const user = await resolveUser(emailOrUid);
+
+  await projectRef.update({
+    [`members.${user.uid}`]: FieldValue.delete(),
+    updatedAt: Timestamp.now()
+  });
+
+  console.log(`\n🗑️  ${user.email || user.uid} removido de ${projectId}`);
+}
+
+async function listMembers(projectId) {
+  const projectRef = await getProjectRef(projectId);
+  const members = (await projectRef.get()).get('members') || {};
+  const entries = Object.entries(members);
+
+  if (entries.length === 0) {
+    console.log(`\n📭 Nenhum membro em ${projectId}`);
+    return;
+  }
+
+  console.log(`\n👥 Membros de ${projectId}:`);
+  for (const [uid, role] of entries) {
+    const user = await getAuth().getUser(uid).catch(() => null);
+    console.log(`   ${role.padEnd(7)}  ${user?.email || '(sem email)'}  ${uid}`);
+  }
+}
+
+async function main() {
+  switch (command) {
+    case 'add':
+      await addMember(params[0], params[1], params[2]);
+      break;
+    case 'remove':
+      await removeMember(params[0], params[1]);
+      break;
+    case 'list':
+      await listMembers(params[0]);
+      break;
+    default:
+      console.log('Uso: node tests/project-members.js <add|remove|list> <projectId> [email|uid] [role]');
+      process.exit(1);
+  }
+
+  process.exit(0);
+}
+
+main().catch(err => {
+  console.error('❌ Erro:', err.message);
+  process.exit(1);
+});
@@ -5,6 +5,7 @@
  * Uso:
  *   node tests/simulate-agents.js                    # Cenário padrão
  *   node tests/simulate-agents.js --scenario=full   # Cenário completo
+ *   node tests/simulate-agents.js --scenario=tree   # Sub-agentes (parentAgentId)
  *   node tests/simulate-agents.js --loop            # Loop contínuo
  *   node tests/simulate-agents.js --fast            # Velocidade rápida
  */
@@ -26,6 +27,9 @@ const scenario = scenarioArg ? scenarioArg.split('=')[1] : 'default';
 const DELAY = isFast ? 500 : 2000;
 const TASK_DURATION = isFast ? 3000 : 8000;
 
+// Sessão atual: todos os eventos de um ciclo pertencem ao mesmo prompt
+let currentSessionId = null;
+
 // Cores dos agentes
 const AGENT_COLORS = {
   'fhinck-master-protocol': '#8B5CF6',  // Roxo
@@ -116,34 +120,54 @@ function sleep(ms) {
 
 /**
  * Envia evento de agente para o Firestore
- * Estrutura: project/{projectId}/agents/{agentId}
+ * Atualiza o estado atual em project/{projectId}/agents/{agentId}
+ * e registra o evento no log project/{projectId}/events
  */
 async function sendAgentEvent(agentId, event, task = '', additionalData = {}) {
-  const docRef = db.collection('project').doc(PROJECT_ID).collection('agents').doc(agentId);
+  const projectRef = db.collection('project').doc(PROJECT_ID);
+  const docRef = projectRef.collection('agents').doc(agentId);
+  const eventRef = projectRef.collection('events').doc();
 
   // Mapeia event para status (como o agents-store espera)
   const status = event === 'start' ? 'working' : 'idle';
+  const timestamp = Timestamp.now();
 
   const data = {
     agentId,
     agentName: formatAgentName(agentId),
     agentColor: AGENT_COLORS[agentId] || '#FF6B35',
+    projectId: PROJECT_ID,    // Filtro do pool de agentes (collection group)
     projectName: PROJECT_ID,
     // Campos que o agents-store.js espera
     status,
     currentTask: task,
-    createdAt: Timestamp.now(),
+    createdAt: timestamp,
     // Campos adicionais para histórico/debug
     event,
     task,
-    timestamp: Timestamp.now(),
-    sessionId: generateSessionId(),
+    timestamp,
+    lastSeenAt: timestamp,   // Heartbeat usado pelo watchdog
+    sessionId: currentSessionId,
     model: 'claude-3-opus',
     branch: 'feature/gap-008-dtos',
     ...additionalData
   };
 
-  await docRef.set(data);
+  // Estado atual e log de eventos são gravados juntos
+  const batch = db.batch();
+  batch.set(docRef, data);
+  batch.set(eventRef, {
+    agentId,
+    agentName: data.agentName,
+    agentColor: data.agentColor,
+    event,
+    status,
+    task,
+    sessionId: data.sessionId,
+    timestamp,
+    ...additionalData
+  });
+  await batch.commit();
 
   const icon = event === 'start' ? '🟢' : event === 'end' ? '🔴' : '🔵';
   console.log(`${icon} [${formatAgentName(agentId)}] ${event.toUpperCase()}${task ? ': ' + task.substring(0, 50) + '...' : ''}`);
@@ -243,34 +267,33 @@ async function scenarioFull() {
   console.log('\n📋 Cenário: Full (todos os agentes)\n');
 
   const agents = Object.keys(AGENT_COLORS);
+  const otherAgents = agents.filter(a => a !== 'fhinck-master-protocol');
+
+  // Master informa uma checklist com uma subtarefa por agente
+  const checklist = otherAgents.map(agent => ({ label: formatAgentName(agent), done: false }));
 
   // Master inicia
   await sendAgentEvent('fhinck-master-protocol', 'start', TASKS['fhinck-master-protocol'][0], {
-    progress: 0
+    checklist
   });
   await sleep(DELAY);
 
   // Todos os outros agentes trabalham em paralelo
-  const otherAgents = agents.filter(a => a !== 'fhinck-master-protocol');
-
-  for (let i = 0; i < otherAgents.length; i++) {
-    const agent = otherAgents[i];
+  for (const agent of otherAgents) {
     await sendAgentEvent(agent, 'start', randomItem(TASKS[agent] || TASKS['base-specialist']));
     await sleep(DELAY / 2);
-
-    // Atualiza progresso do master
-    const progress = Math.round(((i + 1) / otherAgents.length) * 80);
-    await sendAgentEvent('fhinck-master-protocol', 'start', TASKS['fhinck-master-protocol'][0], {
-      progress
-    });
   }
 
   // Aguarda um pouco
   await sleep(TASK_DURATION);
 
-  // Finaliza todos
-  for (const agent of otherAgents.reverse()) {
+  // Finaliza todos, marcando a subtarefa de cada um na checklist do master
+  for (const agent of [...otherAgents].reverse()) {
     await sendAgentEvent(agent, 'end');
+    checklist[otherAgents.indexOf(agent)].done = true;
+    await sendAgentEvent('fhinck-master-protocol', 'start', TASKS['fhinck-master-protocol'][0], {
+      checklist
+    });
     await sleep(DELAY / 2);
   }
 
@@ -293,6 +316,47 @@ async function scenarioSequential() {
   }
 }
 
+/**
+ * Cenário em árvore - master delega para sub-agentes, que delegam para outros
+ * Cada evento repete o parentAgentId, pois o documento do agente é sobrescrito
+ */
+async function scenarioTree() {
+  console.log('\n📋 Cenário: Tree (sub-agentes)\n');
+
+  const master = 'fhinck-master-protocol';
+  const tree = {
+    'code-architect': ['base-specialist', 'doc-writer'],
+    'test-runner': ['security-auditor']
+  };
+
+  await sendAgentEvent(master, 'start', TASKS[master][0]);
+  await sleep(DELAY);
+
+  for (const [child, grandchildren] of Object.entries(tree)) {
+    await sendAgentEvent(child, 'start', randomItem(TASKS[child]), { parentAgentId: master });
+    await sleep(DELAY);
+
+    for (const grandchild of grandchildren) {
+      await sendAgentEvent(grandchild, 'start', randomItem(TASKS[grandchild] || TASKS['base-specialist']), { parentAgentId: child });
+      await sleep(DELAY);
+    }
+  }
+
+  await sleep(TASK_DURATION);
+
+  // Finaliza das folhas para a raiz
+  for (const [child, grandchildren] of Object.entries(tree)) {
+    for (const grandchild of grandchildren) {
+      await sendAgentEvent(grandchild, 'end', '', { parentAgentId: child });
+      await sleep(DELAY / 2);
+    }
+    await sendAgentEvent(child, 'end', '', { parentAgentId: master });
+    await sleep(DELAY / 2);
+  }
+
+  await sendAgentEvent(master, 'end');
+}
+
 /**
  * Cenário de stress - muitas atualizações rápidas
  */
@@ -338,6 +402,10 @@ async function main() {
   await clearAllAgents();
 
   do {
+    // Cada ciclo é uma nova sessão no histórico do dashboard
+    currentSessionId = generateSessionId();
+    console.log(`🧵 Sessão: ${currentSessionId}`);
+
     switch (scenario) {
       case 'full':
         await scenarioFull();
@@ -348,6 +416,9 @@ async function main() {
       case 'stress':
         await scenarioStress();
         break;
+      case 'tree':
+        await scenarioTree();
+        break;
       default:
         await scenarioDefault();
     }
@@ -1,14 +1,34 @@
-import { defineConfig } from 'vite';
-
-export default defineConfig({
-  root: '.',
-  publicDir: 'public',
-  build: {
-    outDir: 'dist',
-    emptyOutDir: true,
-  },
-  server: {
-    port: 3000,
-    open: true,
-  },
+import { defineConfig, loadEnv } from 'vite';
+
+// Region of the Cloud Functions (functions/index.js)
+const FUNCTIONS_REGION = 'southamerica-east1';
+
+export default defineConfig(({ mode }) => {
+  const env = loadEnv(mode, process.cwd());
+
+  // In development the /api routes go to the Functions emulator (same paths as the hosting rewrites)
+  const functionsUrl = `http://127.0.0.1:5001/${env.VITE_FIREBASE_PROJECT_ID}/${FUNCTIONS_REGION}`;
+  const toFunction = (name) => ({
+    target: functionsUrl,
+    changeOrigin: true,
+    rewrite: (path) => path.replace(/^\/api\/[^?]*/, `/${name}`)
+  });
+
+  return {
+    root: '.',
+    publicDir: 'public',
+    build: {
+      outDir: 'dist',
+      emptyOutDir: true,
+    },
+    server: {
+      port: 3000,
+      open: true,
+      proxy: {
+        // The update route first: /api/notion-tasks also matches it
+        '/api/notion-tasks/update': toFunction('updateNotionTask'),
+        '/api/notion-tasks': toFunction('getNotionTasks'),
+      },
+    },
+  };
 });